@@ -0,0 +1,136 @@
+/**
+ * Who may use the bot, and which steps they may see
+ * - Roles, lowest first: guest < technician < hv_technician < admin (a role includes everything below it)
+ * - User registry (one JSON file): Telegram user ID -> { role, name, invitedBy, at }; ADMIN_USER_IDS are always admin
+ * - Audit log (append-only JSONL): invites, revocations and every denied action
+ * - YAML `requires_role:` on a node hides its prompt, on an option hides that option (see dtEngine.resolveNode)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const ROLES = ["guest", "technician", "hv_technician", "admin"];
+
+// Spellings accepted in /invite and YAML
+const ROLE_ALIASES = {
+  tech: "technician",
+  hv: "hv_technician",
+  hv_tech: "hv_technician",
+  authorised: "hv_technician",
+  authorized: "hv_technician",
+  authorised_hv: "hv_technician",
+  authorized_hv: "hv_technician",
+};
+
+// "HV-Technician" -> "hv_technician"; unknown -> ""
+function normalizeRole(v) {
+  const key = String(v || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  const role = ROLE_ALIASES[key] || key;
+  return ROLES.includes(role) ? role : "";
+}
+
+// Unknown required role = nobody below admin (fail closed)
+function roleAllows(role, required) {
+  if (!required) return true;
+  const have = ROLES.indexOf(normalizeRole(role) || "guest");
+  const need = ROLES.indexOf(normalizeRole(required));
+  return need === -1 ? have === ROLES.length - 1 : have >= need;
+}
+
+/**
+ * createUserRegistry(file, { admins }) -> { get, roleOf, invite, revoke, list, isBootstrapAdmin }
+ * admins = Set of user IDs (ADMIN_USER_IDS) that are admin whatever the file says
+ */
+function createUserRegistry(file, { admins = new Set() } = {}) {
+  const users = readJsonFile(file, {}, "User registry");
+
+  function save() {
+    writeJsonFile(file, users, "User registry");
+  }
+
+  const isBootstrapAdmin = (userId) => userId != null && admins.has(String(userId));
+
+  function get(userId) {
+    if (userId == null) return null;
+    const u = users[String(userId)];
+    if (isBootstrapAdmin(userId)) return { userId: String(userId), ...u, role: "admin", bootstrap: true };
+    return u ? { userId: String(userId), ...u } : null;
+  }
+
+  // Registered role, else `fallback` (unregistered users)
+  function roleOf(userId, fallback = "guest") {
+    return get(userId)?.role || fallback;
+  }
+
+  function invite(userId, role, { by = null, name = "" } = {}) {
+    const r = normalizeRole(role);
+    if (!r) throw new Error(`unknown role "${role}"`);
+    users[String(userId)] = { role: r, name: String(name || "").slice(0, 80), invitedBy: by, at: new Date().toISOString() };
+    save();
+    return get(userId);
+  }
+
+  function revoke(userId) {
+    if (!users[String(userId)]) return false;
+    delete users[String(userId)];
+    save();
+    return true;
+  }
+
+  // Registered users, highest role first (bootstrap admins included)
+  function list() {
+    const ids = new Set([...Object.keys(users), ...admins]);
+    return [...ids]
+      .map((id) => get(id))
+      .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role) || String(a.userId).localeCompare(String(b.userId)));
+  }
+
+  return { file, get, roleOf, invite, revoke, list, isBootstrapAdmin };
+}
+
+/**
+ * createAuditLog(file) -> { record, list }
+ * record({ action, userId, ... }) appends one line; list({ action, userId, since, limit }) newest last
+ */
+function createAuditLog(file) {
+  function record(entry = {}) {
+    const line = { at: new Date().toISOString(), ...entry };
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(line) + "\n");
+    } catch (e) {
+      console.error(`❌ Audit log write failed: ${file}`, e?.message || e);
+    }
+    return line;
+  }
+
+  function list({ action = "", userId = "", since = "", limit = 100 } = {}) {
+    let lines = [];
+    try {
+      if (fs.existsSync(file)) lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+    } catch (e) {
+      console.error(`❌ Audit log unreadable: ${file}`, e?.message || e);
+    }
+    return lines
+      .map((l) => {
+        try {
+          return JSON.parse(l);
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .filter((e) => !action || e.action === action)
+      .filter((e) => !userId || String(e.userId) === String(userId))
+      .filter((e) => !since || String(e.at) >= since)
+      .slice(-limit);
+  }
+
+  return { file, record, list };
+}
+
+module.exports = { ROLES, normalizeRole, roleAllows, createUserRegistry, createAuditLog };
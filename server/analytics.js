@@ -0,0 +1,195 @@
+/**
+ * Decision-tree session analytics
+ * - Every dt:start / option choice / back / menu exit / terminal node is appended to
+ *   <dir>/dt-events.jsonl as { run, type, pack, faultId, nodeId, ... } (one run = one dt:start)
+ * - buildFunnels() turns those into per-fault funnels: reach + drop-off per node, done vs escalated,
+ *   median time per node and the most common paths
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const EVENT_TYPES = ["start", "choice", "back", "menu_exit", "terminal"];
+// No event for this long and no terminal/menu exit -> the tech gave up
+const ABANDON_AFTER_MS = 30 * 60 * 1000;
+
+// *_DONE* -> done, *_ESC* -> escalated (PM_DONE_STAB, PM_ESC_UNSAFE, GD_ESC, ...)
+function classifyTerminal(nodeId, node = null) {
+  const id = String(nodeId || "").toUpperCase();
+  if (/(^|_)DONE(_|$)/.test(id)) return "done";
+  if (/(^|_)ESC(_|$)/.test(id)) return "escalated";
+  if (node && !(Array.isArray(node.options) && node.options.length)) return "end";
+  return "";
+}
+
+function newRunId() {
+  return `d${Date.now().toString(36)}${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const v = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : Math.round((v[mid - 1] + v[mid]) / 2);
+}
+
+function createAnalyticsStore(dir) {
+  const file = path.join(dir, "dt-events.jsonl");
+
+  function record(type, fields = {}) {
+    if (!EVENT_TYPES.includes(type)) return null;
+    const entry = { type, at: new Date().toISOString(), ...fields };
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    } catch (e) {
+      console.error(`❌ Analytics write failed: ${file}`, e?.message || e);
+    }
+    return entry;
+  }
+
+  function events({ pack = "", faultId = "", since = "" } = {}) {
+    let raw = "";
+    try {
+      raw = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+    } catch (e) {
+      console.error(`❌ Analytics log unreadable: ${file}`, e?.message || e);
+    }
+    return raw
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter((e) => e && e.run)
+      .filter((e) => !pack || e.pack === pack)
+      .filter((e) => !faultId || e.faultId === faultId)
+      .filter((e) => !since || String(e.at) >= since);
+  }
+
+  return { file, record, events };
+}
+
+/**
+ * Replay one run's events (time order) -> { outcome, lastNode, path, visits: [{ nodeId, ms }] }
+ * outcome: done | escalated | end | routed | menu_exit | abandoned | in_progress
+ */
+function replayRun(evts, now = Date.now()) {
+  const stack = [];
+  const visits = [];
+  let current = null;
+  let enteredAt = 0;
+  let outcome = "";
+
+  const enter = (nodeId, at) => {
+    if (current) visits.push({ nodeId: current, ms: Math.max(0, at - enteredAt) });
+    current = nodeId || null;
+    enteredAt = at;
+  };
+
+  for (const e of evts) {
+    const at = Date.parse(e.at) || 0;
+    if (e.type === "start") {
+      stack.length = 0;
+      stack.push(e.nodeId);
+      enter(e.nodeId, at);
+    } else if (e.type === "choice") {
+      stack.push(e.to);
+      enter(e.to, at);
+    } else if (e.type === "back") {
+      stack.pop();
+      enter(e.to, at);
+    } else if (e.type === "menu_exit") {
+      enter(null, at);
+      outcome = outcome || "menu_exit";
+    } else if (e.type === "terminal") {
+      outcome = e.outcome || "end";
+    }
+  }
+
+  const last = evts[evts.length - 1];
+  if (!outcome) outcome = now - (Date.parse(last?.at) || 0) > ABANDON_AFTER_MS ? "abandoned" : "in_progress";
+  return { outcome, lastNode: stack[stack.length - 1] || null, path: stack.filter(Boolean), visits };
+}
+
+/**
+ * buildFunnels(events, { limitPaths }) -> { runs, outcomes, faults: [...] }
+ * Per fault: runs, outcome counts + rates, nodes [{ nodeId, reached, dropOff, medianMs }], top paths
+ */
+function buildFunnels(events, { limitPaths = 5, now = Date.now() } = {}) {
+  const byRun = new Map();
+  for (const e of events) {
+    if (!byRun.has(e.run)) byRun.set(e.run, []);
+    byRun.get(e.run).push(e);
+  }
+
+  const faults = new Map();
+  const totals = {};
+
+  for (const evts of byRun.values()) {
+    evts.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    const first = evts[0];
+    const key = `${first.pack}:${first.faultId}`;
+    if (!faults.has(key)) {
+      faults.set(key, { pack: first.pack, faultId: first.faultId, runs: 0, outcomes: {}, nodes: new Map(), paths: new Map(), versions: new Set() });
+    }
+    const f = faults.get(key);
+    const run = replayRun(evts, now);
+
+    f.runs += 1;
+    f.outcomes[run.outcome] = (f.outcomes[run.outcome] || 0) + 1;
+    totals[run.outcome] = (totals[run.outcome] || 0) + 1;
+    if (first.packVersion) f.versions.add(first.packVersion);
+
+    const node = (id) => {
+      if (!f.nodes.has(id)) f.nodes.set(id, { nodeId: id, reached: 0, dropOff: 0, times: [] });
+      return f.nodes.get(id);
+    };
+    for (const id of new Set(run.visits.map((v) => v.nodeId).concat(run.lastNode ? [run.lastNode] : []))) node(id).reached += 1;
+    for (const v of run.visits) node(v.nodeId).times.push(v.ms);
+    if ((run.outcome === "abandoned" || run.outcome === "menu_exit") && run.lastNode) node(run.lastNode).dropOff += 1;
+
+    const p = run.path.join(" → ");
+    if (p) f.paths.set(p, (f.paths.get(p) || 0) + 1);
+  }
+
+  const rate = (n, d) => (d ? Math.round((n / d) * 100) / 100 : 0);
+  const finished = (o) => (o.done || 0) + (o.escalated || 0) + (o.end || 0) + (o.routed || 0);
+
+  return {
+    runs: byRun.size,
+    outcomes: totals,
+    faults: [...faults.values()]
+      .map((f) => ({
+        pack: f.pack,
+        faultId: f.faultId,
+        runs: f.runs,
+        outcomes: f.outcomes,
+        resolutionRate: rate(f.outcomes.done || 0, f.runs),
+        escalationRate: rate(f.outcomes.escalated || 0, f.runs),
+        completionRate: rate(finished(f.outcomes), f.runs),
+        versions: [...f.versions],
+        nodes: [...f.nodes.values()]
+          .map((n) => ({
+            nodeId: n.nodeId,
+            reached: n.reached,
+            dropOff: n.dropOff,
+            dropOffRate: rate(n.dropOff, n.reached),
+            medianMs: median(n.times),
+          }))
+          .sort((a, b) => b.reached - a.reached || b.dropOff - a.dropOff),
+        topPaths: [...f.paths.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, limitPaths)
+          .map(([p, count]) => ({ path: p, count })),
+      }))
+      .sort((a, b) => b.runs - a.runs),
+  };
+}
+
+module.exports = { createAnalyticsStore, buildFunnels, replayRun, classifyTerminal, newRunId };
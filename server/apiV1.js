@@ -0,0 +1,204 @@
+/**
+ * Read-only fault library API (/api/v1) for the dispatch portal, wiki, etc.
+ * - GET /packs                      packs + version + fault count
+ * - GET /packs/:pack                one pack (meta only)
+ * - GET /faults                     summaries; ?pack= &severity=high,critical &tags=a,b (all must match) &charger_type=dc
+ * - GET /packs/:pack/faults/:id     full fault (description, safety_notes, tools_required, decision_tree, ...)
+ * - GET /search?q=                  same ranking as the bot's free-text search
+ * - GET /packs/:pack/diagram        every decision tree in the pack as a flowchart; ?format=mermaid (default) | dot
+ * - GET /packs/:pack/faults/:id/diagram   one fault's tree (treeExport.js)
+ * Lists take ?page= &per_page= (max 100) and return { data, pagination } + a Link header.
+ * Every response carries an ETag derived from the pack versions, so If-None-Match gets a 304 until a pack changes.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { buildSearchIndex, searchFaults, extractCodes } = require("./search");
+const { DIAGRAM_FORMATS, exportDiagram } = require("./treeExport");
+
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+const MAX_SEARCH_RESULTS = 100;
+
+function csv(v) {
+  return String(v || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function paginate(req, res, items) {
+  const perPage = Math.min(Math.max(Number(req.query.per_page) || DEFAULT_PER_PAGE, 1), MAX_PER_PAGE);
+  const totalPages = Math.max(Math.ceil(items.length / perPage), 1);
+  const page = Math.min(Math.max(Number(req.query.page) || 1, 1), totalPages);
+
+  const link = (p) => {
+    const url = new URL(req.originalUrl, "http://x");
+    url.searchParams.set("page", String(p));
+    url.searchParams.set("per_page", String(perPage));
+    return `<${url.pathname}${url.search}>`;
+  };
+  const links = [];
+  if (page < totalPages) links.push(`${link(page + 1)}; rel="next"`, `${link(totalPages)}; rel="last"`);
+  if (page > 1) links.push(`${link(page - 1)}; rel="prev"`, `${link(1)}; rel="first"`);
+  if (links.length) res.set("Link", links.join(", "));
+
+  return {
+    data: items.slice((page - 1) * perPage, page * perPage),
+    pagination: { page, perPage, total: items.length, totalPages },
+  };
+}
+
+function faultSummary(pack, fault) {
+  return {
+    pack,
+    id: String(fault.id),
+    title: fault.title,
+    severity: fault.severity || null,
+    charger_type: fault.charger_type || null,
+    platform: fault.platform || null,
+    tags: Array.isArray(fault.tags) ? fault.tags : [],
+    codes: extractCodes(fault),
+    hasDecisionTree: !!fault.decision_tree?.start_node,
+  };
+}
+
+function packSummary(meta, loaded) {
+  return {
+    id: meta.id,
+    label: meta.label,
+    title: meta.title,
+    emoji: meta.emoji,
+    order: meta.order,
+    version: loaded?.version || null,
+    faultCount: loaded?.faults?.length || 0,
+  };
+}
+
+/**
+ * createApiV1Router({ packs }) -> express.Router
+ * packs = pack registry (server/packs.js)
+ */
+function createApiV1Router({ packs }) {
+  const router = express.Router();
+  let searchCache = { key: "", index: [] };
+
+  function loadAll() {
+    return packs.list().map((meta) => ({ meta, ...packs.load(meta.id) }));
+  }
+
+  // Changes whenever any pack is reloaded with different content
+  function libraryVersion(all) {
+    return all.map((p) => `${p.meta.id}@${p.version}`).join(",");
+  }
+
+  // ETag = library version + URL; answers 304 before building the body
+  function sendCached(req, res, version, build, send = (body) => res.json(body)) {
+    const etag = `"${crypto.createHash("sha1").update(`${version}|${req.originalUrl}`).digest("hex").slice(0, 20)}"`;
+    res.set("ETag", etag);
+    res.set("Cache-Control", "no-cache");
+    if (req.fresh) return res.status(304).end();
+    return send(build());
+  }
+
+  function notFound(res, error, extra = {}) {
+    return res.status(404).json({ ok: false, error, ...extra });
+  }
+
+  router.get("/packs", (req, res) => {
+    const all = loadAll();
+    sendCached(req, res, libraryVersion(all), () => paginate(req, res, all.map((p) => packSummary(p.meta, p))));
+  });
+
+  router.get("/packs/:pack", (req, res) => {
+    const meta = packs.get(req.params.pack);
+    if (!meta) return notFound(res, "pack_not_found", { pack: req.params.pack });
+    const loaded = packs.load(meta.id);
+    sendCached(req, res, `${meta.id}@${loaded.version}`, () => ({
+      ...packSummary(meta, loaded),
+      quickMenu: meta.quickMenu,
+    }));
+  });
+
+  router.get("/packs/:pack/faults/:id", (req, res) => {
+    const meta = packs.get(req.params.pack);
+    if (!meta) return notFound(res, "pack_not_found", { pack: req.params.pack });
+    const loaded = packs.load(meta.id);
+    const fault = loaded.faults.find((f) => String(f.id) === String(req.params.id));
+    if (!fault) return notFound(res, "fault_not_found", { pack: meta.id, id: req.params.id });
+    sendCached(req, res, `${meta.id}@${loaded.version}`, () => ({
+      pack: meta.id,
+      packVersion: loaded.version,
+      codes: extractCodes(fault),
+      fault,
+    }));
+  });
+
+  function sendDiagram(req, res, faultId = "") {
+    const format = String(req.query.format || "mermaid").toLowerCase();
+    if (!DIAGRAM_FORMATS.includes(format)) return res.status(400).json({ ok: false, error: "unknown_format", formats: DIAGRAM_FORMATS });
+    const meta = packs.get(req.params.pack);
+    if (!meta) return notFound(res, "pack_not_found", { pack: req.params.pack });
+    if (faultId && !packs.load(meta.id).faults.some((f) => String(f.id) === faultId)) {
+      return notFound(res, "fault_not_found", { pack: meta.id, id: faultId });
+    }
+    // Routes can point into other packs, so the ETag follows the whole library
+    sendCached(
+      req,
+      res,
+      libraryVersion(loadAll()),
+      () => exportDiagram(packs, { pack: meta.id, faultId, format }),
+      (r) => (r.ok ? res.type(r.contentType).send(r.text) : res.status(422).json(r))
+    );
+  }
+
+  router.get("/packs/:pack/diagram", (req, res) => sendDiagram(req, res));
+  router.get("/packs/:pack/faults/:id/diagram", (req, res) => sendDiagram(req, res, String(req.params.id)));
+
+  router.get("/faults", (req, res) => {
+    const packFilter = String(req.query.pack || "").toLowerCase();
+    if (packFilter && !packs.get(packFilter)) return notFound(res, "pack_not_found", { pack: packFilter });
+    const severity = csv(req.query.severity);
+    const tags = csv(req.query.tags);
+    const chargerType = String(req.query.charger_type || "").toLowerCase();
+
+    const all = loadAll();
+    sendCached(req, res, libraryVersion(all), () => {
+      const items = all
+        .filter((p) => !packFilter || p.meta.id === packs.get(packFilter).id)
+        .flatMap((p) => p.faults.map((f) => faultSummary(p.meta.id, f)))
+        .filter((f) => !severity.length || severity.includes(String(f.severity || "").toLowerCase()))
+        .filter((f) => !chargerType || String(f.charger_type || "").toLowerCase() === chargerType)
+        .filter((f) => {
+          const have = f.tags.map((t) => String(t).toLowerCase());
+          return tags.every((t) => have.includes(t));
+        });
+      return paginate(req, res, items);
+    });
+  });
+
+  router.get("/search", (req, res) => {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ ok: false, error: "missing_query", hint: "/api/v1/search?q=no+heartbeat" });
+
+    const all = loadAll();
+    const version = libraryVersion(all);
+    sendCached(req, res, version, () => {
+      if (searchCache.key !== version) {
+        searchCache = { key: version, index: buildSearchIndex(all.map((p) => ({ pack: p.meta.id, faults: p.faults }))) };
+      }
+      const byKey = new Map(all.flatMap((p) => p.faults.map((f) => [`${p.meta.id}:${f.id}`, f])));
+      const hits = searchFaults(searchCache.index, q, { limit: MAX_SEARCH_RESULTS }).map((r) => ({
+        ...faultSummary(r.pack, byKey.get(`${r.pack}:${r.id}`) || r),
+        score: r.score,
+      }));
+      return { query: q, ...paginate(req, res, hits) };
+    });
+  });
+
+  router.use((req, res) => notFound(res, "not_found", { path: req.originalUrl }));
+
+  return router;
+}
+
+module.exports = { createApiV1Router };
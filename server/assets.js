@@ -0,0 +1,264 @@
+/**
+ * Site + charger asset registry (one JSON file)
+ * - Sites:    { id, name, address, notes }
+ * - Chargers: { id (asset ID), siteId, manufacturer, model, serialNumber, publicId, ocppId, location, commissionedAt, notes }
+ * - find(ref): a charger by any of its identifiers (asset ID, public ID, serial, OCPP ID), compared loosely
+ *   ("evb-0042" == "EVB 0042"); public IDs, serials and OCPP IDs must be unique across chargers
+ * - importCsv(text): one row per charger, site columns repeated (rows without charger identifiers only upsert the site);
+ *   header names are case / separator insensitive:
+ *     site_id, site_name, site_address, asset_id, public_id, serial_number, manufacturer, model, location,
+ *     commissioned (YYYY-MM-DD), ocpp_id, notes
+ *   Existing records are merged (empty cells keep what is there); bad rows are reported by line and skipped
+ */
+
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { codeKey } = require("./search");
+
+// IDs end up in callback_data (ch:sel:<id>) and URLs: keep them short and plain
+const ID_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,39}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const SITE_FIELDS = ["name", "address", "notes"];
+const CHARGER_FIELDS = ["siteId", "manufacturer", "model", "serialNumber", "publicId", "ocppId", "location", "commissionedAt", "notes"];
+const UNIQUE_FIELDS = ["publicId", "serialNumber", "ocppId"];
+
+// CSV header -> field (after lower-casing and dropping spaces / _ / -)
+const CSV_COLUMNS = {
+  siteid: "siteId",
+  site: "siteName",
+  sitename: "siteName",
+  siteaddress: "siteAddress",
+  address: "siteAddress",
+  assetid: "id",
+  id: "id",
+  publicid: "publicId",
+  chargerid: "publicId",
+  serial: "serialNumber",
+  serialnumber: "serialNumber",
+  sn: "serialNumber",
+  manufacturer: "manufacturer",
+  make: "manufacturer",
+  model: "model",
+  location: "location",
+  commissioned: "commissionedAt",
+  commissionedat: "commissionedAt",
+  commissioningdate: "commissionedAt",
+  ocppid: "ocppId",
+  chargepointid: "ocppId",
+  notes: "notes",
+};
+
+function slugId(v) {
+  return String(v ?? "")
+    .trim()
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^[^A-Za-z0-9]+|-+$/g, "")
+    .slice(0, 40);
+}
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF / LF, leading BOM
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// YYYY-MM-DD that exists (Date.parse rolls 2024-02-30 over to March instead of rejecting it)
+function isCalendarDate(v) {
+  if (!DATE_RE.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+const clean = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && String(v).trim() !== ""));
+const trimAll = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, typeof v === "string" ? v.trim() : v]));
+
+/**
+ * createAssetRegistry(file) -> { file, sites, chargers, getSite, getCharger, find, search,
+ *                               upsertSite, upsertCharger, removeSite, removeCharger, importCsv }
+ * upsert* / remove* return { ok, site | charger } or { ok: false, error, ... }
+ */
+function createAssetRegistry(file) {
+  let data = { sites: {}, chargers: {}, ...readJsonFile(file, {}, "Asset registry") };
+  let holdWrites = false; // importCsv writes once at the end (or not at all with dryRun)
+
+  function save() {
+    if (!holdWrites) writeJsonFile(file, data, "Asset registry");
+  }
+
+  const sites = () => Object.values(data.sites).sort((a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id)));
+  const chargers = ({ siteId = "" } = {}) =>
+    Object.values(data.chargers)
+      .filter((c) => !siteId || c.siteId === siteId)
+      .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+  function getSite(id) {
+    return data.sites[String(id)] || null;
+  }
+  function getCharger(id) {
+    return data.chargers[String(id)] || null;
+  }
+
+  // Exact (loose) match on any identifier
+  function find(ref) {
+    const key = codeKey(ref);
+    if (!key) return null;
+    return Object.values(data.chargers).find((c) => [c.id, c.publicId, c.serialNumber, c.ocppId].some((v) => v && codeKey(v) === key)) || null;
+  }
+
+  // Partial match on identifiers, site name and location (for "did you mean")
+  function search(q, { limit = 8 } = {}) {
+    const key = codeKey(q);
+    if (key.length < 2) return [];
+    return chargers()
+      .filter((c) => {
+        const site = getSite(c.siteId);
+        return [c.id, c.publicId, c.serialNumber, c.ocppId, c.location, site?.name].some((v) => v && codeKey(v).includes(key));
+      })
+      .slice(0, limit);
+  }
+
+  function validateSite(id, fields) {
+    if (!ID_RE.test(String(id || ""))) return { error: "invalid_site_id", id };
+    const site = { ...(getSite(id) || { id }), ...clean(trimAll(fields)) };
+    if (!site.name) return { error: "site_name_required", id };
+    return { site };
+  }
+
+  function validateCharger(id, fields) {
+    if (!ID_RE.test(String(id || ""))) return { error: "invalid_asset_id", id };
+    const charger = { ...(getCharger(id) || { id }), ...clean(trimAll(fields)) };
+    if (charger.commissionedAt && !isCalendarDate(charger.commissionedAt)) {
+      return { error: "invalid_commissioned_date", id, value: charger.commissionedAt };
+    }
+    if (charger.siteId && !getSite(charger.siteId)) return { error: "unknown_site", id, siteId: charger.siteId };
+    for (const f of UNIQUE_FIELDS) {
+      if (!charger[f]) continue;
+      const other = Object.values(data.chargers).find((c) => c.id !== id && c[f] && codeKey(c[f]) === codeKey(charger[f]));
+      if (other) return { error: "duplicate_identifier", id, field: f, value: charger[f], otherId: other.id };
+    }
+    return { charger };
+  }
+
+  const pick = (obj, keys) => Object.fromEntries(keys.filter((k) => k in (obj || {})).map((k) => [k, obj[k] == null ? "" : String(obj[k])]));
+
+  function upsertSite(id, fields = {}) {
+    const { site, error, ...detail } = validateSite(id, pick(fields, SITE_FIELDS));
+    if (error) return { ok: false, error, ...detail };
+    data.sites[site.id] = { ...site, updatedAt: new Date().toISOString() };
+    save();
+    return { ok: true, site: data.sites[site.id] };
+  }
+
+  function upsertCharger(id, fields = {}) {
+    const { charger, error, ...detail } = validateCharger(id, pick(fields, CHARGER_FIELDS));
+    if (error) return { ok: false, error, ...detail };
+    data.chargers[charger.id] = { ...charger, updatedAt: new Date().toISOString() };
+    save();
+    return { ok: true, charger: data.chargers[charger.id] };
+  }
+
+  function removeSite(id) {
+    if (!getSite(id)) return { ok: false, error: "site_not_found" };
+    const attached = chargers({ siteId: String(id) }).length;
+    if (attached) return { ok: false, error: "site_has_chargers", chargers: attached };
+    delete data.sites[String(id)];
+    save();
+    return { ok: true };
+  }
+
+  function removeCharger(id) {
+    if (!getCharger(id)) return { ok: false, error: "charger_not_found" };
+    delete data.chargers[String(id)];
+    save();
+    return { ok: true };
+  }
+
+  /**
+   * importCsv(text, { dryRun }) -> { ok, sites, chargers, errors: [{ line, error, ... }] }
+   * sites / chargers = how many were created or updated (would be, with dryRun)
+   */
+  function importCsv(text, { dryRun = false } = {}) {
+    const rows = parseCsv(text).filter((r) => r.some((c) => c.trim()));
+    if (!rows.length) return { ok: false, error: "empty_csv", sites: 0, chargers: 0, errors: [] };
+    const header = rows[0].map((h) => CSV_COLUMNS[h.toLowerCase().replace(/[\s_-]+/g, "")] || null);
+    if (!header.some(Boolean)) return { ok: false, error: "no_known_columns", sites: 0, chargers: 0, errors: [] };
+
+    const before = JSON.stringify(data);
+    holdWrites = true;
+    const touched = { sites: new Set(), chargers: new Set() };
+    const errors = [];
+    rows.slice(1).forEach((cells, i) => {
+      const line = i + 2;
+      const r = {};
+      header.forEach((field, j) => {
+        if (field) r[field] = String(cells[j] ?? "").trim();
+      });
+
+      const siteId = r.siteId || slugId(r.siteName);
+      if (siteId) {
+        const res = upsertSite(siteId, { name: r.siteName, address: r.siteAddress });
+        if (!res.ok) return errors.push({ line, ...res, ok: undefined });
+        touched.sites.add(siteId);
+      }
+
+      const id = r.id || slugId(r.publicId) || slugId(r.serialNumber);
+      if (!id) {
+        if (!siteId) errors.push({ line, error: "no_identifier" });
+        return;
+      }
+      const res = upsertCharger(id, { ...r, siteId: siteId || undefined });
+      if (!res.ok) return errors.push({ line, ...res, ok: undefined });
+      touched.chargers.add(id);
+    });
+
+    holdWrites = false;
+    if (dryRun) data = JSON.parse(before);
+    else save();
+    return { ok: true, dryRun, sites: touched.sites.size, chargers: touched.chargers.size, errors };
+  }
+
+  return {
+    file,
+    sites,
+    chargers,
+    getSite,
+    getCharger,
+    find,
+    search,
+    upsertSite,
+    upsertCharger,
+    removeSite,
+    removeCharger,
+    importCsv,
+  };
+}
+
+module.exports = { CSV_COLUMNS, parseCsv, createAssetRegistry };
@@ -0,0 +1,44 @@
+/**
+ * Telegram callback_data builders (shared by the bot and the pack linter)
+ * - Telegram rejects any button whose callback_data is over 64 bytes
+ */
+
+const CALLBACK_DATA_MAX_BYTES = 64;
+
+function cbManufacturer(pack) {
+  return `mfr:${pack}`;
+}
+function cbPackMenu(pack) {
+  return `${pack}:menu`;
+}
+function cbPackAll(pack) {
+  return `${pack}:all`;
+}
+function cbPackTags(pack) {
+  return `${pack}:tags`;
+}
+function cbPackTag(pack, tag) {
+  return `${pack}:tag:${tag}`;
+}
+function cbFault(pack, id) {
+  return `${pack}:fault:${id}`;
+}
+function cbReportFromFault(pack, faultId) {
+  return `RF|${pack}|${faultId}`;
+}
+
+function callbackDataBytes(data) {
+  return Buffer.byteLength(String(data ?? ""), "utf8");
+}
+
+module.exports = {
+  CALLBACK_DATA_MAX_BYTES,
+  cbManufacturer,
+  cbPackMenu,
+  cbPackAll,
+  cbPackTags,
+  cbPackTag,
+  cbFault,
+  cbReportFromFault,
+  callbackDataBytes,
+};
@@ -0,0 +1,179 @@
+/**
+ * Per-charger fault history + repeat-fault detection
+ * - Troubleshooting sessions and reports tied to a charger are appended to one JSONL file:
+ *     { type: "session", at, charger, label, assetId, pack, faultId, run, channel, chatId, sessionId, userId }
+ *     { type: "outcome", at, run, outcome, nodeId }            (terminal node of that session: done / escalated / routed)
+ *     { type: "report",  at, charger, label, assetId, pack, faultId, run, reportId, resolution }
+ *   `charger` is the asset ID when the charger is in the registry, else what the tech typed; compared loosely
+ * - A visit = everything on the same charger + fault with less than visitGapHours between entries (restarting the
+ *   tree or writing the report afterwards is not "coming back"); outcome = report resolution, else the last session's
+ * - repeats(): earlier visits with the same fault (or a related one, via the `related` predicate)
+ * - recurring(): chargers with at least minVisits visits for one fault (+ related) since a date
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { codeKey } = require("./search");
+
+const ENTRY_TYPES = ["session", "outcome", "report"];
+
+const sameFault = (a, b) => a.pack === b.pack && a.faultId === b.faultId;
+
+/**
+ * createChargerHistory(file, { visitGapHours }) -> { file, record, visits, repeats, recurring }
+ */
+function createChargerHistory(file, { visitGapHours = 12 } = {}) {
+  const gapMs = visitGapHours * 3600000;
+  const entries = [];
+  const runs = new Set();
+
+  try {
+    const raw = file && fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const e = JSON.parse(line);
+        entries.push(e);
+        if (e.type === "session" && e.run) runs.add(e.run);
+      } catch (_) {}
+    }
+  } catch (e) {
+    console.error(`❌ Charger history unreadable: ${file}`, e?.message || e);
+  }
+
+  function record(type, fields = {}) {
+    if (!ENTRY_TYPES.includes(type)) return null;
+    if (type !== "outcome" && !codeKey(fields.charger)) return null;
+    if (type === "outcome" && !runs.has(fields.run)) return null; // session wasn't tied to a charger
+    const entry = { type, at: new Date().toISOString(), ...fields };
+    entries.push(entry);
+    if (type === "session" && entry.run) runs.add(entry.run);
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+    } catch (e) {
+      console.error(`❌ Charger history write failed: ${file}`, e?.message || e);
+    }
+    return entry;
+  }
+
+  /**
+   * visits({ charger, since }) -> newest first:
+   *   { charger, label, assetId, pack, faultId, at, lastAt, outcome, resolution, sessions, reports: [ids] }
+   */
+  function visits({ charger = "", since = "" } = {}) {
+    const key = codeKey(charger);
+    const outcomes = new Map();
+    for (const e of entries) if (e.type === "outcome") outcomes.set(e.run, e);
+
+    const open = new Map(); // charger|pack|fault -> visit being built
+    const out = [];
+    const rows = entries
+      .filter((e) => e.type !== "outcome" && (!key || codeKey(e.charger) === key))
+      .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    for (const e of rows) {
+      const group = `${codeKey(e.charger)}|${e.pack || ""}|${e.faultId || ""}`;
+      let v = open.get(group);
+      const t = Date.parse(e.at);
+      const sameRun = e.run && v?.runs.includes(e.run);
+      if (!v || (!sameRun && t - Date.parse(v.lastAt) >= gapMs)) {
+        v = {
+          charger: e.charger,
+          label: e.label || e.charger,
+          assetId: e.assetId || null,
+          pack: e.pack || "",
+          faultId: e.faultId || "",
+          at: e.at,
+          lastAt: e.at,
+          outcome: "",
+          resolution: "",
+          sessions: 0,
+          reports: [],
+          runs: [],
+        };
+        open.set(group, v);
+        out.push(v);
+      }
+      v.lastAt = e.at;
+      if (e.run && !v.runs.includes(e.run)) v.runs.push(e.run);
+      if (e.type === "session") {
+        v.sessions += 1;
+        const o = outcomes.get(e.run);
+        if (o) v.outcome = o.outcome;
+      } else {
+        if (e.reportId) v.reports.push(e.reportId);
+        if (e.resolution) v.resolution = e.resolution;
+      }
+    }
+    return out
+      .filter((v) => !since || v.lastAt >= since)
+      .map(({ runs: _runs, ...v }) => v)
+      .reverse();
+  }
+
+  /**
+   * repeats({ charger, pack, faultId, since, before, related }) -> earlier visits (newest first) with the same fault,
+   * or one `related(a, b)` accepts; visits that ended after `before` (the one in progress) are left out
+   */
+  function repeats({ charger, pack, faultId, since = "", before = "", related = null }) {
+    if (!codeKey(charger) || !faultId) return [];
+    const target = { pack, faultId: String(faultId) };
+    return visits({ charger, since })
+      .filter((v) => v.faultId && (!before || v.lastAt < before))
+      .filter((v) => sameFault(v, target) || (related && related(target, v)))
+      .map((v) => ({ ...v, related: !sameFault(v, target) }));
+  }
+
+  /**
+   * recurring({ since, minVisits, related }) -> most visits first:
+   *   { charger, label, assetId, pack, faultId, visits, firstAt, lastAt, related: [{ pack, faultId }], outcomes: [...] }
+   * One row per charger + fault; a related fault already counted in a bigger row of the same charger is not repeated
+   */
+  function recurring({ since = "", minVisits = 2, related = null } = {}) {
+    const byCharger = new Map();
+    for (const v of visits({ since })) {
+      if (!v.faultId) continue;
+      const key = codeKey(v.charger);
+      if (!byCharger.has(key)) byCharger.set(key, []);
+      byCharger.get(key).push(v);
+    }
+
+    const rows = [];
+    for (const list of byCharger.values()) {
+      const faults = [];
+      for (const v of list) if (!faults.some((f) => sameFault(f, v))) faults.push({ pack: v.pack, faultId: v.faultId });
+      const groups = faults
+        .map((f) => ({ fault: f, visits: list.filter((v) => sameFault(v, f) || (related && related(f, v))) }))
+        .sort((a, b) => b.visits.length - a.visits.length);
+      const covered = [];
+      for (const g of groups) {
+        if (g.visits.length < minVisits || covered.some((f) => sameFault(f, g.fault))) continue;
+        g.visits.forEach((v) => covered.push(v));
+        const newest = g.visits[0];
+        rows.push({
+          charger: newest.charger,
+          label: newest.label,
+          assetId: newest.assetId,
+          pack: g.fault.pack,
+          faultId: g.fault.faultId,
+          visits: g.visits.length,
+          firstAt: g.visits[g.visits.length - 1].at,
+          lastAt: newest.lastAt,
+          related: g.visits.filter((v) => !sameFault(v, g.fault)).map(({ pack, faultId }) => ({ pack, faultId })),
+          outcomes: g.visits.map(({ at, pack, faultId, outcome, resolution, reports }) => ({ at, pack, faultId, outcome, resolution, reports })),
+        });
+      }
+    }
+    return rows.sort((a, b) => b.visits - a.visits || String(b.lastAt).localeCompare(String(a.lastAt)));
+  }
+
+  return {
+    file,
+    record,
+    visits,
+    repeats,
+    recurring,
+  };
+}
+
+module.exports = { ENTRY_TYPES, createChargerHistory };
@@ -0,0 +1,176 @@
+/**
+ * Decision-tree engine (channel-agnostic)
+ * - resolveNode(): one place that decides what a node ID means — a real node, a __ROUTE_*__ jump,
+ *   a __MENU_<PACK>__ exit, a common fallback (GD_DONE / GD_ESC) or a missing node
+ * - nextFromOption(): which node an option press leads to
+ * - Pass `role` to either and `requires_role:` applies (nodes lock, options hide); leave it out to see everything
+ * Telegram (server/index.js) and the HTTP session API (server/dtSessionApi.js) both drive trees through these,
+ * so a web / mobile front end walks exactly the same paths as the bot.
+ */
+
+const { classifyTerminal } = require("./analytics");
+const { roleAllows } = require("./access");
+
+// Common nodes any fault may point at without defining them (packLint reports these as warnings)
+const COMMON_FALLBACK_NODES = {
+  GD_DONE: (faultTitle) =>
+    `✅ *Resolved*\n` +
+    (faultTitle ? `\n*Fault:* ${faultTitle}\n` : "\n") +
+    `Confirm the charger returns to *Ready* and survives a short retest session.\n\n` +
+    `If it re-faults, capture evidence and escalate.`,
+  GD_ESC: (faultTitle) =>
+    `🗂️ *Escalate*\n` +
+    (faultTitle ? `\n*Fault:* ${faultTitle}\n` : "\n") +
+    `Include:\n` +
+    `- Exact screen text / alarms\n` +
+    `- Timestamp\n` +
+    `- Photos (HMI + cabinet/filters/fans where relevant)\n` +
+    `- What you tried (reboot, filters cleaned, fans checked, etc.)\n`,
+};
+const FALLBACK_NODE_IDS = new Set(Object.keys(COMMON_FALLBACK_NODES));
+
+function findFault(packs, pack, faultId) {
+  try {
+    const meta = packs.get(pack);
+    if (!meta) return null;
+    return packs.load(meta.id).faults.find((f) => String(f.id) === String(faultId)) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function nodeOptions(node) {
+  return (Array.isArray(node?.options) ? node.options : []).map((opt, index) => ({
+    index,
+    label: opt?.label || opt?.text || "Next",
+    next: opt?.next ? String(opt.next) : null,
+    requiresRole: opt?.requires_role ? String(opt.requires_role) : null,
+  }));
+}
+
+// role === undefined: no gating (exports, lint, admin tools)
+function optionsForRole(options, role) {
+  return role === undefined ? options : options.filter((o) => roleAllows(role, o.requiresRole));
+}
+
+/**
+ * resolveNode(packs, { pack, fault, nodeId, role }) ->
+ *   { kind: "route", nodeId, pack, fault, startNode }   (or kind "route_error" if the target has no tree)
+ *   { kind: "menu", nodeId, pack }
+ *   { kind: "node", nodeId, pack, fault, node, prompt, options, image, terminal }
+ *   { kind: "locked", nodeId, pack, fault, node, requiredRole, options }   (node's requires_role above `role`)
+ *   { kind: "fallback", nodeId, pack, fault, prompt, options: [], image: null, terminal }
+ *   { kind: "missing", nodeId, pack, fault }
+ */
+function resolveNode(packs, { pack, fault, nodeId, role }) {
+  const id = String(nodeId || "");
+
+  if (id.toUpperCase().startsWith("__ROUTE_")) {
+    const route = packs.byRouteNode(id);
+    if (route) {
+      const target = findFault(packs, route.meta.id, route.faultId);
+      if (!target?.decision_tree?.start_node) return { kind: "route_error", nodeId: id, pack: route.meta.id, faultId: route.faultId };
+      return { kind: "route", nodeId: id, pack: route.meta.id, fault: target, startNode: String(target.decision_tree.start_node) };
+    }
+  }
+
+  const node = fault?.decision_tree?.nodes?.[id];
+
+  const menuPack = packs.byMenuNode(id);
+  if (menuPack) return { kind: "menu", nodeId: id, pack: menuPack.id };
+
+  if (!node) {
+    const build = COMMON_FALLBACK_NODES[id.toUpperCase()];
+    if (build) {
+      return {
+        kind: "fallback",
+        nodeId: id.toUpperCase(),
+        pack,
+        fault,
+        prompt: build(fault?.title || ""),
+        options: [],
+        image: null,
+        terminal: classifyTerminal(id),
+      };
+    }
+    return { kind: "missing", nodeId: id, pack, fault };
+  }
+
+  const options = optionsForRole(nodeOptions(node), role);
+  // Prompt + image withheld; options the role may still take (e.g. "Not authorised") stay
+  if (role !== undefined && node.requires_role && !roleAllows(role, node.requires_role)) {
+    const requiredRole = String(node.requires_role);
+    return { kind: "locked", nodeId: id, pack, fault, node, requiredRole, options, image: null, terminal: null };
+  }
+
+  return {
+    kind: "node",
+    nodeId: id,
+    pack,
+    fault,
+    node,
+    prompt: node.prompt || "…",
+    options,
+    image: node.image ? String(node.image) : null,
+    terminal: classifyTerminal(id, node),
+  };
+}
+
+// Pre-start checklist from safety_notes / tools_required (null when the fault declares neither)
+function faultChecklist(fault) {
+  const list = (v) =>
+    (Array.isArray(v) ? v : v ? [v] : [])
+      .map((s) => String(s ?? "").trim())
+      .filter(Boolean);
+  const safety = list(fault?.safety_notes);
+  const tools = list(fault?.tools_required);
+  return safety.length || tools.length ? { safety, tools } : null;
+}
+
+// First meaningful line of a node prompt, without Markdown markers
+function promptHeadline(prompt, max = 90) {
+  const line =
+    String(prompt || "")
+      .split(/\r?\n/)
+      .map((l) =>
+        l
+          .replace(/[*`]/g, "")
+          .replace(/(^|\s)_+|_+(?=\s|$)/g, "$1")
+          .trim()
+      )
+      .find(Boolean) || "";
+  return line.length > max ? `${line.slice(0, max - 3)}…` : line;
+}
+
+// history = nodes visited (last = current); empty history = start node
+function currentNodeId(fault, history = []) {
+  const hist = Array.isArray(history) ? history : [];
+  return hist.length ? String(hist[hist.length - 1]) : String(fault?.decision_tree?.start_node || "");
+}
+
+/**
+ * nextFromOption(fault, history, index, role) -> { from, option, to } | { error }
+ * error "forbidden" = the option's requires_role is above `role` (stale button / hand-built request)
+ */
+function nextFromOption(fault, history, index, role) {
+  const tree = fault?.decision_tree;
+  if (!tree?.nodes || !tree?.start_node) return { error: "no_decision_tree" };
+  const from = currentNodeId(fault, history);
+  const option = nodeOptions(tree.nodes[from])[Number(index)];
+  if (!option) return { error: "option_not_found", from };
+  if (role !== undefined && !roleAllows(role, option.requiresRole)) return { error: "forbidden", from, option };
+  if (!option.next) return { error: "option_missing_next", from };
+  return { from, option, to: option.next };
+}
+
+module.exports = {
+  COMMON_FALLBACK_NODES,
+  FALLBACK_NODE_IDS,
+  findFault,
+  faultChecklist,
+  nodeOptions,
+  promptHeadline,
+  resolveNode,
+  currentNodeId,
+  nextFromOption,
+};
@@ -0,0 +1,280 @@
+/**
+ * Headless decision-tree sessions over HTTP (web / mobile front ends, sites that block Telegram)
+ * - POST   /                 { pack, faultId, role?, technician?, charger? } -> 201 session view (at the start node)
+ * - GET    /:id                                  -> session view (current node: prompt, options, image URL)
+ * - POST   /:id/ack          { by? }             -> session view (safety notes / tools acknowledged)
+ * - POST   /:id/choice       { option: <index> } -> session view
+ * - POST   /:id/back                             -> session view
+ * - GET    /:id/history                          -> path walked + outcome
+ * - DELETE /:id                                  -> end the session (counted as a menu exit)
+ * Node resolution (routes, __MENU_*__, GD_DONE / GD_ESC fallbacks) comes from dtEngine.js, same as the bot.
+ * `role` (default guest) is whoever the front end signed in: `requires_role:` nodes come back as kind "locked"
+ * with no prompt, restricted options are left out, and choosing one anyway is a 403.
+ * Faults with safety_notes / tools_required carry a `checklist` in the view: show it first, POST /ack, then choices
+ * are accepted (409 checklist_required until then; a routed-into fault needs its own ack).
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const { findFault, faultChecklist, resolveNode, currentNodeId, nextFromOption } = require("./dtEngine");
+const { newRunId } = require("./analytics");
+const { normalizeRole } = require("./access");
+
+// Guard against __ROUTE_*__ loops between packs
+const MAX_ROUTE_HOPS = 5;
+
+function newSessionId() {
+  return `s${crypto.randomBytes(9).toString("hex")}`;
+}
+
+/**
+ * createDtSessionRouter({ packs, store, imageUrl, onEvent })
+ * store    = Map-like session namespace (sessionStore.js)
+ * imageUrl = (imageKey) -> URL or null
+ * onEvent  = (type, state, fields) -> void (analytics)
+ * onDenied = (state, fields) -> void (audit log)
+ * onAck    = (state, ack) -> void (audit log)
+ */
+function createDtSessionRouter({ packs, store, imageUrl = () => null, onEvent = () => {}, onDenied = () => {}, onAck = () => {} }) {
+  const router = express.Router();
+
+  // Sessions created before roles existed count as guest
+  const roleOf = (state) => state.role || "guest";
+
+  const ackFor = (state) =>
+    (state.acks || []).find((a) => a.pack === state.pack && String(a.faultId) === String(state.faultId)) || null;
+
+  function fail(res, status, error, extra = {}) {
+    return res.status(status).json({ ok: false, error, ...extra });
+  }
+
+  function save(state) {
+    state.updatedAt = new Date().toISOString();
+    store.set(state.id, state);
+    return state;
+  }
+
+  // Move the session onto nodeId the way the bot's renderYamlDecisionNode does
+  function goTo(state, nodeId, hops = 0) {
+    const fault = findFault(packs, state.pack, state.faultId);
+    const resolved = resolveNode(packs, { pack: state.pack, fault, nodeId, role: roleOf(state) });
+
+    if (resolved.kind === "route" && hops < MAX_ROUTE_HOPS) {
+      onEvent("terminal", state, { nodeId: resolved.nodeId, outcome: "routed" });
+      state.routedFrom = [...(state.routedFrom || []), { pack: state.pack, faultId: state.faultId, nodeId: resolved.nodeId }];
+      Object.assign(state, { pack: resolved.pack, faultId: String(resolved.fault.id), history: [], run: newRunId() });
+      onEvent("start", state, { nodeId: resolved.startNode, routedFrom: state.routedFrom.at(-1).faultId });
+      return goTo(state, resolved.startNode, hops + 1);
+    }
+    if (resolved.kind === "route" || resolved.kind === "route_error") {
+      state.current = resolved.nodeId;
+      state.error = "route_failed";
+      return state;
+    }
+    if (resolved.kind === "menu") {
+      onEvent("menu_exit", state, { nodeId: currentNodeId(fault, state.history) });
+      Object.assign(state, { current: null, status: "ended", outcome: "menu_exit", menu: resolved.pack });
+      return state;
+    }
+
+    state.current = resolved.nodeId;
+    state.error = resolved.kind === "missing" ? "node_not_found" : null;
+    if (resolved.kind === "locked") onDenied(state, { nodeId: resolved.nodeId, requiredRole: resolved.requiredRole });
+    // Same as the bot: only real (or locked) nodes go on the history stack
+    const onStack = resolved.kind === "node" || resolved.kind === "locked";
+    if (onStack && state.history.at(-1) !== resolved.nodeId) state.history.push(resolved.nodeId);
+    if (resolved.terminal) {
+      state.status = "finished";
+      state.outcome = resolved.terminal;
+    } else if (state.status === "finished") {
+      state.status = "active";
+      state.outcome = null;
+    }
+    return state;
+  }
+
+  function view(state) {
+    const fault = findFault(packs, state.pack, state.faultId);
+    const role = roleOf(state);
+    const resolved = state.current ? resolveNode(packs, { pack: state.pack, fault, nodeId: state.current, role }) : null;
+    const node =
+      resolved && (resolved.kind === "node" || resolved.kind === "fallback" || resolved.kind === "locked")
+        ? {
+            id: resolved.nodeId,
+            kind: resolved.kind,
+            prompt: resolved.kind === "locked" ? null : resolved.prompt,
+            requiredRole: resolved.requiredRole || null,
+            options: resolved.options.map(({ index, label }) => ({ index, label })),
+            image: resolved.image ? imageUrl(resolved.image) : null,
+            terminal: resolved.terminal || null,
+          }
+        : state.current
+          ? { id: state.current, kind: "missing", prompt: `Decision node not found: ${state.current}`, options: [], image: null, terminal: null }
+          : null;
+
+    const list = faultChecklist(fault);
+    return {
+      ok: true,
+      id: state.id,
+      status: state.status,
+      outcome: state.outcome || null,
+      pack: state.pack,
+      faultId: state.faultId,
+      faultTitle: fault?.title || null,
+      role,
+      checklist: list ? { ...list, acknowledged: ackFor(state) } : null,
+      node,
+      canGoBack: state.status !== "ended" && state.history.length > 1,
+      error: state.error || null,
+      menu: state.menu || null,
+      startedAt: state.startedAt,
+      updatedAt: state.updatedAt,
+    };
+  }
+
+  function load(req, res) {
+    const state = store.get(req.params.id);
+    if (!state) {
+      fail(res, 404, "session_not_found");
+      return null;
+    }
+    return state;
+  }
+
+  router.post("/", (req, res) => {
+    const pack = String(req.body?.pack || "").toLowerCase();
+    const faultId = String(req.body?.faultId || req.body?.fault || "");
+    const meta = packs.get(pack);
+    if (!meta) return fail(res, 404, "pack_not_found", { pack });
+    const fault = findFault(packs, meta.id, faultId);
+    if (!fault) return fail(res, 404, "fault_not_found", { pack: meta.id, faultId });
+    if (!fault.decision_tree?.start_node) return fail(res, 422, "no_decision_tree", { pack: meta.id, faultId });
+    const role = req.body?.role == null || req.body.role === "" ? "guest" : normalizeRole(req.body.role);
+    if (!role) return fail(res, 400, "unknown_role", { role: String(req.body.role) });
+
+    const state = {
+      id: newSessionId(),
+      pack: meta.id,
+      faultId: String(fault.id),
+      role,
+      technician: String(req.body?.technician || "").trim().slice(0, 80),
+      charger: String(req.body?.charger || "").trim().slice(0, 80),
+      history: [],
+      current: null,
+      trail: [],
+      status: "active",
+      outcome: null,
+      run: newRunId(),
+      startedAt: new Date().toISOString(),
+    };
+    const startNode = String(fault.decision_tree.start_node);
+    onEvent("start", state, { nodeId: startNode });
+    goTo(state, startNode);
+    save(state);
+    res.status(201).json(view(state));
+  });
+
+  router.get("/:id", (req, res) => {
+    const state = load(req, res);
+    if (state) res.json(view(state));
+  });
+
+  router.post("/:id/choice", (req, res) => {
+    const state = load(req, res);
+    if (!state) return;
+    if (state.status === "ended") return fail(res, 409, "session_ended");
+
+    const fault = findFault(packs, state.pack, state.faultId);
+    if (faultChecklist(fault) && !ackFor(state)) return fail(res, 409, "checklist_required", { faultId: state.faultId });
+    const step = nextFromOption(fault, state.history, req.body?.option, roleOf(state));
+    if (step.error === "forbidden") {
+      onDenied(state, { nodeId: step.from, option: step.option.index, requiredRole: step.option.requiresRole });
+      return fail(res, 403, "forbidden", { node: step.from, requiredRole: step.option.requiresRole });
+    }
+    if (step.error) return fail(res, 422, step.error, { node: step.from || null });
+
+    onEvent("choice", state, { from: step.from, option: step.option.index, to: step.to });
+    const next = resolveNode(packs, { pack: state.pack, fault, nodeId: step.to, role: roleOf(state) });
+    if (next.terminal) onEvent("terminal", state, { nodeId: step.to, outcome: next.terminal });
+
+    state.trail.push({ from: step.from, option: step.option.index, label: step.option.label, to: step.to, at: new Date().toISOString() });
+    goTo(state, step.to);
+    res.json(view(save(state)));
+  });
+
+  router.post("/:id/ack", (req, res) => {
+    const state = load(req, res);
+    if (!state) return;
+    if (state.status === "ended") return fail(res, 409, "session_ended");
+
+    const fault = findFault(packs, state.pack, state.faultId);
+    const list = faultChecklist(fault);
+    if (!list) return fail(res, 422, "no_checklist", { faultId: state.faultId });
+    let packVersion = "";
+    try {
+      packVersion = packs.load(state.pack).version || "";
+    } catch (_) {}
+    const ack = {
+      pack: state.pack,
+      faultId: state.faultId,
+      packVersion,
+      at: new Date().toISOString(),
+      by: String(req.body?.by || "").trim().slice(0, 80),
+      safety: list.safety,
+      tools: list.tools,
+    };
+    state.acks = [...(state.acks || []), ack];
+    onAck(state, ack);
+    res.json(view(save(state)));
+  });
+
+  router.post("/:id/back", (req, res) => {
+    const state = load(req, res);
+    if (!state) return;
+    if (state.status === "ended") return fail(res, 409, "session_ended");
+
+    // Like dt:bk: pop the current node (a fallback node isn't on the stack, so the pop lands before it)
+    if (state.history.length <= 1) return fail(res, 409, "at_start");
+    const from = state.current;
+    state.history.pop();
+    const prev = state.history.at(-1);
+    onEvent("back", state, { from, to: prev });
+    state.trail.push({ back: true, from, to: prev, at: new Date().toISOString() });
+    goTo(state, prev);
+    res.json(view(save(state)));
+  });
+
+  router.get("/:id/history", (req, res) => {
+    const state = load(req, res);
+    if (!state) return;
+    res.json({
+      ok: true,
+      id: state.id,
+      pack: state.pack,
+      faultId: state.faultId,
+      status: state.status,
+      outcome: state.outcome || null,
+      current: state.current,
+      path: state.history,
+      trail: state.trail,
+      acks: state.acks || [],
+      routedFrom: state.routedFrom || [],
+    });
+  });
+
+  router.delete("/:id", (req, res) => {
+    const state = load(req, res);
+    if (!state) return;
+    if (state.status !== "ended") {
+      const fault = findFault(packs, state.pack, state.faultId);
+      if (state.status === "active") onEvent("menu_exit", state, { nodeId: currentNodeId(fault, state.history) });
+      Object.assign(state, { status: "ended", outcome: state.outcome || "menu_exit" });
+      save(state);
+    }
+    res.json(view(state));
+  });
+
+  return router;
+}
+
+module.exports = { createDtSessionRouter };
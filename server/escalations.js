@@ -0,0 +1,90 @@
+/**
+ * Escalation hand-offs (file-backed, one JSON file)
+ * - A technician on a *_ESC node packages fault, path, notes, photos and charger IDs into an escalation
+ * - The bot posts it to the supervisor group; every bot message about it there is remembered, so a reply to any of
+ *   them can be relayed back to the technician
+ * - Status: open -> acknowledged -> owned (taking ownership also acknowledges)
+ */
+
+const crypto = require("crypto");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const ESCALATION_STATUSES = ["open", "acknowledged", "owned"];
+
+function newEscalationId() {
+  return `e${crypto.randomBytes(5).toString("hex")}`;
+}
+
+/**
+ * createEscalationStore(file) -> { create, get, update, byGroupMessage, addGroupMessage, dueForRealert, list }
+ */
+function createEscalationStore(file) {
+  const items = readJsonFile(file, {}, "Escalations");
+
+  function save() {
+    writeJsonFile(file, items, "Escalations");
+  }
+
+  function create(fields = {}) {
+    const now = new Date().toISOString();
+    const item = {
+      id: newEscalationId(),
+      status: "open",
+      createdAt: now,
+      updatedAt: now,
+      groupMessageIds: [],
+      replies: [],
+      realerts: 0,
+      lastAlertAt: now,
+      ackedBy: null,
+      owner: null,
+      ...fields,
+    };
+    items[item.id] = item;
+    save();
+    return item;
+  }
+
+  function get(id) {
+    return items[String(id)] || null;
+  }
+
+  function update(id, patch = {}) {
+    const cur = get(id);
+    if (!cur) return null;
+    items[cur.id] = { ...cur, ...patch, updatedAt: new Date().toISOString() };
+    save();
+    return items[cur.id];
+  }
+
+  // Remember a bot message in the group (package, photos, re-alerts) so replies to it find the escalation
+  function addGroupMessage(id, messageId) {
+    const cur = get(id);
+    if (!cur || messageId == null) return cur;
+    return update(id, { groupMessageIds: [...cur.groupMessageIds, Number(messageId)] });
+  }
+
+  function byGroupMessage(messageId) {
+    return Object.values(items).find((e) => e.groupMessageIds.includes(Number(messageId))) || null;
+  }
+
+  // Posted, still open, last alert older than `afterMs`, fewer than `max` re-alerts so far
+  function dueForRealert(afterMs, max, now = Date.now()) {
+    return Object.values(items).filter(
+      (e) =>
+        e.status === "open" && e.groupMessageIds.length && e.realerts < max && now - Date.parse(e.lastAlertAt || e.createdAt) >= afterMs
+    );
+  }
+
+  // Newest first
+  function list({ status = "", limit = 50 } = {}) {
+    return Object.values(items)
+      .filter((e) => !status || e.status === status)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+
+  return { file, create, get, update, addGroupMessage, byGroupMessage, dueForRealert, list };
+}
+
+module.exports = { ESCALATION_STATUSES, createEscalationStore };
@@ -0,0 +1,150 @@
+/**
+ * One-tap feedback store (file-backed, append-only)
+ * - <dir>/feedback.jsonl : one line per vote / follow-up comment (never rewritten)
+ * - <dir>/contexts.json  : short button key -> { pack, faultId, nodeId, packVersion, source }
+ *   (Telegram caps callback_data at 64 bytes, so buttons carry the key, not the context)
+ * - summarize() ranks faults and nodes by negative feedback for pack authors
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const CONTEXT_FIELDS = ["pack", "faultId", "nodeId", "packVersion", "source"];
+
+function readLines(file) {
+  try {
+    if (!fs.existsSync(file)) return [];
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch (e) {
+    console.error(`❌ Feedback log unreadable: ${file}`, e?.message || e);
+    return [];
+  }
+}
+
+function pickContext(ctx = {}) {
+  const out = {};
+  for (const k of CONTEXT_FIELDS) out[k] = String(ctx[k] ?? "");
+  return out;
+}
+
+/**
+ * createFeedbackStore(dir) -> { contextKey, context, record, addComment, list, summarize }
+ */
+function createFeedbackStore(dir) {
+  const logFile = path.join(dir, "feedback.jsonl");
+  const ctxFile = path.join(dir, "contexts.json");
+  const contexts = new Map(Object.entries(readJsonFile(ctxFile, {}, "Feedback contexts")));
+
+  function saveContexts() {
+    writeJsonFile(ctxFile, Object.fromEntries(contexts), "Feedback contexts", { space: 0 });
+  }
+
+  function append(entry) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(logFile, JSON.stringify(entry) + "\n");
+    return entry;
+  }
+
+  // Same context -> same key, so re-rendering a node doesn't grow contexts.json
+  function contextKey(ctx) {
+    const c = pickContext(ctx);
+    const key = crypto.createHash("sha1").update(JSON.stringify(c)).digest("hex").slice(0, 12);
+    if (!contexts.has(key)) {
+      contexts.set(key, c);
+      saveContexts();
+    }
+    return key;
+  }
+
+  function context(key) {
+    return contexts.get(String(key || "")) || null;
+  }
+
+  // vote: "up" | "down"
+  function record({ vote, ctx, userId = null, chatId = null }) {
+    return append({
+      type: "vote",
+      id: `f${Date.now().toString(36)}${crypto.randomBytes(3).toString("hex")}`,
+      at: new Date().toISOString(),
+      vote: vote === "down" ? "down" : "up",
+      ...pickContext(ctx),
+      userId,
+      chatId,
+    });
+  }
+
+  function addComment(feedbackId, text, { userId = null } = {}) {
+    return append({ type: "comment", feedbackId, at: new Date().toISOString(), text: String(text || "").slice(0, 1000), userId });
+  }
+
+  // Votes with their follow-up comment attached (newest last)
+  function list({ pack = "", since = "" } = {}) {
+    const lines = readLines(logFile);
+    const comments = new Map();
+    for (const l of lines) if (l.type === "comment" && l.feedbackId) comments.set(l.feedbackId, l.text);
+    return lines
+      .filter((l) => l.type === "vote")
+      .filter((l) => !pack || l.pack === pack)
+      .filter((l) => !since || String(l.at) >= since)
+      .map((l) => (comments.has(l.id) ? { ...l, comment: comments.get(l.id) } : l));
+  }
+
+  /**
+   * summarize({ pack, since, limit }) -> { totals, faults: [...], nodes: [...] }
+   * Ranked worst first: most 👎, then highest 👎 share.
+   */
+  function summarize({ pack = "", since = "", limit = 20 } = {}) {
+    const votes = list({ pack, since });
+    const faults = new Map();
+    const nodes = new Map();
+    const totals = { votes: votes.length, up: 0, down: 0, comments: 0 };
+
+    const bump = (map, key, base, v) => {
+      if (!map.has(key)) map.set(key, { ...base, up: 0, down: 0, versions: new Set(), comments: [] });
+      const row = map.get(key);
+      row[v.vote] += 1;
+      if (v.packVersion) row.versions.add(v.packVersion);
+      if (v.comment) row.comments.push({ at: v.at, text: v.comment, packVersion: v.packVersion });
+    };
+
+    for (const v of votes) {
+      totals[v.vote] += 1;
+      if (v.comment) totals.comments += 1;
+      if (!v.faultId) continue;
+      bump(faults, `${v.pack}:${v.faultId}`, { pack: v.pack, faultId: v.faultId }, v);
+      if (v.nodeId) bump(nodes, `${v.pack}:${v.faultId}:${v.nodeId}`, { pack: v.pack, faultId: v.faultId, nodeId: v.nodeId }, v);
+    }
+
+    const rank = (map) =>
+      [...map.values()]
+        .map((r) => ({
+          ...r,
+          total: r.up + r.down,
+          negativeRate: r.up + r.down ? Math.round((r.down / (r.up + r.down)) * 100) / 100 : 0,
+          versions: [...r.versions],
+          comments: r.comments.slice(-5),
+        }))
+        .filter((r) => r.down > 0)
+        .sort((a, b) => b.down - a.down || b.negativeRate - a.negativeRate || b.total - a.total)
+        .slice(0, limit);
+
+    return { totals, faults: rank(faults), nodes: rank(nodes) };
+  }
+
+  return { dir, contextKey, context, record, addComment, list, summarize };
+}
+
+module.exports = { createFeedbackStore };
@@ -0,0 +1,119 @@
+/**
+ * UI message catalogues + per-user language
+ * - locales/<lang>.yml (nested keys, flattened to "menu.title" etc.); meta.name / meta.flag label the language in /lang
+ * - t(lang, key, vars): "{name}" placeholders; missing key in <lang> -> English -> the key itself
+ * - Language = /lang choice (stored durably) > Telegram language_code > English
+ * Fault content (titles, prompts, option labels) is translated by pack sidecars instead, see server/packs.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const DEFAULT_LANG = "en";
+const DEFAULT_LOCALES_DIR = path.join(__dirname, "..", "locales");
+
+// "es-MX" / "ES" -> "es"; anything else -> ""
+function normalizeLang(code) {
+  const m = String(code || "")
+    .trim()
+    .toLowerCase()
+    .match(/^([a-z]{2})(?:[-_][a-z0-9]+)?$/);
+  return m ? m[1] : "";
+}
+
+function flatten(obj, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flatten(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+function interpolate(s, vars = {}) {
+  return String(s).replace(/\{(\w+)\}/g, (m, k) => (vars[k] == null ? m : String(vars[k])));
+}
+
+/**
+ * createI18n(dir) -> { t, has, resolve, languages, reload }
+ * A catalogue that fails to parse keeps its last good version (same as fault packs).
+ */
+function createI18n(dir = DEFAULT_LOCALES_DIR) {
+  let catalogues = new Map(); // lang -> { key: text }
+
+  function reload() {
+    const next = new Map();
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter((f) => /^[a-z]{2}\.ya?ml$/i.test(f));
+    } catch (e) {
+      console.error(`❌ Locales directory unreadable: ${dir}`, e?.message || e);
+    }
+    for (const f of files) {
+      const lang = f.slice(0, 2).toLowerCase();
+      try {
+        next.set(lang, flatten(yaml.load(fs.readFileSync(path.join(dir, f), "utf8"))));
+      } catch (e) {
+        console.error(`❌ Locale failed to load: ${f} — ${String(e?.message || e).split("\n")[0]}`);
+        if (catalogues.has(lang)) next.set(lang, catalogues.get(lang));
+      }
+    }
+    catalogues = next;
+    return [...catalogues.keys()];
+  }
+
+  function has(lang, key) {
+    const cat = catalogues.get(lang);
+    return !!cat && cat[key] != null;
+  }
+
+  // Supported language for a code, else English
+  function resolve(code) {
+    const lang = normalizeLang(code);
+    return catalogues.has(lang) ? lang : DEFAULT_LANG;
+  }
+
+  function t(lang, key, vars) {
+    const v = catalogues.get(lang)?.[key] ?? catalogues.get(DEFAULT_LANG)?.[key];
+    if (v == null) return key;
+    return Array.isArray(v) ? v.map((s) => interpolate(s, vars)) : interpolate(v, vars);
+  }
+
+  function languages() {
+    return [...catalogues.keys()]
+      .sort((a, b) => (a === DEFAULT_LANG ? -1 : b === DEFAULT_LANG ? 1 : a.localeCompare(b)))
+      .map((code) => ({ code, name: t(code, "meta.name"), flag: t(code, "meta.flag") }));
+  }
+
+  reload();
+  return { dir, t, has, resolve, languages, reload };
+}
+
+/**
+ * Durable /lang choices: userId -> { lang, at } in one JSON file
+ */
+function createLanguagePrefs(file) {
+  const prefs = readJsonFile(file, {}, "Language prefs");
+
+  function save() {
+    writeJsonFile(file, prefs, "Language prefs");
+  }
+
+  return {
+    get: (userId) => (userId == null ? "" : prefs[String(userId)]?.lang || ""),
+    set(userId, lang) {
+      if (userId == null || !lang) return;
+      prefs[String(userId)] = { lang, at: new Date().toISOString() };
+      save();
+    },
+    delete(userId) {
+      if (userId == null || !prefs[String(userId)]) return;
+      delete prefs[String(userId)];
+      save();
+    },
+  };
+}
+
+module.exports = { DEFAULT_LANG, DEFAULT_LOCALES_DIR, normalizeLang, createI18n, createLanguagePrefs };
@@ -1,10 +1,10 @@
 /**
  * EVBot backend (Express + YAML fault library + Telegram bot)
  * - Works locally (polling) and on Railway (webhook)
- * - Manufacturer menu first (General DC + Autel + Kempower + Tritium)
- * - Fault packs loaded from ../faults/*.yml
- * - YAML decision_tree supported with SAFE callback_data (dt:start / dt:o:<idx> / dt:bk / dt:mn)
- * - /report builds a client-ready service report
+ * - Manufacturer menu first (built from the pack registry, see server/packs.js)
+ * - Fault packs auto-discovered from ../faults/*.yml (each declares its own `pack:` header)
+ * - YAML decision_tree supported with SAFE callback_data (dt:start / dt:ack / dt:o:<idx> / dt:bk / dt:mn)
+ * - /report builds a client-ready service report (guided wizard → preview with per-field Edit → Confirm & send)
  *
  * ✅ UX + ROUTING FIX (Jan 2026):
  * - Standardize callbacks for ALL packs:
@@ -23,9 +23,128 @@
  * - Adds safe fallbacks for missing common nodes (GD_ESC / GD_DONE)
  * - Adds support for route node IDs: __ROUTE_GENERAL_DC_OFFLINE__ / __ROUTE_GENERAL_DC_OVERTEMP__
  *
+ * ✅ NEW (Pack registry):
+ * - Menus, /<pack> commands, /debug/<pack>, __MENU_<PACK>__ / __ROUTE_*__ nodes and callbacks all come from faults/*.yml
+ * - Adding a manufacturer = dropping a new .yml with a `pack:` header (no JS changes)
+ *
+ * ✅ NEW (Pack cache + hot reload):
+ * - Packs parsed once and served from memory; edits on disk hot-reload (bad saves keep the last good version)
+ * - POST /admin/reload (Bearer ADMIN_TOKEN) and /reload (ADMIN_USER_IDS) report what changed
+ *
+ * ✅ NEW (Pack linter):
+ * - Boot (and every hot reload) runs the same checks as `npm run lint-packs` and logs file:line issues
+ *
+ * ✅ NEW (Persistent sessions):
+ * - dtState / dtMsgState / reportState live in a session store (file-backed by default) so redeploys don't
+ *   lose a tech's half-finished path or report; sessions expire after a TTL, message bindings are capped per chat
+ *
+ * ✅ NEW (Search):
+ * - Free text (outside the report wizard) searches every pack by title / aliases / triggers / tags
+ * - Results come back as fault buttons (same <pack>:fault:<id> callbacks as the menus)
+ *
+ * ✅ NEW (Error codes):
+ * - /code <CODE> jumps straight to the fault that lists it (chooser if several do)
+ * - GET /api/codes/:code returns the same lookup as JSON
+ *
+ * ✅ NEW (PDF report):
+ * - Confirmed reports are saved (with their photos) under REPORTS_DIR and sent back as a branded PDF document
+ * - GET /api/reports, /api/reports/:id and /api/reports/:id/pdf (Bearer ADMIN_TOKEN) serve them again
+ *
  * ✅ NEW (Feedback):
  * - Adds one-tap “Was this useful?” buttons on fault cards + decision tree nodes
- * - Logs feedback events to console as JSON (Railway logs)
+ * - Votes are stored durably (FEEDBACK_DIR) with pack / fault / node / pack version / user
+ * - 👎 asks “what was missing?” and keeps the next text message as a follow-up comment
+ * - GET /api/feedback/summary (Bearer ADMIN_TOKEN) and /feedback (ADMIN_USER_IDS) rank faults + nodes by 👎
+ *
+ * ✅ NEW (Charger history + repeat faults):
+ * - Every troubleshooting session (bot or /api/sessions with `charger`) and report on a known charger (/charger
+ *   selection, report charger ID / serial) is kept per charger in CHARGER_HISTORY_FILE, with its outcome
+ * - Opening a fault on a charger that had it (or a related fault) within REPEAT_FAULT_DAYS shows
+ *   "🔁 3rd time in 30 days — previous outcomes: …"
+ * - GET /api/chargers/recurring (?days=&min=), /api/chargers/:ref/history (Bearer ADMIN_TOKEN)
+ *
+ * ✅ NEW (Asset registry):
+ * - Sites + chargers (manufacturer, model, serial, public ID, OCPP ID, location, commissioning date) in ASSETS_FILE,
+ *   imported from CSV (POST /api/assets/import, ?dryRun=1) or managed one by one under /api/assets (Bearer ADMIN_TOKEN)
+ * - /charger <ID or serial> selects the charger for the chat: its pack menu opens, a recent charger-reported fault is
+ *   offered, and the report wizard / escalations come pre-filled (site, charger IDs, serial, asset ID)
+ * - /charger shows the selection, /charger clear drops it
+ *
+ * ✅ NEW (Charger-reported faults, OCPP 1.6J):
+ * - StatusNotifications forwarded from the CSMS (POST /api/ocpp/status, Bearer OCPP_INGEST_TOKEN) or sent straight
+ *   to the OCPP-J listener (OCPP_WS=true, ws://<host>/ocpp/<chargePointId>) are matched to a fault by vendorErrorCode /
+ *   info / errorCode against pack aliases + triggers; the latest fault per charger is kept (OCPP_STATUS_FILE)
+ * - A tech who types a charger ID / serial (free text or the report wizard) is offered
+ *   "Charger X reported CODE 12 min ago → Open <fault>" while that fault is uncleared and recent
+ * - GET /api/ocpp/chargers (?faulted=1), /api/ocpp/chargers/:id (Bearer ADMIN_TOKEN)
+ * - npm run ocpp-sim : simulated charge point (WebSocket or HTTP forwarding)
+ *
+ * ✅ NEW (Ticketing):
+ * - Confirming a report or sending an escalation creates a service ticket (TICKETING=rest|jira) and attaches the
+ *   photos (+ the report PDF); the ticket key is written back into the report (clientRef when empty) / escalation
+ * - A report whose client reference is already a ticket key, or a fault escalated from the same chat within
+ *   TICKETING_REUSE_HOURS, updates that ticket (comment) instead of opening another
+ * - rest = any JSON API via a field-mapping template (TICKETING_TEMPLATE_FILE); jira = Jira REST v2 issues
+ * - POST /api/reports/:id/ticket, /api/escalations/:id/ticket (Bearer ADMIN_TOKEN) retry a failed sync
+ * - npm run ticketing-mock : local mock of both APIs
+ *
+ * ✅ NEW (Outbound webhooks):
+ * - session.started, node.reached, session.resolved (*_DONE), session.escalated (*_ESC), feedback.given, report.completed
+ *   are POSTed to OUTBOUND_WEBHOOK_URLS, HMAC-signed, retried with backoff, dead-lettered after the last attempt
+ * - GET /api/webhooks/deliveries (+ /:id), POST /api/webhooks/deliveries/:id/replay (Bearer ADMIN_TOKEN)
+ * - npm run webhook-receiver -- --secret=... : local receiver that checks signatures
+ *
+ * ✅ NEW (Escalation hand-off):
+ * - *_ESC nodes (and the GD_ESC fallback) offer "🚨 Escalate now": charger IDs, notes and photos are collected, then
+ *   fault + path + evidence go to ESCALATION_CHAT_ID with ✅ Acknowledge / 🙋 Take ownership buttons
+ * - Replies in the group to the escalation (or any bot message about it) are relayed to the technician
+ * - Unacknowledged escalations are re-posted every ESCALATION_REALERT_MIN; GET /api/escalations lists them
+ *
+ * ✅ NEW (Severity + critical alerts):
+ * - Full fault lists are sorted most urgent first and badged 🟥 critical / 🟧 high / 🟨 medium / 🟩 low
+ * - "🏷️ Filter by tag" narrows a pack's list to one of its `tags:` (<pack>:tags / <pack>:tag:<tag>)
+ * - Starting troubleshooting on a `severity: critical` fault (bot or /api/sessions) alerts SUPERVISOR_CHAT_ID
+ *   with the technician, pack, fault and charger when known
+ *
+ * ✅ NEW (Pre-start checklist):
+ * - "Start troubleshooting" first lists the fault's safety_notes / tools_required; the tech must confirm (dt:ack)
+ * - The confirmation (who, when, which items) stays with the DT session, goes on any report from it and to the audit log
+ * - /api/sessions: the view carries `checklist`, POST /:id/ack confirms it, choices are refused until then
+ *
+ * ✅ NEW (Access control):
+ * - Roles guest < technician < hv_technician < admin; admins /invite <userId> [role], /revoke <userId>, /users
+ * - ACCESS_MODE=allowlist turns away anyone not invited (they get their user ID to pass on); open = unregistered are guests
+ *   Supervisors in ESCALATION_CHAT_ID need no invite to acknowledge / own / reply to escalations there; the rest of
+ *   the bot still needs one
+ * - YAML `requires_role:` locks a node's prompt / hides an option below that role (bot + /api/sessions)
+ * - Denied actions, invites and revocations go to the audit log (AUDIT_LOG_FILE, GET /api/audit)
+ *
+ * ✅ NEW (Languages):
+ * - UI text comes from message catalogues (locales/<lang>.yml); fault text from pack sidecars (faults/i18n/<pack>.<lang>.yml)
+ * - /lang overrides the Telegram language (stored in LANG_PREFS_FILE); anything untranslated falls back to English
+ * - Service reports (final message + PDF) stay in English for the client
+ *
+ * ✅ NEW (Tree diagrams):
+ * - Any fault's decision tree (or a whole pack) as a Mermaid / Graphviz DOT flowchart for sign-off
+ * - npm run export-tree -- <pack> [faultId] [--dot], or GET /api/v1/packs/:pack[/faults/:id]/diagram?format=mermaid|dot
+ * - ESC / DONE / EVIDENCE / route / menu nodes styled apart; unresolved `next:` targets drawn in red
+ *
+ * ✅ NEW (Headless troubleshooting sessions):
+ * - /api/sessions (Bearer DT_API_TOKEN): start a fault's tree, read the current node, choose, go back, fetch history
+ * - Same node resolution as the bot (server/dtEngine.js: routes, __MENU_*__, GD_DONE / GD_ESC fallbacks)
+ *
+ * ✅ NEW (REST API v1, read-only):
+ * - /api/v1/packs, /api/v1/faults (severity / tags / charger_type filters), /api/v1/packs/:pack/faults/:id,
+ *   /api/v1/search — paginated, ETag + 304 while pack versions are unchanged (see server/apiV1.js)
+ *
+ * ✅ NEW (Node images):
+ * - Nodes with `image:` are sent as photos (prompt = caption), uploaded straight from assets/images (no PUBLIC_URL needed)
+ * - Telegram file_ids are cached (MEDIA_CACHE_FILE) so each image uploads once; long prompts get a “Full step” button
+ * - Text ↔ photo switches (Back, menus) replace the message instead of failing to edit it
+ *
+ * ✅ NEW (Decision-tree analytics):
+ * - dt:start / option / back / menu exit / terminal node are stored as run events (ANALYTICS_DIR)
+ * - GET /api/analytics (Bearer ADMIN_TOKEN): per-fault funnels, done vs escalated, median time per node, top paths
  *
  * IMPORTANT ENV:
  *   TELEGRAM_BOT_TOKEN=...
@@ -33,19 +152,95 @@
  *   USE_WEBHOOK=true   (Railway)
  *   USE_WEBHOOK=false  (Local)
  *   TELEGRAM_WEBHOOK_SECRET=optional_secret
+ *   ADMIN_TOKEN=...              (Bearer token for /admin/* routes; routes disabled if unset)
+ *   ADMIN_USER_IDS=123,456       (Telegram user IDs that are always admin: admin bot commands, /invite)
+ *   DT_API_TOKEN=...             (Bearer token for /api/sessions; routes disabled if unset)
  *
  * OPTIONAL FEATURE FLAGS:
  *   ENABLE_REPORTS=true|false   (default false if unset)
+ *   PACK_HOT_RELOAD=true|false  (default true: watch faults/ and reload on change)
+ *   SESSION_STORE=file|memory   (default file; memory = old behaviour, lost on restart)
+ *   SESSION_FILE=path           (default ../data/sessions.json)
+ *   SESSION_TTL_HOURS=72        (idle sessions expire after this)
+ *   DT_MESSAGE_BINDINGS_PER_CHAT=25 (old-button bindings kept per chat)
+ *   REPORTS_DIR=path            (default ../data/reports; saved reports + photos)
+ *   FEEDBACK_DIR=path           (default ../data/feedback; votes + follow-up comments)
+ *   ANALYTICS_DIR=path          (default ../data/analytics; decision-tree session events)
+ *   MEDIA_CACHE_FILE=path       (default ../data/telegram-file-ids.json; uploaded image file_ids)
+ *   LANG_PREFS_FILE=path        (default ../data/languages.json; /lang choices per user)
+ *   ACCESS_MODE=open|allowlist  (default open: anyone can use the bot, unregistered users are guests)
+ *   USERS_FILE=path             (default ../data/users.json; invited users + roles)
+ *   AUDIT_LOG_FILE=path         (default ../data/audit.jsonl; denied actions, invites, revocations)
+ *   SUPERVISOR_CHAT_ID=-100...  (chat / group told when troubleshooting starts on a critical fault; off if unset)
+ *   CRITICAL_ALERT_COOLDOWN_MIN=30 (one alert per chat / session + fault within this window)
+ *   ESCALATION_CHAT_ID=-100...  (supervisor group for "Escalate now"; default SUPERVISOR_CHAT_ID; button hidden if neither)
+ *   ESCALATIONS_FILE=path       (default ../data/escalations.json)
+ *   ESCALATION_REALERT_MIN=15   (re-post unacknowledged escalations after this long…)
+ *   ESCALATION_MAX_REALERTS=3   (…at most this many times)
+ *   OUTBOUND_WEBHOOK_URLS=https://a,https://b (POST every event to each; off if unset)
+ *   OUTBOUND_WEBHOOK_SECRET=... (HMAC key for X-EVBot-Signature; required, webhooks stay off without it)
+ *   OUTBOUND_WEBHOOK_EVENTS=session.started,report.completed (default: all, see server/webhooks.js)
+ *   OUTBOUND_WEBHOOK_DIR=path   (default ../data/webhooks; recent deliveries + dead-letter.jsonl)
+ *   OUTBOUND_WEBHOOK_MAX_ATTEMPTS=5, OUTBOUND_WEBHOOK_RETRY_MS=2000 (backoff doubles per attempt)
+ *   OCPP_INGEST_TOKEN=...       (Bearer token for POST /api/ocpp/status; route disabled if unset)
+ *   OCPP_WS=true|false          (default false: OCPP-J WebSocket listener on the same port)
+ *   OCPP_WS_PATH=/ocpp          (charge points connect to <path>/<chargePointId>, subprotocol ocpp1.6)
+ *   OCPP_WS_PASSWORD=...        (optional: HTTP Basic auth, user = chargePointId — OCPP security profile 1)
+ *   OCPP_STATUS_FILE=path       (default ../data/ocpp-status.json; latest status + fault per charger)
+ *   OCPP_FAULT_MAX_AGE_HOURS=24 (older charger faults are no longer offered to techs)
+ *   ASSETS_FILE=path            (default ../data/assets.json; site + charger registry)
+ *   CHARGER_HISTORY_FILE=path   (default ../data/charger-history.jsonl; sessions + reports per charger)
+ *   REPEAT_FAULT_DAYS=30        (repeat banner + /api/chargers/recurring look back this far)
+ *   REPEAT_FAULT_VISIT_GAP_HOURS=12 (entries on the same charger + fault closer than this are one visit)
+ *   REPEAT_FAULT_RELATED_TAGS=2 (faults sharing this many tags count as related; 0 = same fault only)
+ *   TICKETING=rest|jira         (service tickets from reports + escalations; off if unset)
+ *   TICKETING_URL=https://...   (rest: API base URL)
+ *   TICKETING_TOKEN=...         (rest: sent as Bearer token)
+ *   TICKETING_TEMPLATE_FILE=path (rest: field-mapping template .yml/.json; default in server/ticketing.js)
+ *   TICKETING_REUSE_HOURS=24    (escalation ticket updated, not duplicated, by the same chat + fault within this)
+ *   JIRA_URL=https://x.atlassian.net, JIRA_EMAIL=..., JIRA_API_TOKEN=..., JIRA_PROJECT=SVC, JIRA_ISSUE_TYPE=Task
+ *   REPORT_BRAND_NAME=EVBot     (PDF header)
+ *   REPORT_BRAND_COLOR=#0B6E4F  (PDF header band / accents)
+ *   REPORT_LOGO=path            (png/jpg; default ../assets/images/logo.png if present)
+ *   REPORT_PDF_FONT=path        (.ttf for full Unicode; built-in Helvetica otherwise)
  */
 
 require("dotenv").config({ path: require("path").join(__dirname, ".env") });
 
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const fs = require("fs");
 const path = require("path");
-const yaml = require("js-yaml");
 const TelegramBot = require("node-telegram-bot-api");
+const { createPackRegistry, formatReloadSummary, imageKeyCandidates, severityRank } = require("./packs");
+const { lintPacks, formatIssue, formatLintSummary } = require("./packLint");
+const { createSessionStore } = require("./sessionStore");
+const { cbManufacturer, cbPackMenu, cbPackAll, cbPackTags, cbPackTag, cbFault, cbReportFromFault } = require("./callbacks");
+const { buildSearchIndex, searchFaults, buildCodeIndex, lookupCode } = require("./search");
+const { createReportStore } = require("./reportStore");
+const { renderReportPdf, safetyCheckSummary } = require("./reportPdf");
+const { createFeedbackStore } = require("./feedbackStore");
+const { createAnalyticsStore, buildFunnels, classifyTerminal, newRunId } = require("./analytics");
+const { createFileIdCache, fitCaption } = require("./telegramMedia");
+const { createApiV1Router } = require("./apiV1");
+const { resolveNode, nextFromOption, promptHeadline, faultChecklist } = require("./dtEngine");
+const { createDtSessionRouter } = require("./dtSessionApi");
+const { DEFAULT_LANG, normalizeLang, createI18n, createLanguagePrefs } = require("./i18n");
+const { ROLES, normalizeRole, createUserRegistry, createAuditLog } = require("./access");
+const { ESCALATION_STATUSES, createEscalationStore } = require("./escalations");
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES, createWebhookDispatcher } = require("./webhooks");
+const { PRIORITY_BY_SEVERITY, createTicketingConnector } = require("./ticketing");
+const {
+  normalizeStatusNotification,
+  isFaultNotification,
+  vendorPack,
+  matchStatusFault,
+  createChargerStatusStore,
+  attachOcppListener,
+} = require("./ocpp");
+const { createAssetRegistry } = require("./assets");
+const { createChargerHistory } = require("./chargerHistory");
 
 function logEvent(event, data = {}) {
   console.log(JSON.stringify({ event, ...data, ts: new Date().toISOString() }));
@@ -84,6 +279,67 @@ const TELEGRAM_WEBHOOK_SECRET = (process.env.TELEGRAM_WEBHOOK_SECRET || "").trim
 
 // Feature flags (default OFF)
 const ENABLE_REPORTS = String(process.env.ENABLE_REPORTS || "").toLowerCase() === "true";
+// Default ON
+const PACK_HOT_RELOAD = String(process.env.PACK_HOT_RELOAD || "true").toLowerCase() !== "false";
+
+const SESSION_STORE = String(process.env.SESSION_STORE || "file").toLowerCase() === "memory" ? "memory" : "file";
+const SESSION_FILE = (process.env.SESSION_FILE || "").trim() || path.join(__dirname, "..", "data", "sessions.json");
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 72;
+const DT_MESSAGE_BINDINGS_PER_CHAT = Number(process.env.DT_MESSAGE_BINDINGS_PER_CHAT) || 25;
+
+const REPORTS_DIR = (process.env.REPORTS_DIR || "").trim() || path.join(__dirname, "..", "data", "reports");
+const REPORT_BRAND_NAME = (process.env.REPORT_BRAND_NAME || "").trim() || "EVBot";
+const REPORT_BRAND_COLOR = (process.env.REPORT_BRAND_COLOR || "").trim() || "#0B6E4F";
+const REPORT_LOGO = (process.env.REPORT_LOGO || "").trim() || path.join(__dirname, "..", "assets", "images", "logo.png");
+const REPORT_PDF_FONT = (process.env.REPORT_PDF_FONT || "").trim();
+const FEEDBACK_DIR = (process.env.FEEDBACK_DIR || "").trim() || path.join(__dirname, "..", "data", "feedback");
+const ANALYTICS_DIR = (process.env.ANALYTICS_DIR || "").trim() || path.join(__dirname, "..", "data", "analytics");
+const MEDIA_CACHE_FILE =
+  (process.env.MEDIA_CACHE_FILE || "").trim() || path.join(__dirname, "..", "data", "telegram-file-ids.json");
+const LANG_PREFS_FILE = (process.env.LANG_PREFS_FILE || "").trim() || path.join(__dirname, "..", "data", "languages.json");
+const ACCESS_MODE = String(process.env.ACCESS_MODE || "").toLowerCase() === "allowlist" ? "allowlist" : "open";
+const USERS_FILE = (process.env.USERS_FILE || "").trim() || path.join(__dirname, "..", "data", "users.json");
+const AUDIT_LOG_FILE = (process.env.AUDIT_LOG_FILE || "").trim() || path.join(__dirname, "..", "data", "audit.jsonl");
+const SUPERVISOR_CHAT_ID = (process.env.SUPERVISOR_CHAT_ID || "").trim();
+const CRITICAL_ALERT_COOLDOWN_MIN = Number(process.env.CRITICAL_ALERT_COOLDOWN_MIN) || 30;
+const ESCALATION_CHAT_ID = (process.env.ESCALATION_CHAT_ID || "").trim() || SUPERVISOR_CHAT_ID;
+const ESCALATIONS_FILE = (process.env.ESCALATIONS_FILE || "").trim() || path.join(__dirname, "..", "data", "escalations.json");
+const ESCALATION_REALERT_MIN = Number(process.env.ESCALATION_REALERT_MIN) || 15;
+const ESCALATION_MAX_REALERTS = Number(process.env.ESCALATION_MAX_REALERTS) || 3;
+const csvEnv = (name) =>
+  String(process.env[name] || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+const OUTBOUND_WEBHOOK_URLS = csvEnv("OUTBOUND_WEBHOOK_URLS");
+const OUTBOUND_WEBHOOK_SECRET = (process.env.OUTBOUND_WEBHOOK_SECRET || "").trim();
+const OUTBOUND_WEBHOOK_EVENTS = csvEnv("OUTBOUND_WEBHOOK_EVENTS");
+const OUTBOUND_WEBHOOK_DIR = (process.env.OUTBOUND_WEBHOOK_DIR || "").trim() || path.join(__dirname, "..", "data", "webhooks");
+const OUTBOUND_WEBHOOK_MAX_ATTEMPTS = Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 5;
+const OUTBOUND_WEBHOOK_RETRY_MS = Number(process.env.OUTBOUND_WEBHOOK_RETRY_MS) || 2000;
+const TICKETING = (process.env.TICKETING || "").trim().toLowerCase();
+const OCPP_INGEST_TOKEN = (process.env.OCPP_INGEST_TOKEN || "").trim();
+const OCPP_WS = String(process.env.OCPP_WS || "false").toLowerCase() === "true";
+const OCPP_WS_PATH = (process.env.OCPP_WS_PATH || "").trim() || "/ocpp";
+const OCPP_WS_PASSWORD = (process.env.OCPP_WS_PASSWORD || "").trim();
+const OCPP_STATUS_FILE = (process.env.OCPP_STATUS_FILE || "").trim() || path.join(__dirname, "..", "data", "ocpp-status.json");
+const OCPP_FAULT_MAX_AGE_HOURS = Number(process.env.OCPP_FAULT_MAX_AGE_HOURS) || 24;
+const TICKETING_REUSE_HOURS = Number(process.env.TICKETING_REUSE_HOURS) || 24;
+const ASSETS_FILE = (process.env.ASSETS_FILE || "").trim() || path.join(__dirname, "..", "data", "assets.json");
+const CHARGER_HISTORY_FILE =
+  (process.env.CHARGER_HISTORY_FILE || "").trim() || path.join(__dirname, "..", "data", "charger-history.jsonl");
+const REPEAT_FAULT_DAYS = Number(process.env.REPEAT_FAULT_DAYS) || 30;
+const REPEAT_FAULT_VISIT_GAP_HOURS = Number(process.env.REPEAT_FAULT_VISIT_GAP_HOURS) || 12;
+const REPEAT_FAULT_RELATED_TAGS = Number(process.env.REPEAT_FAULT_RELATED_TAGS ?? 2) || 0;
+
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
+const DT_API_TOKEN = (process.env.DT_API_TOKEN || "").trim();
+const ADMIN_USER_IDS = new Set(
+  String(process.env.ADMIN_USER_IDS || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean)
+);
 
 function normalizePublicUrl(raw) {
   const v = (raw || "").trim();
@@ -110,81 +366,87 @@ if (!BOT_TOKEN) {
    YAML LOADING (ROBUST)
    ========================= */
 const FAULTS_DIR = path.join(__dirname, "..", "faults");
-const AUTEL_FILE = path.join(FAULTS_DIR, "autel.yml");
-const KEMPOWER_FILE = path.join(FAULTS_DIR, "kempower.yml");
-const TRITIUM_FILE = path.join(FAULTS_DIR, "tritium.yml");
-const GENERAL_DC_FILE = path.join(FAULTS_DIR, "general_dc.yml");
+const IMAGES_DIR = path.join(__dirname, "..", "assets", "images");
+const packs = createPackRegistry(FAULTS_DIR);
+if (PACK_HOT_RELOAD) packs.watch();
 
-function loadYamlSafe(file) {
+// Pack lint (same rules as `npm run lint-packs`); never blocks startup, just reports
+function runPackLint(reason) {
   try {
-    const raw = fs.readFileSync(file, "utf8");
-    return yaml.load(raw) || {};
+    const result = lintPacks({ dir: FAULTS_DIR, imagesDir: IMAGES_DIR });
+    const log = result.errors ? console.error : console.log;
+    log(`${result.errors ? "❌" : "✅"} Pack lint (${reason}): ${formatLintSummary(result)}`);
+    for (const issue of result.issues) log(`   ${formatIssue(issue, path.join(__dirname, ".."))}`);
+    return result;
   } catch (e) {
-    console.error(`❌ YAML load failed: ${file}`, e?.message || e);
-    return {};
+    console.error("❌ Pack lint failed to run:", e?.message || e);
+    return null;
   }
 }
 
-function normalizeFaultPack(obj) {
-  const faults = Array.isArray(obj) ? obj : Array.isArray(obj?.faults) ? obj.faults : [];
-  const fixed = faults.map((f, idx) => {
-    const title = f?.title || f?.name || f?.fault || `Fault ${idx + 1}`;
-    const id = String(f?.id || f?.code || f?.faultId || idx + 1);
-    return { ...f, id, title };
-  });
-  return { faults: fixed };
-}
-
-function loadAutel() {
-  if (!fs.existsSync(AUTEL_FILE)) {
-    console.error(`❌ Missing autel.yml at: ${AUTEL_FILE}`);
-    return { faults: [] };
-  }
-  return normalizeFaultPack(loadYamlSafe(AUTEL_FILE));
-}
-function loadKempower() {
-  if (!fs.existsSync(KEMPOWER_FILE)) {
-    console.error(`❌ Missing kempower.yml at: ${KEMPOWER_FILE}`);
-    return { faults: [] };
-  }
-  return normalizeFaultPack(loadYamlSafe(KEMPOWER_FILE));
-}
-function loadTritium() {
-  if (!fs.existsSync(TRITIUM_FILE)) {
-    console.error(`❌ Missing tritium.yml at: ${TRITIUM_FILE}`);
-    return { faults: [] };
-  }
-  return normalizeFaultPack(loadYamlSafe(TRITIUM_FILE));
+// Boot logs
+for (const meta of packs.list()) {
+  try {
+    const data = packs.load(meta.id);
+    console.log(`✅ ${meta.label} file path: ${meta.file}`);
+    console.log(`✅ ${meta.label} faults loaded: ${data.faults.length}`);
+  } catch (_) {}
 }
-function loadGeneralDc() {
-  if (!fs.existsSync(GENERAL_DC_FILE)) {
-    console.error(`❌ Missing general_dc.yml at: ${GENERAL_DC_FILE}`);
-    return { faults: [] };
-  }
-  return normalizeFaultPack(loadYamlSafe(GENERAL_DC_FILE));
+runPackLint("boot");
+
+const reports = createReportStore(REPORTS_DIR);
+const feedback = createFeedbackStore(FEEDBACK_DIR);
+const analytics = createAnalyticsStore(ANALYTICS_DIR);
+const fileIds = createFileIdCache(MEDIA_CACHE_FILE);
+const i18n = createI18n(path.join(__dirname, "..", "locales"));
+const langPrefs = createLanguagePrefs(LANG_PREFS_FILE);
+console.log(`✅ Languages: ${i18n.languages().map((l) => l.code).join(", ")}`);
+const users = createUserRegistry(USERS_FILE, { admins: ADMIN_USER_IDS });
+const audit = createAuditLog(AUDIT_LOG_FILE);
+console.log(`✅ Access: ${ACCESS_MODE}, ${users.list().length} registered user(s)`);
+const escalations = createEscalationStore(ESCALATIONS_FILE);
+console.log(`✅ Escalations: ${ESCALATION_CHAT_ID ? `to ${ESCALATION_CHAT_ID}` : "off (no ESCALATION_CHAT_ID / SUPERVISOR_CHAT_ID)"}`);
+if (OUTBOUND_WEBHOOK_URLS.length && !OUTBOUND_WEBHOOK_SECRET) {
+  console.error("❌ OUTBOUND_WEBHOOK_URLS set without OUTBOUND_WEBHOOK_SECRET: outbound webhooks disabled (deliveries must be signed)");
 }
-
-// Boot logs
-try {
-  const bootGen = loadGeneralDc();
-  console.log(`✅ General DC file path: ${GENERAL_DC_FILE}`);
-  console.log(`✅ General DC faults loaded: ${bootGen.faults.length}`);
-} catch (_) {}
-try {
-  const bootAutel = loadAutel();
-  console.log(`✅ Autel file path: ${AUTEL_FILE}`);
-  console.log(`✅ Autel faults loaded: ${bootAutel.faults.length}`);
-} catch (_) {}
-try {
-  const bootKp = loadKempower();
-  console.log(`✅ Kempower file path: ${KEMPOWER_FILE}`);
-  console.log(`✅ Kempower faults loaded: ${bootKp.faults.length}`);
-} catch (_) {}
+const unknownWebhookEvents = OUTBOUND_WEBHOOK_EVENTS.filter((e) => !WEBHOOK_EVENTS.includes(e));
+if (unknownWebhookEvents.length) console.error(`❌ OUTBOUND_WEBHOOK_EVENTS: unknown event(s) ${unknownWebhookEvents.join(", ")}`);
+const webhooks = createWebhookDispatcher({
+  urls: OUTBOUND_WEBHOOK_SECRET ? OUTBOUND_WEBHOOK_URLS : [],
+  secret: OUTBOUND_WEBHOOK_SECRET,
+  events: OUTBOUND_WEBHOOK_EVENTS,
+  dir: OUTBOUND_WEBHOOK_DIR,
+  maxAttempts: OUTBOUND_WEBHOOK_MAX_ATTEMPTS,
+  retryMs: OUTBOUND_WEBHOOK_RETRY_MS,
+});
+console.log(`✅ Outbound webhooks: ${webhooks.enabled ? `${OUTBOUND_WEBHOOK_URLS.length} URL(s)` : "off"}`);
+let ticketing = createTicketingConnector();
 try {
-  const bootTri = loadTritium();
-  console.log(`✅ Tritium file path: ${TRITIUM_FILE}`);
-  console.log(`✅ Tritium faults loaded: ${bootTri.faults.length}`);
-} catch (_) {}
+  ticketing =
+    TICKETING === "jira"
+      ? createTicketingConnector({
+          type: "jira",
+          baseUrl: process.env.JIRA_URL,
+          email: (process.env.JIRA_EMAIL || "").trim(),
+          apiToken: (process.env.JIRA_API_TOKEN || "").trim(),
+          project: (process.env.JIRA_PROJECT || "").trim(),
+          issueType: (process.env.JIRA_ISSUE_TYPE || "").trim() || "Task",
+        })
+      : createTicketingConnector({
+          type: TICKETING,
+          baseUrl: process.env.TICKETING_URL,
+          token: (process.env.TICKETING_TOKEN || "").trim(),
+          templateFile: (process.env.TICKETING_TEMPLATE_FILE || "").trim(),
+        });
+} catch (e) {
+  console.error("❌ Ticketing disabled:", e?.message || e);
+}
+if (TICKETING && !ticketing.enabled) console.error(`❌ TICKETING=${TICKETING}: unknown type or missing URL, ticketing off`);
+console.log(`✅ Ticketing: ${ticketing.enabled ? ticketing.type : "off"}`);
+const chargerStatus = createChargerStatusStore(OCPP_STATUS_FILE);
+const assets = createAssetRegistry(ASSETS_FILE);
+console.log(`✅ Assets: ${assets.sites().length} site(s), ${assets.chargers().length} charger(s)`);
+const chargerHistory = createChargerHistory(CHARGER_HISTORY_FILE, { visitGapHours: REPEAT_FAULT_VISIT_GAP_HOURS });
 
 /* =========================
    EXPRESS
@@ -193,8 +455,21 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
+// Bearer-token routes (disabled entirely when the token is unset)
+function requireBearer(token, disabledError) {
+  return (req, res, next) => {
+    if (!token) return res.status(503).json({ ok: false, error: disabledError });
+    const got = String(req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+    const a = Buffer.from(got);
+    const b = Buffer.from(token);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return res.status(401).json({ ok: false, error: "unauthorized" });
+    next();
+  };
+}
+// Admin routes: Bearer ADMIN_TOKEN
+const requireAdmin = requireBearer(ADMIN_TOKEN, "admin_disabled");
+
 // Static images: /images/... -> ../assets/images/...
-const IMAGES_DIR = path.join(__dirname, "..", "assets", "images");
 app.use("/images", express.static(IMAGES_DIR));
 
 app.get("/", (req, res) => res.send("EVBot OK"));
@@ -209,56 +484,288 @@ app.get("/health", (req, res) =>
     secretEnabled: !!TELEGRAM_WEBHOOK_SECRET,
     imagesDir: IMAGES_DIR,
     enableReports: ENABLE_REPORTS,
+    packHotReload: PACK_HOT_RELOAD,
+    sessions: sessions.stats(),
   })
 );
 
+app.get("/admin/packs", requireAdmin, (req, res) => res.json(packs.status()));
+app.post("/admin/reload", requireAdmin, (req, res) => {
+  const result = packs.reload();
+  logEvent("pack_reload", { source: "api", ok: result.ok, summary: formatReloadSummary(result) });
+  res.status(result.ok ? 200 : 422).json({ ...result, summary: formatReloadSummary(result) });
+});
+
 // Debug endpoints
-app.get("/debug/general_dc", (req, res) => {
-  const data = loadGeneralDc();
+app.get("/debug/packs", (req, res) => {
+  res.json(
+    packs.list().map((m) => ({ id: m.id, label: m.label, emoji: m.emoji, order: m.order, file: m.file, quickMenu: !!m.quickMenu }))
+  );
+});
+// Optional: verify image file exists via API
+app.get("/debug/images", (req, res) => {
+  const rel = String(req.query.path || "");
+  const full = path.join(IMAGES_DIR, rel);
+  res.json({ query: rel, full, exists: rel ? fs.existsSync(full) : null });
+});
+
+app.get("/debug/:pack", (req, res) => {
+  const meta = packs.get(req.params.pack);
+  if (!meta) return res.status(404).json({ error: "unknown_pack", pack: req.params.pack, packs: packs.list().map((m) => m.id) });
+  const data = packs.load(meta.id);
   res.json({
-    file: GENERAL_DC_FILE,
-    exists: fs.existsSync(GENERAL_DC_FILE),
+    file: meta.file,
+    exists: fs.existsSync(meta.file),
     count: data.faults.length,
     ids: data.faults.map((f) => f.id).slice(0, 50),
     titles: data.faults.map((f) => f.title).slice(0, 50),
   });
 });
-app.get("/debug/autel", (req, res) => {
-  const data = loadAutel();
+
+// Exact error-code lookup (same index as /code)
+app.get("/api/codes/:code", (req, res) => {
+  const hit = lookupCode(codeIndex, req.params.code);
+  if (!hit) return res.status(404).json({ ok: false, code: req.params.code, error: "code_not_found" });
+  res.json({ ok: true, code: hit.code, faults: hit.faults });
+});
+
+// Versioned read-only fault library (dispatch portal / wiki)
+app.use("/api/v1", createApiV1Router({ packs }));
+
+// Feedback ranked worst first (?pack=&since=ISO&limit=)
+app.get("/api/feedback/summary", requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 200);
+  const pack = String(req.query.pack || "").toLowerCase();
+  const since = String(req.query.since || "");
+  res.json({ ok: true, pack: pack || null, since: since || null, ...feedback.summarize({ pack, since, limit }) });
+});
+
+// Decision-tree funnels (?pack=&fault=&since=ISO&paths=5)
+app.get("/api/analytics", requireAdmin, (req, res) => {
+  const pack = String(req.query.pack || "").toLowerCase();
+  const faultId = String(req.query.fault || "");
+  const since = String(req.query.since || "");
+  const limitPaths = Math.min(Math.max(Number(req.query.paths) || 5, 1), 50);
+  const funnels = buildFunnels(analytics.events({ pack, faultId, since }), { limitPaths });
   res.json({
-    file: AUTEL_FILE,
-    exists: fs.existsSync(AUTEL_FILE),
-    count: data.faults.length,
-    ids: data.faults.map((f) => f.id).slice(0, 50),
-    titles: data.faults.map((f) => f.title).slice(0, 50),
+    ok: true,
+    pack: pack || null,
+    fault: faultId || null,
+    since: since || null,
+    ...funnels,
+    faults: funnels.faults.map((f) => ({ ...f, title: getFaultById(f.pack, f.faultId)?.title || null })),
   });
 });
-app.get("/debug/kempower", (req, res) => {
-  const data = loadKempower();
+
+// Outbound webhook deliveries, newest first (?status=&type=<event>&limit=)
+app.get("/api/webhooks/deliveries", requireAdmin, (req, res) => {
+  const status = String(req.query.status || "");
+  const type = String(req.query.type || "");
+  if (status && !DELIVERY_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: "unknown_status", status });
+  if (type && !WEBHOOK_EVENTS.includes(type)) return res.status(400).json({ ok: false, error: "unknown_event", type });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  res.json({ ok: true, enabled: webhooks.enabled, deliveries: webhooks.list({ status, type, limit }) });
+});
+
+// One delivery with its attempts
+app.get("/api/webhooks/deliveries/:id", requireAdmin, (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery) return res.status(404).json({ ok: false, error: "delivery_not_found" });
+  res.json({ ok: true, delivery });
+});
+
+// Re-send the same event (same event id + body, new delivery id + signature)
+app.post("/api/webhooks/deliveries/:id/replay", requireAdmin, (req, res) => {
+  const delivery = webhooks.replay(req.params.id);
+  if (!delivery) return res.status(404).json({ ok: false, error: "delivery_not_found" });
+  res.status(202).json({ ok: true, delivery });
+});
+
+// Supervisor escalations, newest first (?status=open|acknowledged|owned&limit=)
+app.get("/api/escalations", requireAdmin, (req, res) => {
+  const status = String(req.query.status || "");
+  if (status && !ESCALATION_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: "unknown_status", status });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  res.json({ ok: true, escalations: escalations.list({ status, limit }) });
+});
+
+// Audit log, newest last (?action=denied|invite|revoke&user=&since=ISO&limit=)
+app.get("/api/audit", requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const action = String(req.query.action || "");
+  const userId = String(req.query.user || "");
+  const since = String(req.query.since || "");
+  res.json({ ok: true, entries: audit.list({ action, userId, since, limit }) });
+});
+
+// Saved service reports (written at Confirm & send)
+app.get("/api/reports", requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+  res.json(
+    reports.list({ limit }).map((r) => ({
+      id: r.id,
+      createdAt: r.createdAt,
+      site: r.data.site || "",
+      chargerIdPublic: r.data.chargerIdPublic || "",
+      manufacturer: r.data.manufacturer || "",
+      faultId: r.data.faultId || "",
+      resolution: r.data.resolution || "",
+      photos: (r.data.photos || []).length,
+      ticketKey: r.data.ticketKey || null,
+    }))
+  );
+});
+app.get("/api/reports/:id", requireAdmin, (req, res) => {
+  const record = reports.get(req.params.id);
+  if (!record) return res.status(404).json({ ok: false, error: "report_not_found" });
+  res.json(record);
+});
+app.get("/api/reports/:id/pdf", requireAdmin, async (req, res) => {
+  const record = reports.get(req.params.id);
+  if (!record) return res.status(404).json({ ok: false, error: "report_not_found" });
+  try {
+    const pdf = await buildReportPdf(record);
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="${reportPdfName(record)}"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error("❌ PDF render failed:", e?.message || e);
+    res.status(500).json({ ok: false, error: "pdf_failed" });
+  }
+});
+
+// Charger-reported faults: StatusNotification forwarded by the CSMS, as
+//   { chargePointId, connectorId, errorCode, status, vendorErrorCode, info, vendorId, timestamp }
+//   { chargePointId, payload: { ...StatusNotification.req } }   or an OCPP-J CALL [2, id, "StatusNotification", {...}]
+// (chargePointId may come as ?chargePointId= instead; chargePointVendor / Model / SerialNumber are remembered when sent)
+const requireOcppIngest = requireBearer(OCPP_INGEST_TOKEN, "ocpp_ingest_disabled");
+app.post("/api/ocpp/status", requireOcppIngest, (req, res) => {
+  const body = req.body || {};
+  const call = Array.isArray(body) ? body : null;
+  if (call && (call[0] !== 2 || call[2] !== "StatusNotification")) {
+    return res.status(400).json({ ok: false, error: "not_a_status_notification" });
+  }
+  const chargePointId = String((call ? "" : body.chargePointId) || req.query.chargePointId || "").trim();
+  if (!call && body.chargePointVendor && chargePointId) chargerStatus.boot(chargePointId, body);
+  const result = ingestStatusNotification(chargePointId, call ? call[3] : body.payload || body, "http");
+  if (!result.ok) return res.status(400).json(result);
+  res.json({ ok: true, chargePointId: result.charger.id, fault: isFaultNotification(result.notification), match: result.match });
+});
+
+app.get("/api/ocpp/chargers", requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const faulted = ["1", "true"].includes(String(req.query.faulted || ""));
+  res.json({ ok: true, chargers: chargerStatus.list({ faulted, limit }) });
+});
+app.get("/api/ocpp/chargers/:id", requireAdmin, (req, res) => {
+  const charger = chargerStatus.get(req.params.id);
+  if (!charger) return res.status(404).json({ ok: false, error: "charger_not_found" });
+  res.json({ ok: true, charger });
+});
+
+// Asset registry (server/assets.js): sites + chargers, CSV import; validation errors -> 400, identifier clashes -> 409
+const assetStatus = (error) => (/not_found$/.test(error) ? 404 : error === "duplicate_identifier" || error === "site_has_chargers" ? 409 : 400);
+function assetChanged(action, kind, id, extra = {}) {
+  audit.record({ action, channel: "api", kind, assetId: id, ...extra });
+  logEvent(action, { kind, assetId: id, ...extra });
+}
+
+app.get("/api/assets/sites", requireAdmin, (req, res) => {
+  res.json({ ok: true, sites: assets.sites().map((s) => ({ ...s, chargers: assets.chargers({ siteId: s.id }).length })) });
+});
+app.put("/api/assets/sites/:id", requireAdmin, (req, res) => {
+  const result = assets.upsertSite(req.params.id, req.body || {});
+  if (!result.ok) return res.status(assetStatus(result.error)).json(result);
+  assetChanged("asset_saved", "site", result.site.id);
+  res.json(result);
+});
+app.delete("/api/assets/sites/:id", requireAdmin, (req, res) => {
+  const result = assets.removeSite(req.params.id);
+  if (!result.ok) return res.status(assetStatus(result.error)).json(result);
+  assetChanged("asset_deleted", "site", req.params.id);
+  res.json(result);
+});
+
+app.get("/api/assets/chargers", requireAdmin, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const q = String(req.query.q || "").trim();
+  const siteId = String(req.query.site || "");
+  const list = q ? assets.search(q, { limit: 1000 }).filter((c) => !siteId || c.siteId === siteId) : assets.chargers({ siteId });
+  res.json({ ok: true, total: list.length, chargers: list.slice(0, limit) });
+});
+// :ref = asset ID, public ID, serial or OCPP ID
+app.get("/api/assets/chargers/:ref", requireAdmin, (req, res) => {
+  const charger = assets.find(req.params.ref);
+  if (!charger) return res.status(404).json({ ok: false, error: "charger_not_found" });
+  const status = chargerStatus.get(charger.ocppId || charger.publicId || charger.serialNumber);
+  res.json({ ok: true, charger, site: assets.getSite(charger.siteId), ocpp: status || null });
+});
+app.put("/api/assets/chargers/:id", requireAdmin, (req, res) => {
+  const result = assets.upsertCharger(req.params.id, req.body || {});
+  if (!result.ok) return res.status(assetStatus(result.error)).json(result);
+  assetChanged("asset_saved", "charger", result.charger.id);
+  res.json(result);
+});
+app.delete("/api/assets/chargers/:id", requireAdmin, (req, res) => {
+  const result = assets.removeCharger(req.params.id);
+  if (!result.ok) return res.status(assetStatus(result.error)).json(result);
+  assetChanged("asset_deleted", "charger", req.params.id);
+  res.json(result);
+});
+
+// CSV body (text/csv; columns in server/assets.js) or JSON { csv }; ?dryRun=1 validates without saving
+app.post("/api/assets/import", requireAdmin, express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), (req, res) => {
+  const text = typeof req.body === "string" ? req.body : String(req.body?.csv || "");
+  const dryRun = ["1", "true"].includes(String(req.query.dryRun || ""));
+  const result = assets.importCsv(text, { dryRun });
+  if (!result.ok) return res.status(400).json(result);
+  if (!dryRun) assetChanged("asset_import", "csv", null, { sites: result.sites, chargers: result.chargers, errors: result.errors.length });
+  res.json(result);
+});
+
+// Charger history (server/chargerHistory.js); :ref = asset ID / public ID / serial, or the ID as techs typed it
+app.get("/api/chargers/recurring", requireAdmin, (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || REPEAT_FAULT_DAYS, 1), 3650);
+  const minVisits = Math.max(Number(req.query.min) || 2, 2);
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const rows = chargerHistory.recurring({ since: repeatSince(days), minVisits, related: relatedFaults }).slice(0, limit);
   res.json({
-    file: KEMPOWER_FILE,
-    exists: fs.existsSync(KEMPOWER_FILE),
-    count: data.faults.length,
-    ids: data.faults.map((f) => f.id).slice(0, 50),
-    titles: data.faults.map((f) => f.title).slice(0, 50),
+    ok: true,
+    days,
+    minVisits,
+    chargers: rows.map((r) => {
+      const charger = r.assetId ? assets.getCharger(r.assetId) : null;
+      return { ...r, faultTitle: getFaultById(r.pack, r.faultId)?.title || "", site: assets.getSite(charger?.siteId)?.name || null };
+    }),
   });
 });
-app.get("/debug/tritium", (req, res) => {
-  const data = loadTritium();
+app.get("/api/chargers/:ref/history", requireAdmin, (req, res) => {
+  const identity = chargerIdentity(req.params.ref);
+  const days = Number(req.query.days) || 0;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const visits = chargerHistory.visits({ charger: identity?.charger, since: days ? repeatSince(days) : "" });
   res.json({
-    file: TRITIUM_FILE,
-    exists: fs.existsSync(TRITIUM_FILE),
-    count: data.faults.length,
-    ids: data.faults.map((f) => f.id).slice(0, 50),
-    titles: data.faults.map((f) => f.title).slice(0, 50),
+    ok: true,
+    charger: identity,
+    total: visits.length,
+    visits: visits.slice(0, limit).map((v) => ({ ...v, faultTitle: v.faultId ? getFaultById(v.pack, v.faultId)?.title || "" : "" })),
   });
 });
 
-// Optional: verify image file exists via API
-app.get("/debug/images", (req, res) => {
-  const rel = String(req.query.path || "");
-  const full = path.join(IMAGES_DIR, rel);
-  res.json({ query: rel, full, exists: rel ? fs.existsSync(full) : null });
+// Retry a ticket sync that failed at Confirm & send / Send escalation (same create-or-update rules)
+app.post("/api/reports/:id/ticket", requireAdmin, async (req, res) => {
+  if (!ticketing.enabled) return res.status(503).json({ ok: false, error: "ticketing_disabled" });
+  const record = reports.get(req.params.id);
+  if (!record) return res.status(404).json({ ok: false, error: "report_not_found" });
+  const result = await syncReportTicket(record, await buildReportPdf(record).catch(() => null));
+  res.status(result.ok ? 200 : 502).json(result);
+});
+app.post("/api/escalations/:id/ticket", requireAdmin, async (req, res) => {
+  if (!ticketing.enabled) return res.status(503).json({ ok: false, error: "ticketing_disabled" });
+  const esc = escalations.get(req.params.id);
+  if (!esc) return res.status(404).json({ ok: false, error: "escalation_not_found" });
+  const result = await syncEscalationTicket(esc);
+  res.status(result.ok ? 200 : 502).json(result);
 });
 
 /* =========================
@@ -289,6 +796,26 @@ function cap(s) {
   const v = String(s || "");
   return v ? v.charAt(0).toUpperCase() + v.slice(1) : "";
 }
+// Keys remembered for ttlMs (cooldowns); expired ones are dropped on every check, so the set never outgrows the window
+function createExpiringSet(ttlMs) {
+  const added = new Map(); // key -> added at (ms), oldest first
+  function prune(now) {
+    for (const [key, at] of added) {
+      if (now - at < ttlMs) break;
+      added.delete(key);
+    }
+  }
+  return {
+    has(key) {
+      prune(Date.now());
+      return added.has(key);
+    },
+    add(key) {
+      added.delete(key); // re-adding moves the key to the end, keeping the map in time order
+      added.set(key, Date.now());
+    },
+  };
+}
 function isIgnorableTelegramEditError(err) {
   const msg = String(err?.message || err || "").toLowerCase();
   return (
@@ -299,42 +826,234 @@ function isIgnorableTelegramEditError(err) {
     msg.includes("chat not found")
   );
 }
+// Photo messages can't take editMessageText (and text can't take editMessageMedia)
+function isMediaMessage(chatId, messageId) {
+  return !!getDtFromMessage(chatId, messageId)?.media;
+}
+function isNoTextToEditError(err) {
+  return String(err?.message || err || "").toLowerCase().includes("no text in the message");
+}
+async function deleteQuietly(chatId, messageId) {
+  try {
+    await bot.deleteMessage(chatId, messageId);
+  } catch (_) {}
+}
+
 async function upsertMessage(chatId, opts) {
   const { text, parse_mode, reply_markup, messageId } = opts;
-  if (messageId) {
+  if (messageId && isMediaMessage(chatId, messageId)) {
+    await deleteQuietly(chatId, messageId);
+  } else if (messageId) {
     try {
       return await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode, reply_markup });
     } catch (e) {
-      if (!isIgnorableTelegramEditError(e)) console.error("❌ editMessageText failed:", e?.message || e);
+      if (isNoTextToEditError(e)) await deleteQuietly(chatId, messageId);
+      else if (!isIgnorableTelegramEditError(e)) console.error("❌ editMessageText failed:", e?.message || e);
     }
   }
   return bot.sendMessage(chatId, text, { parse_mode, reply_markup });
 }
 
-// NOTE: kept simple here—images can be sent via decision nodes if you extend to sendPhoto.
-// For now: always text (consistent and reliable).
+// Local image for an `image:` key -> { file, rel, cacheKey } (null if none of the candidates exist)
+function resolveImageFile(imageKey) {
+  for (const rel of imageKeyCandidates(imageKey)) {
+    const file = path.join(IMAGES_DIR, rel);
+    if (!file.startsWith(IMAGES_DIR + path.sep) || !fs.existsSync(file)) continue;
+    return { file, rel, cacheKey: fileIds.keyFor(rel, file) };
+  }
+  return null;
+}
+
+async function sendOrEditPhoto(chatId, { messageId, image, caption, parse_mode, reply_markup, cached }) {
+  const media = cached || `attach://${image.file}`;
+  if (messageId && isMediaMessage(chatId, messageId)) {
+    try {
+      const res = await bot.editMessageMedia(
+        { type: "photo", media, caption, parse_mode },
+        { chat_id: chatId, message_id: messageId, reply_markup }
+      );
+      return res && typeof res === "object" ? res : { message_id: messageId };
+    } catch (e) {
+      if (isIgnorableTelegramEditError(e) && !String(e?.message || "").includes("not found")) return { message_id: messageId };
+      if (cached) throw e;
+      console.error("❌ editMessageMedia failed:", e?.message || e);
+    }
+  }
+  if (messageId) await deleteQuietly(chatId, messageId);
+  return bot.sendPhoto(
+    chatId,
+    cached || fs.createReadStream(image.file),
+    { caption, parse_mode, reply_markup },
+    { filename: path.basename(image.file), contentType: `image/${path.extname(image.file).slice(1).replace("jpg", "jpeg")}` }
+  );
+}
+
+/**
+ * Photo (image + caption) when the node has a local image, else text.
+ * -> { message, media } so callers can rebind DT state when the message is replaced.
+ */
 async function upsertPhotoOrText(chatId, opts) {
-  const { messageId, text, parse_mode, reply_markup } = opts;
-  return upsertMessage(chatId, { messageId, text, parse_mode, reply_markup });
+  const { messageId, text, caption, parse_mode, reply_markup, image } = opts;
+  if (image) {
+    const cached = fileIds.get(image.cacheKey);
+    const args = { messageId, image, caption: caption ?? text, parse_mode, reply_markup };
+    try {
+      let message;
+      try {
+        message = await sendOrEditPhoto(chatId, { ...args, cached });
+      } catch (e) {
+        if (!cached) throw e;
+        // Stale file_id (e.g. new bot token): upload again
+        fileIds.delete(image.cacheKey);
+        message = await sendOrEditPhoto(chatId, { ...args, cached: null });
+      }
+      const sizes = Array.isArray(message?.photo) ? message.photo : [];
+      if (sizes.length) fileIds.set(image.cacheKey, sizes[sizes.length - 1].file_id);
+      return { message, media: true };
+    } catch (e) {
+      console.error(`❌ Photo send failed (${image.rel}), falling back to text:`, e?.message || e);
+    }
+  }
+  const message = await upsertMessage(chatId, { messageId, text, parse_mode, reply_markup });
+  return { message, media: false };
 }
 
 /* =========================
-   FEEDBACK (one-tap)
+   LANGUAGE (/lang > Telegram language_code > English)
+   ========================= */
+// chatId -> { userId, name, telegramLang } of whoever last wrote / tapped there (private chat = that user)
+const chatUsers = new Map();
+function noteUser(chatId, from) {
+  if (!chatId || !from) return;
+  const prev = chatUsers.get(String(chatId));
+  const name = [from.first_name, from.last_name].filter(Boolean).join(" ") || (from.username ? `@${from.username}` : "");
+  chatUsers.set(String(chatId), {
+    userId: from.id ?? null,
+    name: name || (prev?.userId === from.id ? prev.name : ""),
+    telegramLang: from.language_code || prev?.telegramLang || "",
+  });
+}
+function langFor(chatId) {
+  const who = chatUsers.get(String(chatId));
+  return i18n.resolve(langPrefs.get(who?.userId) || who?.telegramLang);
+}
+// UI text in the chat's language
+function ui(chatId, key, vars) {
+  return i18n.t(langFor(chatId), key, vars);
+}
+// Fault text in the chat's language (sidecar translation, English where it has none)
+function localFault(chatId, pack, fault) {
+  const lang = langFor(chatId);
+  if (!fault || lang === DEFAULT_LANG) return fault;
+  return getFaultById(pack, fault.id, lang) || fault;
+}
+
+/* =========================
+   ACCESS (roles, allowlist, audit — see server/access.js)
+   ========================= */
+function roleFor(chatId) {
+  return users.roleOf(chatUsers.get(String(chatId))?.userId);
+}
+function isAdmin(userId) {
+  return users.get(userId)?.role === "admin";
+}
+// Unknown role names count as admin-only (same as roleAllows)
+function roleName(chatId, role) {
+  return ui(chatId, `access.roles.${normalizeRole(role) || "admin"}`);
+}
+function auditDenied(fields) {
+  const entry = audit.record({ action: "denied", ...fields });
+  logEvent("access_denied", fields);
+  return entry;
+}
+
+// Allowlist gate: webhook and polling both hand updates to processUpdate, so nothing below runs for strangers
+const handleUpdate = bot.processUpdate.bind(bot);
+bot.processUpdate = (update) => {
+  const from = update?.message?.from || update?.callback_query?.from;
+  const chatId = update?.message?.chat?.id ?? update?.callback_query?.message?.chat?.id;
+  if (ACCESS_MODE !== "allowlist" || !from || chatId == null || users.get(from.id)) return handleUpdate(update);
+  // Supervisor group: being in it is the invitation for Acknowledge / Take ownership and replies; anything else
+  // from the uninvited is dropped quietly rather than answered in front of the whole group
+  if (ESCALATION_CHAT_ID && String(chatId) === ESCALATION_CHAT_ID) {
+    const data = String(update.callback_query?.data || "");
+    const text = String(update.message?.text || "");
+    if (/^esc:(ack|own):/.test(data) || (update.message?.reply_to_message && !text.startsWith("/"))) return handleUpdate(update);
+    if (update.callback_query) bot.answerCallbackQuery(update.callback_query.id).catch(() => {});
+    return;
+  }
+
+  noteUser(chatId, from);
+  auditDenied({
+    channel: "telegram",
+    reason: "not_registered",
+    userId: from.id,
+    chatId,
+    input: String(update.message?.text || update.callback_query?.data || (update.message?.photo ? "[photo]" : "")).slice(0, 64),
+  });
+  if (update.callback_query) bot.answerCallbackQuery(update.callback_query.id).catch(() => {});
+  bot
+    .sendMessage(chatId, ui(chatId, "access.not_registered", { id: from.id }), { parse_mode: "HTML" })
+    .catch((e) => console.error("❌ Not-registered reply failed:", e?.message || e));
+};
+
+/* =========================
+   CRITICAL ALERTS (supervisor chat)
    ========================= */
-function encodeFbCtx(ctx) {
+// chat / session + fault alerted within the cooldown, so Back → Start doesn't page the supervisor twice
+const criticalAlertsSent = createExpiringSet(CRITICAL_ALERT_COOLDOWN_MIN * 60000);
+
+// Technician's name for supervisors: invited name, else their Telegram name
+function technicianFor(chatId) {
+  const who = chatUsers.get(String(chatId));
+  return users.get(who?.userId)?.name || who?.name || "";
+}
+// Charger being worked on, when the chat has told us (report in progress, else /charger selection)
+function chargerFor(chatId) {
+  const selected = selectedCharger(chatId);
+  return reportState.get(chatId)?.data?.chargerIdPublic || (selected ? chargerLabel(selected) : "");
+}
+
+// Troubleshooting started on a `severity: critical` fault -> one message to SUPERVISOR_CHAT_ID
+async function alertCriticalFault({ channel, pack, faultId, chatId = null, sessionId = null, userId = null, technician = "", charger = "" }) {
+  if (!SUPERVISOR_CHAT_ID) return null;
+  const fault = getFaultById(pack, faultId);
+  if (String(fault?.severity || "").trim().toLowerCase() !== "critical") return null;
+
+  const key = `${sessionId || chatId}:${pack}:${faultId}`;
+  const now = Date.now();
+  if (criticalAlertsSent.has(key)) return null;
+  criticalAlertsSent.add(key);
+
+  const id = userId != null ? `<code>${userId}</code>` : "";
+  const who = technician ? `${escapeHtml(technician)}${id ? ` (${id})` : ""}` : id || "unknown";
+  const text =
+    `🚨 <b>Critical fault opened</b>\n\n` +
+    `<b>Fault:</b> ${escapeHtml(fault.title || faultId)} (<code>${escapeHtml(faultId)}</code>)\n` +
+    `<b>Pack:</b> ${escapeHtml(packLabel(pack))}\n` +
+    `<b>Technician:</b> ${who}\n` +
+    (charger ? `<b>Charger:</b> ${escapeHtml(charger)}\n` : "") +
+    `<b>Channel:</b> ${channel}${sessionId ? ` · session <code>${sessionId}</code>` : ""}\n` +
+    `<b>At:</b> ${new Date(now).toISOString().replace("T", " ").slice(0, 16)} UTC`;
   try {
-    const json = JSON.stringify(ctx || {});
-    // URL-safe base64 (no padding)
-    return Buffer.from(json)
-      .toString("base64")
-      .replace(/\+/g, "-")
-      .replace(/\//g, "_")
-      .replace(/=+$/g, "")
-      .slice(0, 60); // keep callback_data short
-  } catch (_) {
-    return "";
+    await bot.sendMessage(SUPERVISOR_CHAT_ID, text, { parse_mode: "HTML" });
+    logEvent("critical_alert", { channel, pack, faultId, chatId, sessionId, userId, charger: charger || null });
+    return true;
+  } catch (e) {
+    console.error("❌ Critical alert failed:", e?.message || e);
+    return false;
   }
 }
+function alertCriticalFromChat(chatId, pack, faultId) {
+  const userId = chatUsers.get(String(chatId))?.userId ?? null;
+  const technician = technicianFor(chatId);
+  return alertCriticalFault({ channel: "telegram", pack, faultId, chatId, userId, technician, charger: chargerFor(chatId) });
+}
+
+/* =========================
+   FEEDBACK (one-tap)
+   ========================= */
+// Legacy buttons (fb:yes|no:<base64 json>) sent before the feedback store existed
 function decodeFbCtx(token) {
   try {
     if (!token) return {};
@@ -346,33 +1065,116 @@ function decodeFbCtx(token) {
     return {};
   }
 }
-function usefulButtons(ctx = {}) {
-  const token = encodeFbCtx(ctx);
+// callback_data = fb:y|n:<context key> (context lives in the feedback store)
+function usefulButtons(chatId, ctx = {}) {
+  let packVersion = "";
+  try {
+    packVersion = ctx.pack ? packs.load(ctx.pack).version || "" : "";
+  } catch (_) {}
+  const key = feedback.contextKey({ ...ctx, packVersion });
   return [
     [
-      { text: "👍 Useful", callback_data: `fb:yes:${token}` },
-      { text: "👎 Not useful", callback_data: `fb:no:${token}` },
+      { text: ui(chatId, "feedback.useful"), callback_data: `fb:y:${key}` },
+      { text: ui(chatId, "feedback.not_useful"), callback_data: `fb:n:${key}` },
     ],
   ];
 }
 
+function formatFeedbackSummary(summary, pack = "") {
+  const { totals, faults, nodes } = summary;
+  const lines = [
+    `📊 <b>Feedback</b>${pack ? ` · ${escapeHtml(packLabel(pack))}` : ""}`,
+    `👍 ${totals.up} · 👎 ${totals.down} · 💬 ${totals.comments}`,
+  ];
+  const title = (r) => getFaultById(r.pack, r.faultId)?.title || r.faultId;
+  const row = (r, i, extra = "") =>
+    `${i + 1}. 👎 ${r.down} / ${r.total} (${Math.round(r.negativeRate * 100)}%) · ${escapeHtml(packLabel(r.pack))} · ` +
+    `${escapeHtml(title(r))}${extra}` +
+    (r.comments.length ? `\n   💬 <i>${escapeHtml(r.comments[r.comments.length - 1].text.slice(0, 120))}</i>` : "");
+
+  if (!faults.length) return [...lines, "", "No 👎 yet."].join("\n");
+  lines.push("", "<b>Faults to rewrite first</b>", ...faults.map((r, i) => row(r, i)));
+  if (nodes.length) {
+    lines.push("", "<b>Worst nodes</b>", ...nodes.map((r, i) => row(r, i, ` → <code>${escapeHtml(r.nodeId)}</code>`)));
+  }
+  return lines.join("\n");
+}
+
 /* =========================
-   STATE
+   STATE (session store)
    ========================= */
-const reportState = new Map();
+const sessions = createSessionStore({
+  backend: SESSION_STORE,
+  file: SESSION_FILE,
+  ttlMs: SESSION_TTL_HOURS * 60 * 60 * 1000,
+});
+console.log(`✅ Sessions: ${SESSION_STORE}${SESSION_STORE === "file" ? ` (${SESSION_FILE})` : ""}, TTL ${SESSION_TTL_HOURS}h`);
+
+const reportState = sessions.namespace("report");
+
+// chatId -> { assetId, at } while a registry charger is selected (/charger)
+const chargerSelState = sessions.namespace("charger");
+
+// chatId -> { feedbackId, at } while we wait for the “what was missing?” reply
+const fbFollowUpState = sessions.namespace("fbFollowUp");
+const FB_FOLLOW_UP_MS = 10 * 60 * 1000;
 
 /**
  * Decision Tree state (SAFE callback_data)
  * chatId -> { pack, faultId, history: [nodeId...], messageId }
  */
-const dtState = new Map();
+const dtState = sessions.namespace("dt");
 
 /**
  * ✅ DT state bound to the message that created the buttons
  * Fixes: old dt:o:* presses after user taps menus/reset
  * key = `${chatId}:${messageId}` -> { pack, faultId, history }
+ * Capped per chat (oldest bindings evicted) so it can't grow forever.
+ */
+const dtMsgState = sessions.namespace("dtMsg", {
+  maxPerGroup: DT_MESSAGE_BINDINGS_PER_CHAT,
+  groupOf: (key) => String(key).split(":")[0],
+});
+/**
+ * Headless (HTTP) decision-tree sessions: sessionId -> { pack, faultId, history, current, trail, status, outcome, run }
  */
-const dtMsgState = new Map();
+const apiDtState = sessions.namespace("apiDt");
+app.use(
+  "/api/sessions",
+  requireBearer(DT_API_TOKEN, "sessions_api_disabled"),
+  createDtSessionRouter({
+    packs,
+    store: apiDtState,
+    imageUrl: (key) => {
+      const image = resolveImageFile(key);
+      const rel = image?.rel || imageKeyCandidates(key)[0];
+      return rel ? `${PUBLIC_URL}/images/${rel}` : null;
+    },
+    onEvent: (type, st, fields) => {
+      recordDtEvent(type, st, { ...fields, channel: "api" });
+      if (type === "start") {
+        const { pack, faultId, id: sessionId, technician, charger } = st;
+        alertCriticalFault({ channel: "api", pack, faultId, sessionId, technician, charger });
+        trackChargerSession(charger ? chargerIdentity(charger) : null, st, { channel: "api", sessionId });
+      }
+    },
+    onDenied: (st, fields) =>
+      auditDenied({
+        channel: "api",
+        reason: "requires_role",
+        sessionId: st.id,
+        role: st.role || "guest",
+        pack: st.pack,
+        faultId: st.faultId,
+        ...fields,
+      }),
+    onAck: (st, { safety, tools, ...ack }) => {
+      audit.record({ action: "checklist_ack", channel: "api", sessionId: st.id, ...ack, safety: safety.length, tools: tools.length });
+      logEvent("checklist_ack", { channel: "api", sessionId: st.id, ...ack });
+    },
+  })
+);
+
 function dtMsgKey(chatId, messageId) {
   return `${chatId}:${messageId}`;
 }
@@ -411,6 +1213,28 @@ function pushDtHistory(chatId, nodeId) {
   if (String(last) !== String(nodeId)) hist.push(String(nodeId));
   setDt(chatId, { history: hist });
 }
+// One analytics event for the chat's current run (run id is set at dt:start)
+function recordDtEvent(type, st, fields = {}) {
+  if (!st?.run || !st?.pack || !st?.faultId) return;
+  let packVersion = "";
+  try {
+    packVersion = packs.load(st.pack).version || "";
+  } catch (_) {}
+  analytics.record(type, { run: st.run, pack: st.pack, faultId: st.faultId, packVersion, ...fields });
+  if (type === "terminal") chargerHistory.record("outcome", { run: st.run, outcome: fields.outcome, nodeId: fields.nodeId || null });
+  emitDtWebhook(type, { run: st.run, pack: st.pack, faultId: st.faultId, packVersion }, fields);
+}
+// Analytics event -> outbound webhook (start / choice / back / terminal done|escalated)
+function emitDtWebhook(type, base, { channel = "telegram", ...fields }) {
+  const data = { ...base, channel, ...fields };
+  if (type === "start") return webhooks.emit("session.started", data);
+  if (type === "choice") return webhooks.emit("node.reached", { ...data, nodeId: fields.to });
+  if (type === "back" && fields.to) return webhooks.emit("node.reached", { ...data, nodeId: fields.to, back: true });
+  if (type === "terminal" && fields.outcome === "done") return webhooks.emit("session.resolved", data);
+  if (type === "terminal" && fields.outcome === "escalated") return webhooks.emit("session.escalated", data);
+  return null;
+}
+
 function popDtHistory(chatId) {
   const cur = getDt(chatId);
   if (!cur) return null;
@@ -425,38 +1249,46 @@ function popDtHistory(chatId) {
 /* =========================
    PACK HELPERS
    ========================= */
-function loadPackByName(pack) {
-  const p = String(pack || "").toLowerCase();
-  if (p === "general_dc") return loadGeneralDc();
-  if (p === "kempower") return loadKempower();
-  if (p === "tritium") return loadTritium();
-  return loadAutel();
-}
-function getFaultById(pack, id) {
-  const data = loadPackByName(pack);
+// lang = sidecar translation (menus / cards / nodes); reports, analytics and feedback use the English pack
+function loadPackByName(pack, lang) {
+  return packs.load(pack, lang);
+}
+function getFaultById(pack, id, lang) {
+  const data = loadPackByName(pack, lang);
   return (data.faults || []).find((x) => String(x.id) === String(id));
 }
 
-// Standardized callbacks
-function cbPackMenu(pack) {
-  return `${pack}:menu`;
-}
-function cbPackAll(pack) {
-  return `${pack}:all`;
+function packLabel(pack, lang) {
+  return packs.get(pack, lang)?.label || cap(pack);
 }
-function cbFault(pack, id) {
-  return `${pack}:fault:${id}`;
-}
-function cbReportFromFault(pack, faultId) {
-  return `RF|${pack}|${faultId}`;
+
+function loadAllPacks() {
+  return packs.list().map((meta) => ({ pack: meta.id, faults: loadPackByName(meta.id).faults || [] }));
 }
 
+/* =========================
+   ERROR CODE + SEARCH INDEXES (built at load)
+   ========================= */
+let codeIndex = buildCodeIndex(loadAllPacks());
+let searchIndex = buildSearchIndex(loadAllPacks());
+console.log(`✅ Error codes indexed: ${codeIndex.size}`);
+
+// Rebuild derived indexes whenever the pack cache swaps (file watcher, /admin/reload, /reload)
+packs.onReload((result) => {
+  codeIndex = buildCodeIndex(loadAllPacks());
+  searchIndex = buildSearchIndex(loadAllPacks());
+  console.log(`🔄 Packs reloaded (${result.ok ? "ok" : "with errors"}):\n${formatReloadSummary(result)}`);
+  runPackLint("reload");
+});
+
+// Standardized callbacks: cbPackMenu / cbPackAll / cbFault / cbReportFromFault (server/callbacks.js)
+
 /* =========================
    LEGACY RENDER (fallback)
    ========================= */
-function buildLegacyFaultHtml(f) {
+function buildLegacyFaultHtml(f, untitled = "Fault") {
   const lines = [];
-  lines.push(`🧰 <b>${escapeHtml(f.title || "Fault")}</b>`);
+  lines.push(`🧰 <b>${escapeHtml(f.title || untitled)}</b>`);
   if (f.description) lines.push(`\n${escapeHtml(String(f.description))}`);
   lines.push("\n");
   return lines.join("\n");
@@ -465,8 +1297,9 @@ function buildLegacyFaultHtml(f) {
 /* =========================
    FAULT CARD
    ========================= */
-async function showFaultCard({ chatId, messageId, pack, fault }) {
-  setDt(chatId, { pack, faultId: String(fault?.id || ""), history: [], messageId: messageId || null });
+async function showFaultCard({ chatId, messageId, pack, fault: baseFault }) {
+  const fault = localFault(chatId, pack, baseFault);
+  setDt(chatId, { pack, faultId: String(fault?.id || ""), history: [], messageId: messageId || null, run: null });
 
   // ✅ also bind DT state to this messageId so old buttons remain valid
   if (messageId) {
@@ -480,172 +1313,167 @@ async function showFaultCard({ chatId, messageId, pack, fault }) {
   const rows = [];
 
   if (fault?.decision_tree?.start_node && fault?.decision_tree?.nodes) {
-    rows.push([{ text: "🧭 Start troubleshooting", callback_data: "dt:start" }]);
+    rows.push([{ text: ui(chatId, "fault.start_troubleshooting"), callback_data: "dt:start" }]);
   }
 
   // ✅ One-tap feedback
-  rows.push(...usefulButtons({ pack, faultId: fault?.id || "", source: "fault_card" }));
+  rows.push(...usefulButtons(chatId, { pack, faultId: fault?.id || "", source: "fault_card" }));
 
   if (ENABLE_REPORTS) {
-    rows.push([{ text: "🧾 Create report for this fault", callback_data: cbReportFromFault(pack, fault.id) }]);
+    rows.push([{ text: ui(chatId, "fault.create_report"), callback_data: cbReportFromFault(pack, fault.id) }]);
   }
 
-  rows.push([{ text: "⬅️ Back", callback_data: cbPackMenu(pack) }]);
-
-  // YAML preferred: response.telegram_markdown
-  if (fault?.response?.telegram_markdown) {
-    return upsertMessage(chatId, {
-      messageId,
-      text: fault.response.telegram_markdown,
-      parse_mode: "Markdown",
-      reply_markup: kb(rows),
-    });
-  }
+  rows.push([{ text: ui(chatId, "common.back"), callback_data: cbPackMenu(pack) }]);
 
-  // Fallback legacy HTML
-  const html = buildLegacyFaultHtml(fault);
-  return upsertMessage(chatId, {
+  // YAML preferred: response.telegram_markdown (fallback: legacy HTML)
+  const sent = await upsertMessage(chatId, {
     messageId,
-    text: html,
-    parse_mode: "HTML",
+    text: fault?.response?.telegram_markdown || buildLegacyFaultHtml(fault, ui(chatId, "fault.untitled")),
+    parse_mode: fault?.response?.telegram_markdown ? "Markdown" : "HTML",
     reply_markup: kb(rows),
   });
+
+  // Replaced a photo node (Back from an image start node): bind the new card instead
+  const sentId = sent?.message_id;
+  if (sentId && sentId !== messageId) {
+    setDt(chatId, { messageId: sentId });
+    setDtForMessage(chatId, sentId, { pack, faultId: String(fault?.id || ""), history: [] });
+  }
+  if (fault?.id) await showRepeatBanner(chatId, pack, String(fault.id));
+  return sent;
 }
 
 /* =========================
-   YAML DECISION TREE
+   PRE-START CHECKLIST
    ========================= */
-function imageKeyToUrl(imageKey) {
-  if (!imageKey) return "";
-  const key = String(imageKey).trim().replace(/^\/+/, "");
-  const relBase = key.replace(/^\/*/, "");
-  const hasExt = /\.[a-z0-9]+$/i.test(relBase);
-  const candidates = hasExt ? [relBase] : [`${relBase}.png`, `${relBase}.jpg`, `${relBase}.jpeg`, `${relBase}.webp`];
+// safety_notes / tools_required shown before dt:start; the tech's acknowledgement is kept with the DT session
+function findChecklistAck(st, pack, faultId) {
+  const acks = Array.isArray(st?.acks) ? st.acks : [];
+  return [...acks].reverse().find((a) => a.pack === pack && String(a.faultId) === String(faultId)) || null;
+}
 
-  for (const rel of candidates) {
-    const localPath = path.join(IMAGES_DIR, rel);
-    if (fs.existsSync(localPath)) return PUBLIC_URL ? `${PUBLIC_URL}/images/${rel}` : "";
-  }
-  return PUBLIC_URL ? `${PUBLIC_URL}/images/${candidates[0]}` : "";
+async function showChecklist({ chatId, messageId, pack, fault: baseFault }) {
+  const fault = localFault(chatId, pack, baseFault);
+  const list = faultChecklist(fault);
+  const lines = [ui(chatId, "checklist.title", { fault: escapeHtml(fault?.title || ui(chatId, "fault.untitled")) })];
+  if (list.safety.length) lines.push(`\n${ui(chatId, "checklist.safety")}`, ...list.safety.map((s) => `⚠️ ${escapeHtml(s)}`));
+  if (list.tools.length) lines.push(`\n${ui(chatId, "checklist.tools")}`, ...list.tools.map((s) => `🔧 ${escapeHtml(s)}`));
+  lines.push(`\n${ui(chatId, "checklist.confirm_note")}`);
+
+  const ackKey = list.safety.length && list.tools.length ? "ack_both" : list.safety.length ? "ack_safety" : "ack_tools";
+  const rows = [
+    [{ text: ui(chatId, `checklist.${ackKey}`), callback_data: "dt:ack" }],
+    [{ text: ui(chatId, "common.back"), callback_data: "dt:bk" }],
+  ];
+  return upsertMessage(chatId, { messageId, text: lines.join("\n"), parse_mode: "HTML", reply_markup: kb(rows) });
+}
+
+// Timestamped acknowledgement: chat + message DT state (copied into any report), audit log, JSON log
+function recordChecklistAck(chatId, messageId, st, fault, from) {
+  const list = faultChecklist(fault) || { safety: [], tools: [] };
+  let packVersion = "";
+  try {
+    packVersion = packs.load(st.pack).version || "";
+  } catch (_) {}
+  const ack = {
+    pack: st.pack,
+    faultId: String(fault.id),
+    packVersion,
+    at: new Date().toISOString(),
+    userId: from?.id ?? null,
+    by: [from?.first_name, from?.last_name].filter(Boolean).join(" ") || from?.username || "",
+    lang: langFor(chatId),
+    safety: list.safety,
+    tools: list.tools,
+  };
+  const acks = [...(Array.isArray(st.acks) ? st.acks : []), ack];
+  setDt(chatId, { acks });
+  if (messageId) setDtForMessage(chatId, messageId, { acks });
+  const { safety, tools, ...fields } = ack;
+  audit.record({ action: "checklist_ack", channel: "telegram", chatId, ...fields, safety: safety.length, tools: tools.length });
+  logEvent("checklist_ack", { chatId, ...fields });
+  return ack;
 }
 
+/* =========================
+   YAML DECISION TREE
+   ========================= */
 // ✅ Phase 1: common node fallbacks (prevents “Decision node not found: GD_ESC” etc.)
-function buildCommonNodeFallback(nodeId, pack, faultTitle = "") {
-  const id = String(nodeId || "").toUpperCase();
-
-  if (id === "GD_DONE") {
-    return {
-      text:
-        `✅ *Resolved*\n` +
-        (faultTitle ? `\n*Fault:* ${faultTitle}\n` : "\n") +
-        `Confirm the charger returns to *Ready* and survives a short retest session.\n\n` +
-        `If it re-faults, capture evidence and escalate.`,
-      buttons: [
-        ...usefulButtons({ pack, faultTitle, nodeId: "GD_DONE", source: "fallback_node" }),
-        [{ text: "🏠 Menu", callback_data: "dt:mn" }],
-        [{ text: "⬅️ Back", callback_data: "dt:bk" }],
-        [{ text: "⬅️ Pack menu", callback_data: cbPackMenu(pack) }],
-      ],
-    };
-  }
-
-  if (id === "GD_ESC") {
-    const reportRow = ENABLE_REPORTS
-      ? [[{ text: "🧾 Create report for this fault", callback_data: cbReportFromFault(pack, "") }]]
-      : [];
-    return {
-      text:
-        `🗂️ *Escalate*\n` +
-        (faultTitle ? `\n*Fault:* ${faultTitle}\n` : "\n") +
-        `Include:\n` +
-        `- Exact screen text / alarms\n` +
-        `- Timestamp\n` +
-        `- Photos (HMI + cabinet/filters/fans where relevant)\n` +
-        `- What you tried (reboot, filters cleaned, fans checked, etc.)\n`,
-      buttons: [
-        ...usefulButtons({ pack, faultTitle, nodeId: "GD_ESC", source: "fallback_node" }),
-        ...reportRow,
-        [{ text: "🏠 Menu", callback_data: "dt:mn" }],
-        [{ text: "⬅️ Back", callback_data: "dt:bk" }],
-      ],
-    };
+// English text lives in dtEngine.js (shared with the session API); catalogues may translate it (fallback.<NODE>)
+function fallbackNodeText(chatId, resolved) {
+  const lang = langFor(chatId);
+  const key = `fallback.${resolved.nodeId}`;
+  if (!i18n.has(lang, key)) return resolved.prompt;
+  const title = resolved.fault?.title || "";
+  return i18n.t(lang, key, { fault_line: title ? i18n.t(lang, "fallback.fault_line", { title }) : "\n" });
+}
+function fallbackNodeButtons(chatId, resolved) {
+  const { nodeId, pack } = resolved;
+  const faultId = String(resolved.fault?.id || "");
+  const rows = [...usefulButtons(chatId, { pack, faultId, nodeId, source: "fallback_node" })];
+  if (nodeId === "GD_ESC") rows.unshift(...escalateButton(chatId));
+  if (nodeId === "GD_ESC" && ENABLE_REPORTS) {
+    rows.push([{ text: ui(chatId, "fault.create_report"), callback_data: cbReportFromFault(pack, faultId) }]);
   }
+  rows.push([{ text: ui(chatId, "common.menu"), callback_data: "dt:mn" }]);
+  rows.push([{ text: ui(chatId, "common.back"), callback_data: "dt:bk" }]);
+  if (nodeId === "GD_DONE") rows.push([{ text: ui(chatId, "menu.pack_menu_back"), callback_data: cbPackMenu(pack) }]);
+  return rows;
+}
 
-  return null;
+// ✅ Route node IDs (__ROUTE_*__) declared in a pack header's `routes:` map
+// route = resolveNode() result of kind "route" / "route_error"
+async function handleRouteNode({ chatId, messageId, route }) {
+  const routeNodeId = route.nodeId;
+  if (route.kind === "route_error") {
+    return bot.sendMessage(chatId, ui(chatId, "dt.route_failed", { node: routeNodeId }));
+  }
+  const { pack, fault } = route;
+  // Analytics: the current run ends here, the routed fault starts a new one
+  const prev = getDt(chatId);
+  recordDtEvent("terminal", prev, { nodeId: routeNodeId, outcome: "routed" });
+  const run = newRunId();
+  setDt(chatId, { pack, faultId: fault.id, history: [], messageId: messageId || null, run });
+  if (messageId) setDtForMessage(chatId, messageId, { pack, faultId: fault.id, history: [], run });
+  recordDtEvent("start", { pack, faultId: fault.id, run }, { nodeId: route.startNode, routedFrom: prev?.faultId || null });
+  trackChargerSession(chatChargerIdentity(chatId), { pack, faultId: fault.id, run }, { channel: "telegram", chatId });
+  alertCriticalFromChat(chatId, pack, String(fault.id));
+  // Its own checklist first (dt:ack continues to the start node), else jump straight in
+  if (faultChecklist(fault) && !findChecklistAck(getDt(chatId), pack, fault.id)) {
+    return showChecklist({ chatId, messageId, pack, fault });
+  }
+  return renderYamlDecisionNode({ chatId, messageId, pack, fault, nodeId: route.startNode });
 }
 
-// ✅ Phase 1: support route node IDs used in General DC YAML
-async function handleRouteNode({ chatId, messageId, routeNodeId }) {
-  const id = String(routeNodeId || "").toUpperCase();
+async function renderYamlDecisionNode({ chatId, messageId, pack, fault: baseFault, nodeId }) {
+  const fault = localFault(chatId, pack, baseFault);
+  const role = roleFor(chatId);
+  const resolved = resolveNode(packs, { pack, fault, nodeId, role });
 
-  if (id === "__ROUTE_GENERAL_DC_OFFLINE__") {
-    const pack = "general_dc";
-    const fault = getFaultById(pack, "general_dc_offline_backend_comms");
-    if (!fault?.decision_tree?.start_node) {
-      return bot.sendMessage(chatId, "⚠️ Offline/Comms route failed: fault missing or has no decision tree.");
-    }
-    setDt(chatId, { pack, faultId: fault.id, history: [], messageId: messageId || null });
-    if (messageId) setDtForMessage(chatId, messageId, { pack, faultId: fault.id, history: [] });
-    // Jump straight to its start node
-    return renderYamlDecisionNode({ chatId, messageId, pack, fault, nodeId: fault.decision_tree.start_node });
+  // Route nodes (__ROUTE_*__): jump into another fault's tree
+  if (resolved.kind === "route" || resolved.kind === "route_error") {
+    return handleRouteNode({ chatId, messageId, route: resolved });
   }
 
-  if (id === "__ROUTE_GENERAL_DC_OVERTEMP__") {
-    const pack = "general_dc";
-    const fault = getFaultById(pack, "general_dc_overtemp_cooling_fault");
-    if (!fault?.decision_tree?.start_node) {
-      return bot.sendMessage(chatId, "⚠️ Overtemp/Cooling route failed: fault missing or has no decision tree.");
-    }
-    setDt(chatId, { pack, faultId: fault.id, history: [], messageId: messageId || null });
-    if (messageId) setDtForMessage(chatId, messageId, { pack, faultId: fault.id, history: [] });
-    return renderYamlDecisionNode({ chatId, messageId, pack, fault, nodeId: fault.decision_tree.start_node });
-  }
-
-  return null;
-}
-
-async function renderYamlDecisionNode({ chatId, messageId, pack, fault, nodeId }) {
-  // Route nodes
-  if (String(nodeId || "").toUpperCase().startsWith("__ROUTE_GENERAL_DC_")) {
-    const handled = await handleRouteNode({ chatId, messageId, routeNodeId: nodeId });
-    if (handled) return handled;
-  }
-
-  const tree = fault?.decision_tree;
-  const node = tree?.nodes?.[nodeId];
-
-  // menu-jump nodes if referenced in YAML
-  if (nodeId === "__MENU_GENERAL_DC__") return showGeneralDcMenu(chatId, messageId);
-  if (nodeId === "__MENU_KEMPOWER__") return showKempowerMenu(chatId, messageId);
-  if (nodeId === "__MENU_AUTEL__") return showAutelMenu(chatId, messageId);
-  if (nodeId === "__MENU_TRITIUM__") return showTritiumMenu(chatId, messageId);
+  // menu-jump nodes if referenced in YAML (__MENU_<PACK>__)
+  if (resolved.kind === "menu") return showPackMenu(chatId, messageId, resolved.pack);
 
   // ✅ common node fallback (GD_ESC/GD_DONE) if not present in this fault’s nodes map
-  if (!node) {
-    const fallback = buildCommonNodeFallback(nodeId, pack, fault?.title || "");
-    if (fallback) {
-      // Fix report callback if missing faultId in fallback (we inject current faultId)
-      const fixedButtons = fallback.buttons.map((row) =>
-        row.map((b) => {
-          if (b.callback_data === cbReportFromFault(pack, "")) {
-            return { ...b, callback_data: cbReportFromFault(pack, String(fault?.id || "")) };
-          }
-          return b;
-        })
-      );
-      return upsertMessage(chatId, {
-        messageId,
-        text: fallback.text,
-        parse_mode: "Markdown",
-        reply_markup: kb(fixedButtons),
-      });
-    }
+  if (resolved.kind === "fallback") {
+    return upsertMessage(chatId, {
+      messageId,
+      text: fallbackNodeText(chatId, resolved),
+      parse_mode: "Markdown",
+      reply_markup: kb(fallbackNodeButtons(chatId, resolved)),
+    });
+  }
 
+  if (resolved.kind === "missing") {
     return upsertMessage(chatId, {
       messageId,
-      text: `⚠️ Decision node not found: ${nodeId}`,
+      text: ui(chatId, "dt.node_not_found", { node: nodeId }),
       parse_mode: "Markdown",
-      reply_markup: kb([[{ text: "⬅️ Back", callback_data: cbPackMenu(pack) }]]),
+      reply_markup: kb([[{ text: ui(chatId, "common.back"), callback_data: cbPackMenu(pack) }]]),
     });
   }
 
@@ -662,63 +1490,85 @@ async function renderYamlDecisionNode({ chatId, messageId, pack, fault, nodeId }
     });
   }
 
-  const text = node.prompt || "…";
+  // requires_role above this user: lock card instead of the prompt (options they may take stay)
+  const locked = resolved.kind === "locked";
+  if (locked) {
+    const userId = chatUsers.get(String(chatId))?.userId ?? null;
+    const { requiredRole } = resolved;
+    auditDenied({ channel: "telegram", reason: "requires_role", userId, chatId, role, requiredRole, pack, faultId: String(fault.id), nodeId });
+  }
+  const text = locked
+    ? ui(chatId, "access.locked", { role: escapeHtml(roleName(chatId, resolved.requiredRole)) })
+    : resolved.prompt;
 
-  const rows = [];
-  const opts = Array.isArray(node.options) ? node.options : [];
-  opts.forEach((opt, idx) => {
-    rows.push([{ text: opt.label || opt.text || "Next", callback_data: `dt:o:${idx}` }]);
-  });
+  const rows = resolved.options.map((opt) => [{ text: opt.label, callback_data: `dt:o:${opt.index}` }]);
+  if (!locked && resolved.terminal === "escalated") rows.unshift(...escalateButton(chatId));
+
+  // Image nodes: prompt becomes the caption (1024 max); the full text stays one tap away
+  const image = resolved.image ? resolveImageFile(resolved.image) : null;
+  const { caption, truncated } = image ? fitCaption(text) : { caption: text, truncated: false };
+  if (truncated) rows.push([{ text: ui(chatId, "dt.full_text"), callback_data: "dt:tx" }]);
 
   // ✅ One-tap feedback on DT nodes
-  rows.push(...usefulButtons({ pack, faultId: fault?.id || "", nodeId, source: "decision_tree" }));
+  rows.push(...usefulButtons(chatId, { pack, faultId: fault?.id || "", nodeId, source: "decision_tree" }));
 
   if (ENABLE_REPORTS) {
-    rows.push([{ text: "🧾 Create report for this fault", callback_data: cbReportFromFault(pack, fault.id) }]);
+    rows.push([{ text: ui(chatId, "fault.create_report"), callback_data: cbReportFromFault(pack, fault.id) }]);
   }
-  rows.push([{ text: "⬅️ Back", callback_data: "dt:bk" }]);
-  rows.push([{ text: `🏠 ${pack === "general_dc" ? "General DC" : cap(pack)} menu`, callback_data: "dt:mn" }]);
+  rows.push([{ text: ui(chatId, "common.back"), callback_data: "dt:bk" }]);
+  rows.push([{ text: ui(chatId, "menu.pack_menu", { pack: packLabel(pack, langFor(chatId)) }), callback_data: "dt:mn" }]);
 
-  // If you want photos, extend upsertPhotoOrText to actually sendPhoto.
-  const imageUrl = node.image ? imageKeyToUrl(node.image) : "";
-  if (node.image && !imageUrl) {
-    return upsertMessage(chatId, {
-      messageId,
-      text: `${text}\n\n⚠️ (Image referenced, but PUBLIC_URL is blank so Telegram can’t fetch it.)`,
-      parse_mode: "Markdown",
-      reply_markup: kb(rows),
+  const { message, media } = await upsertPhotoOrText(chatId, {
+    messageId,
+    text,
+    caption,
+    image,
+    parse_mode: locked ? "HTML" : "Markdown",
+    reply_markup: kb(rows),
+  });
+
+  // Text ↔ photo switches send a new message: move the DT binding onto it
+  const sentId = message?.message_id;
+  if (sentId) {
+    const st = getDt(chatId);
+    if (sentId !== messageId) setDt(chatId, { messageId: sentId });
+    setDtForMessage(chatId, sentId, {
+      pack: st?.pack || pack,
+      faultId: st?.faultId || String(fault?.id || ""),
+      history: Array.isArray(st?.history) ? st.history : [],
+      run: st?.run || null,
+      media,
     });
   }
-
-  return upsertPhotoOrText(chatId, { messageId, text, parse_mode: "Markdown", reply_markup: kb(rows) });
+  return message;
 }
 
 /* =========================
-   REPORT (minimal stubs kept)
+   REPORT (wizard)
    ========================= */
+function emptyReportData() {
+  return {
+    manufacturer: "",
+    faultId: "",
+    faultTitle: "",
+    faultSummary: "",
+    prefilled: false,
+    site: "",
+    chargerIdPublic: "",
+    chargerSerialNumber: "",
+    assetId: "",
+    technician: "",
+    clientRef: "",
+    actions: [],
+    actionOptions: [],
+    photos: [],
+    notes: "",
+    resolution: "",
+  };
+}
+
 function setReport(chatId, patch) {
-  const cur =
-    reportState.get(chatId) || {
-      step: "site",
-      data: {
-        manufacturer: "",
-        faultId: "",
-        faultTitle: "",
-        faultSummary: "",
-        prefilled: false,
-        site: "",
-        chargerIdPublic: "",
-        chargerSerialNumber: "",
-        assetId: "",
-        technician: "",
-        clientRef: "",
-        actions: [],
-        actionOptions: [],
-        photos: [],
-        notes: "",
-        resolution: "",
-      },
-    };
+  const cur = reportState.get(chatId) || { step: "site", editing: false, data: emptyReportData() };
   const next = { ...cur, ...patch, data: { ...cur.data, ...(patch.data || {}) } };
   reportState.set(chatId, next);
   return next;
@@ -727,6 +1577,461 @@ function clearReport(chatId) {
   reportState.delete(chatId);
 }
 
+// Stored + printed in English (client report); buttons show report.resolutions from the catalogue, same order
+const REPORT_RESOLUTIONS = [
+  "Resolved – charger back in service",
+  "Temporary fix – monitoring required",
+  "Not resolved – escalated to manufacturer",
+  "Not resolved – parts required",
+  "No fault found",
+];
+
+/* =========================
+   REPORT ← DECISION-TREE PATH
+   ========================= */
+/**
+ * Turn the nodes visited (dtState.history) into report actions:
+ * - each step = "<prompt headline> → <option chosen>"
+ * - a terminal *_DONE* / *_ESC* node (classifyTerminal) is recorded as "Reached: <headline>" and suggests the outcome
+ */
+function buildPathActions(fault, history = []) {
+  const nodes = fault?.decision_tree?.nodes || {};
+  const hist = (Array.isArray(history) ? history : []).map(String).filter((id) => nodes[id]);
+  const options = [];
+
+  for (let i = 0; i < hist.length - 1; i++) {
+    const node = nodes[hist[i]];
+    const opt = (Array.isArray(node?.options) ? node.options : []).find((o) => String(o?.next) === hist[i + 1]);
+    const headline = promptHeadline(node?.prompt);
+    const label = stripEmojisForFinal(opt?.label || opt?.text || "");
+    const text = [headline, label].filter(Boolean).join(" → ");
+    if (text && !options.some((o) => o.text === text)) options.push({ text, selected: true, nodeId: hist[i] });
+  }
+
+  const last = hist[hist.length - 1] || "";
+  const terminal = classifyTerminal(last);
+  if (terminal) {
+    options.push({ text: `Reached: ${promptHeadline(nodes[last]?.prompt) || last}`, selected: true, nodeId: last });
+  }
+
+  return {
+    options,
+    terminal,
+    terminalNode: terminal ? last : "",
+    suggestedResolution: terminal === "done" ? REPORT_RESOLUTIONS[0] : terminal === "escalated" ? REPORT_RESOLUTIONS[2] : "",
+  };
+}
+
+// Selected path actions first, then anything typed by hand
+function mergeActionOptions(data) {
+  const options = Array.isArray(data.actionOptions) ? data.actionOptions : [];
+  const optionTexts = new Set(options.map((o) => o.text));
+  const manual = (Array.isArray(data.actions) ? data.actions : []).filter((a) => !optionTexts.has(a));
+  return [...options.filter((o) => o.selected).map((o) => o.text), ...manual];
+}
+
+/**
+ * Wizard steps, in order. `step` is what reportState.step holds while waiting on that field.
+ * kind: text | list (actions) | photos | choice (resolution)
+ * Label / prompt / hint text: report.steps.<field>.* in the message catalogues
+ */
+const REPORT_STEPS = [
+  { step: "site", field: "site", kind: "text", max: 120 },
+  { step: "chargerIdPublic", field: "chargerIdPublic", kind: "text", max: 60 },
+  { step: "chargerSerialNumber", field: "chargerSerialNumber", kind: "text", max: 60, pattern: /^[A-Za-z0-9][A-Za-z0-9 ._/-]*$/ },
+  { step: "assetId", field: "assetId", kind: "text", max: 60, optional: true },
+  { step: "technician", field: "technician", kind: "text", max: 80 },
+  { step: "clientRef", field: "clientRef", kind: "text", max: 60, optional: true },
+  { step: "actions", field: "actions", kind: "list", max: 200, maxItems: 30 },
+  { step: "UPLOAD_PHOTOS", field: "photos", kind: "photos", optional: true, maxItems: 20 },
+  { step: "resolution", field: "resolution", kind: "choice", max: 120, choices: REPORT_RESOLUTIONS },
+  { step: "notes", field: "notes", kind: "text", max: 1500, optional: true },
+];
+
+function stepText(chatId, def, part) {
+  return ui(chatId, `report.steps.${def.field}.${part}`);
+}
+
+function getReportStep(step) {
+  return REPORT_STEPS.find((s) => s.step === step) || null;
+}
+function getReportStepByField(field) {
+  return REPORT_STEPS.find((s) => s.field === field) || null;
+}
+// skip = fields already filled from the selected charger (st.assetFields)
+function nextReportStep(step, skip = []) {
+  const idx = REPORT_STEPS.findIndex((s) => s.step === step);
+  if (idx < 0) return null;
+  return REPORT_STEPS.slice(idx + 1).find((s) => !skip.includes(s.field)) || null;
+}
+function firstReportStep(skip = []) {
+  return REPORT_STEPS.find((s) => !skip.includes(s.field)) || REPORT_STEPS[0];
+}
+
+function reportStepKeyboard(chatId, def, st) {
+  const rows = [];
+  if (def.kind === "choice") {
+    const cur = st?.data?.[def.field];
+    const labels = ui(chatId, "report.resolutions");
+    def.choices.forEach((c, idx) =>
+      rows.push([{ text: `${c === cur ? "⭐ " : ""}${(Array.isArray(labels) && labels[idx]) || c}`, callback_data: `r:ch:${idx}` }])
+    );
+  }
+  if (def.kind === "list") {
+    (st?.data?.actionOptions || []).forEach((o, idx) => {
+      const text = o.text.length > 56 ? `${o.text.slice(0, 55)}…` : o.text;
+      rows.push([{ text: `${o.selected ? "☑️" : "⬜"} ${text}`, callback_data: `r:ao:${idx}` }]);
+    });
+    const count = (st?.data?.[def.field] || []).length;
+    if (count) {
+      rows.push([
+        { text: ui(chatId, "report.done_count", { count }), callback_data: "r:done" },
+        { text: ui(chatId, "report.clear"), callback_data: "r:clr" },
+      ]);
+    }
+  }
+  if (def.kind === "photos") {
+    const count = (st?.data?.photos || []).length;
+    rows.push([
+      { text: count ? ui(chatId, "report.done_count", { count }) : ui(chatId, "report.skip_photos"), callback_data: "r:done" },
+      ...(count ? [{ text: ui(chatId, "report.clear"), callback_data: "r:clr" }] : []),
+    ]);
+  }
+  if (def.optional && def.kind === "text") rows.push([{ text: ui(chatId, "common.skip"), callback_data: "r:skip" }]);
+  if (st?.editing) rows.push([{ text: ui(chatId, "report.back_to_preview"), callback_data: "r:pv" }]);
+  rows.push([{ text: ui(chatId, "report.cancel"), callback_data: "r:cancel" }]);
+  return rows;
+}
+
+async function askReportStep(chatId, step, intro = "") {
+  const def = getReportStep(step);
+  if (!def) return showReportPreview(chatId);
+  const st = setReport(chatId, { step });
+
+  const idx = REPORT_STEPS.indexOf(def);
+  const cur = st.data[def.field];
+  const hasValue = Array.isArray(cur) ? cur.length : !!cur;
+  let currentLine =
+    st.editing && hasValue && def.kind !== "photos" && def.kind !== "list"
+      ? `\n\n${ui(chatId, "report.current", { value: escapeHtml(Array.isArray(cur) ? cur.join("; ") : cur) })}`
+      : "";
+  if (def.kind === "list" && (st.data.actionOptions || []).length) {
+    currentLine = `\n\n${ui(chatId, "report.from_path")}`;
+  }
+  if (def.kind === "choice" && cur && st.data.pathTerminal && !st.editing) {
+    currentLine = `\n\n${ui(chatId, "report.suggested", { value: escapeHtml(cur) })}`;
+  }
+
+  const header = ui(chatId, "report.step_header", { n: idx + 1, total: REPORT_STEPS.length });
+  return bot.sendMessage(chatId, `${intro}${header}\n\n${stepText(chatId, def, "prompt")}${currentLine}`, {
+    parse_mode: "HTML",
+    reply_markup: kb(reportStepKeyboard(chatId, def, st)),
+  });
+}
+
+// After a field is captured: back to preview when editing, else the next step
+async function advanceReport(chatId) {
+  const st = reportState.get(chatId);
+  if (!st) return null;
+  if (st.editing) return showReportPreview(chatId);
+  const next = nextReportStep(st.step, st.assetFields || []);
+  return next ? askReportStep(chatId, next.step) : showReportPreview(chatId);
+}
+
+function validateReportText(chatId, def, text) {
+  const v = String(text || "").trim();
+  if (!v) return ui(chatId, "report.empty_text");
+  if (def.max && v.length > def.max) return ui(chatId, "report.too_long", { length: v.length, max: def.max });
+  if (def.pattern && !def.pattern.test(v)) return ui(chatId, "report.bad_pattern", { hint: stepText(chatId, def, "hint") });
+  return "";
+}
+
+function parseActionLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").trim())
+    .filter(Boolean);
+}
+
+async function captureReportText(chatId, st, text) {
+  const def = getReportStep(st.step);
+  if (!def) {
+    return bot.sendMessage(chatId, ui(chatId, "report.use_preview_buttons"));
+  }
+
+  if (def.kind === "photos") {
+    return bot.sendMessage(chatId, ui(chatId, "report.send_photos_not_text"), {
+      reply_markup: kb(reportStepKeyboard(chatId, def, st)),
+    });
+  }
+
+  if (def.kind === "list") {
+    const lines = parseActionLines(text);
+    const tooLong = lines.find((l) => l.length > def.max);
+    if (tooLong) return bot.sendMessage(chatId, ui(chatId, "report.action_too_long", { max: def.max }));
+    const cur = mergeActionOptions(st.data);
+    const merged = [...cur, ...lines].slice(0, def.maxItems);
+    const next = setReport(chatId, { data: { [def.field]: merged } });
+    return bot.sendMessage(chatId, ui(chatId, "report.actions_added", { added: lines.length, total: merged.length }), {
+      parse_mode: "HTML",
+      reply_markup: kb(reportStepKeyboard(chatId, def, next)),
+    });
+  }
+
+  const err = validateReportText(chatId, def, text);
+  if (err) {
+    return bot.sendMessage(chatId, `⚠️ ${escapeHtml(err)}`, {
+      parse_mode: "HTML",
+      reply_markup: kb(reportStepKeyboard(chatId, def, st)),
+    });
+  }
+
+  const next = setReport(chatId, { data: { [def.field]: text.trim() } });
+  // Report not started from a fault: the charger may already have told us what's wrong
+  if (["chargerIdPublic", "chargerSerialNumber"].includes(def.field) && !next.data.faultId) {
+    await offerChargerFault(chatId, text);
+  }
+  return advanceReport(chatId);
+}
+
+function reportPreviewKeyboard(chatId) {
+  const edits = REPORT_STEPS.map((s) => ({
+    text: ui(chatId, "report.edit", { label: stepText(chatId, s, "label") }),
+    callback_data: `r:ed:${s.field}`,
+  }));
+  const rows = [];
+  for (let i = 0; i < edits.length; i += 2) rows.push(edits.slice(i, i + 2));
+  rows.push([{ text: ui(chatId, "report.confirm_send"), callback_data: "r:send" }]);
+  rows.push([{ text: ui(chatId, "report.cancel"), callback_data: "r:cancel" }]);
+  return rows;
+}
+
+// Required fields still empty (preview can't be confirmed until these are filled) -> step labels
+function missingReportFields(chatId, data) {
+  return REPORT_STEPS.filter((s) => !s.optional)
+    .filter((s) => (Array.isArray(data[s.field]) ? !data[s.field].length : !String(data[s.field] || "").trim()))
+    .map((s) => stepText(chatId, s, "label"));
+}
+
+async function showReportPreview(chatId) {
+  const st = setReport(chatId, { step: "PREVIEW", editing: true });
+  const missing = missingReportFields(chatId, st.data);
+  const warn = missing.length ? `\n${ui(chatId, "report.missing", { fields: escapeHtml(missing.join(", ")) })}\n` : "";
+  return bot.sendMessage(chatId, `${ui(chatId, "report.preview")}\n${warn}\n${formatReportHtml(st.data)}`, {
+    parse_mode: "HTML",
+    reply_markup: kb(reportPreviewKeyboard(chatId)),
+  });
+}
+
+/* ---------- PDF export ---------- */
+function reportPdfName(record) {
+  return `service-report-${record.id}.pdf`;
+}
+
+function buildReportPdf(record) {
+  return renderReportPdf(record, {
+    brandName: REPORT_BRAND_NAME,
+    brandColor: REPORT_BRAND_COLOR,
+    logoPath: REPORT_LOGO,
+    fontPath: REPORT_PDF_FONT,
+    loadPhoto: (p) => {
+      const file = reports.photoPath(record.id, p.file);
+      return file && fs.existsSync(file) ? fs.readFileSync(file) : null;
+    },
+  });
+}
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (c) => chunks.push(c));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+}
+
+// Copy photos out of Telegram (file links expire) so the PDF can be rebuilt later
+async function saveReportPhotos(record) {
+  const photos = record.data.photos || [];
+  for (let i = 0; i < photos.length; i++) {
+    try {
+      const buf = await streamToBuffer(bot.getFileStream(photos[i].file_id));
+      if (buf.length) record = reports.savePhoto(record.id, i, buf, "jpg") || record;
+    } catch (e) {
+      console.error(`❌ Report photo download failed (${record.id} #${i + 1}):`, e?.message || e);
+    }
+  }
+  return record;
+}
+
+// -> the PDF buffer once sent (the ticket gets the same file), null on failure
+async function sendReportPdf(chatId, record) {
+  try {
+    const pdf = await buildReportPdf(record);
+    await bot.sendDocument(
+      chatId,
+      pdf,
+      { caption: `📄 Service report ${record.id}` },
+      { filename: reportPdfName(record), contentType: "application/pdf" }
+    );
+    return pdf;
+  } catch (e) {
+    console.error("❌ Report PDF failed:", e?.message || e);
+    return null;
+  }
+}
+
+// Final, client-safe copy: clean report message + photos with captions + PDF document
+async function finalizeReport(chatId, userId = null) {
+  const st = reportState.get(chatId);
+  if (!st) return bot.sendMessage(chatId, ui(chatId, "report.none"));
+
+  const missing = missingReportFields(chatId, st.data);
+  if (missing.length) {
+    return bot.sendMessage(chatId, ui(chatId, "report.cant_send", { fields: escapeHtml(missing.join(", ")) }), {
+      parse_mode: "HTML",
+      reply_markup: kb(reportPreviewKeyboard(chatId)),
+    });
+  }
+
+  const data = st.data;
+  await bot.sendMessage(chatId, formatReportHtml(data), { parse_mode: "HTML" });
+
+  const photos = Array.isArray(data.photos) ? data.photos : [];
+  for (let i = 0; i < photos.length; i += 10) {
+    const media = photos.slice(i, i + 10).map((p) => ({
+      type: "photo",
+      media: p.file_id,
+      ...(p.caption ? { caption: stripEmojisForFinal(p.caption).slice(0, 1024) } : {}),
+    }));
+    try {
+      await bot.sendMediaGroup(chatId, media);
+    } catch (e) {
+      console.error("❌ sendMediaGroup failed:", e?.message || e);
+    }
+  }
+
+  let record = null;
+  try {
+    record = reports.create({ data, chatId, userId });
+  } catch (e) {
+    console.error("❌ Report save failed:", e?.message || e);
+  }
+  let pdf = null;
+  let ticket = null;
+  if (record) {
+    record = await saveReportPhotos(record);
+    // Ticket first, so its key is on the PDF; the PDF is attached afterwards
+    if (ticketing.enabled) {
+      ticket = await upsertReportTicket(record);
+      record = ticket.record;
+    }
+    pdf = await sendReportPdf(chatId, record);
+    if (ticket?.ok) ticket = { ...ticket, ...(await attachReportFiles(record, ticket.key, pdf)) };
+    if (ticket) await bot.sendMessage(chatId, ticketNotice(chatId, ticket), { parse_mode: "HTML" });
+  }
+  const pdfSent = Boolean(pdf);
+
+  chargerHistory.record("report", {
+    ...chargerIdentity(data.assetId || data.chargerIdPublic || data.chargerSerialNumber),
+    pack: data.manufacturer || "",
+    faultId: data.faultId || "",
+    run: data.run || null,
+    reportId: record?.id || null,
+    resolution: data.resolution || "",
+    chatId,
+  });
+
+  logEvent("report_completed", {
+    chatId,
+    reportId: record?.id || null,
+    pdf: pdfSent,
+    manufacturer: data.manufacturer || "",
+    faultId: data.faultId || "",
+    actions: (data.actions || []).length,
+    photos: photos.length,
+  });
+  webhooks.emit("report.completed", {
+    reportId: record?.id || null,
+    chatId,
+    userId,
+    manufacturer: data.manufacturer || "",
+    faultId: data.faultId || "",
+    faultTitle: data.faultTitle || "",
+    site: data.site || "",
+    chargerIdPublic: data.chargerIdPublic || "",
+    chargerSerialNumber: data.chargerSerialNumber || "",
+    resolution: data.resolution || "",
+    actions: (data.actions || []).length,
+    photos: photos.length,
+    pdf: pdfSent,
+    safetyCheck: data.safetyCheck || null,
+    ticketKey: record?.data?.ticketKey || null,
+  });
+  clearReport(chatId);
+  const done = ui(chatId, pdfSent ? "report.forward_pdf" : "report.forward");
+  return bot.sendMessage(chatId, ui(chatId, "report.complete", { next: done }), {
+    reply_markup: kb([[{ text: ui(chatId, "menu.manufacturer"), callback_data: "menu:mfr" }]]),
+  });
+}
+
+async function handleReportCallback(chatId, data, userId = null) {
+  const st = reportState.get(chatId);
+  if (!st) return bot.sendMessage(chatId, ui(chatId, "report.none"));
+  const def = getReportStep(st.step);
+
+  if (data === "r:cancel") {
+    clearReport(chatId);
+    return bot.sendMessage(chatId, ui(chatId, "report.cancelled"));
+  }
+  if (data === "r:pv") return showReportPreview(chatId);
+  if (data === "r:send") return finalizeReport(chatId, userId);
+
+  if (data.startsWith("r:ed:")) {
+    const target = getReportStepByField(data.slice("r:ed:".length));
+    if (!target) return showReportPreview(chatId);
+    setReport(chatId, { editing: true });
+    return askReportStep(chatId, target.step);
+  }
+
+  if (!def) return showReportPreview(chatId);
+
+  if (data === "r:skip" && def.optional) {
+    setReport(chatId, { data: { [def.field]: "" } });
+    return advanceReport(chatId);
+  }
+  if (data === "r:clr" && (def.kind === "list" || def.kind === "photos")) {
+    const actionOptions = def.kind === "list" ? (st.data.actionOptions || []).map((o) => ({ ...o, selected: false })) : undefined;
+    setReport(chatId, { data: { [def.field]: [], ...(actionOptions ? { actionOptions } : {}) } });
+    return askReportStep(chatId, def.step);
+  }
+  if (data.startsWith("r:ao:") && def.kind === "list") {
+    const idx = Number(data.split(":")[2]);
+    const options = (st.data.actionOptions || []).map((o, i) => (i === idx ? { ...o, selected: !o.selected } : o));
+    if (!options[idx]) return null;
+    const actions = mergeActionOptions({ actionOptions: options, actions: st.data.actions });
+    const next = setReport(chatId, { data: { actionOptions: options, actions } });
+    const key = options[idx].selected ? "report.option_added" : "report.option_removed";
+    return bot.sendMessage(chatId, ui(chatId, key, { text: escapeHtml(options[idx].text) }), {
+      parse_mode: "HTML",
+      reply_markup: kb(reportStepKeyboard(chatId, def, next)),
+    });
+  }
+  if (data === "r:done" && (def.kind === "list" || def.kind === "photos")) {
+    if (def.kind === "list" && !(st.data[def.field] || []).length) {
+      return bot.sendMessage(chatId, ui(chatId, "report.need_action"));
+    }
+    return advanceReport(chatId);
+  }
+  if (data.startsWith("r:ch:") && def.kind === "choice") {
+    const choice = def.choices[Number(data.split(":")[2])];
+    if (!choice) return null;
+    setReport(chatId, { data: { [def.field]: choice } });
+    return advanceReport(chatId);
+  }
+  return null;
+}
+
 function formatReportHtml(data) {
   const site = escapeHtml(stripEmojisForFinal(data.site || ""));
   const chargerIdPublic = escapeHtml(stripEmojisForFinal(data.chargerIdPublic || ""));
@@ -758,6 +2063,7 @@ function formatReportHtml(data) {
     (manufacturer ? `<b>Manufacturer:</b> ${manufacturer}\n` : "") +
     `<b>Fault:</b> ${faultTitle}\n` +
     (faultSummary ? `<b>Fault summary:</b> ${faultSummary}\n` : "") +
+    (data.safetyCheck ? `<b>Safety checklist:</b> ${escapeHtml(safetyCheckSummary(data.safetyCheck))}\n` : "") +
     `\n<b>Actions Taken:</b>\n${actionsLines}\n\n` +
     `<b>Status / Outcome:</b> ${resolution}\n` +
     `<b>Attachments:</b>\n${attachmentsLine}\n` +
@@ -765,69 +2071,697 @@ function formatReportHtml(data) {
   );
 }
 
-async function startReport(chatId) {
-  if (!ENABLE_REPORTS) return bot.sendMessage(chatId, "🚫 Report builder is disabled for now.");
+// Selected charger -> the report fields it fills in (skipped by the wizard, still editable from the preview)
+function assetReportData(chatId) {
+  const charger = selectedCharger(chatId);
+  if (!charger) return { charger: null, data: {}, fields: [] };
+  const site = assets.getSite(charger.siteId);
+  const values = {
+    site: [site?.name, charger.location].filter(Boolean).join(", "),
+    chargerIdPublic: charger.publicId || "",
+    chargerSerialNumber: charger.serialNumber || "",
+    assetId: charger.id,
+  };
+  const data = {};
+  for (const [field, value] of Object.entries(values)) {
+    const def = getReportStepByField(field);
+    if (value && value.length <= def.max && (!def.pattern || def.pattern.test(value))) data[field] = value;
+  }
+  return { charger, data, fields: Object.keys(data) };
+}
+function assetReportIntro(chatId, asset) {
+  return asset.charger ? ui(chatId, "report.prefilled_charger", { charger: escapeHtml(chargerLabel(asset.charger)) }) : "";
+}
+
+async function startReport(chatId) {
+  if (!ENABLE_REPORTS) return bot.sendMessage(chatId, ui(chatId, "report.disabled"));
+
+  const asset = assetReportData(chatId);
+  const first = firstReportStep(asset.fields);
+  setReport(chatId, {
+    step: first.step,
+    editing: false,
+    assetFields: asset.fields,
+    data: { ...emptyReportData(), manufacturer: chargerPack(asset.charger) || "", ...asset.data },
+  });
+  return askReportStep(chatId, first.step, ui(chatId, "report.builder") + assetReportIntro(chatId, asset));
+}
+
+async function startReportFromFault(chatId, pack, fault, history = [], safetyCheck = null) {
+  if (!ENABLE_REPORTS) return bot.sendMessage(chatId, ui(chatId, "report.disabled"));
+
+  const walked = buildPathActions(fault, history);
+  const asset = assetReportData(chatId);
+  const first = firstReportStep(asset.fields);
+  setReport(chatId, {
+    step: first.step,
+    editing: false,
+    assetFields: asset.fields,
+    data: {
+      ...emptyReportData(),
+      ...asset.data,
+      manufacturer: pack,
+      faultId: String(fault?.id || ""),
+      faultTitle: fault?.title || "",
+      prefilled: true,
+      actionOptions: walked.options,
+      actions: walked.options.filter((o) => o.selected).map((o) => o.text),
+      resolution: walked.suggestedResolution,
+      pathHistory: history,
+      run: getDt(chatId)?.faultId === String(fault?.id || "") ? getDt(chatId)?.run || null : null,
+      pathTerminal: walked.terminal,
+      safetyCheck,
+    },
+  });
+
+  const lang = langFor(chatId);
+  const pathLine = walked.options.length
+    ? ui(chatId, "report.prefilled_path", { count: walked.options.length }) +
+      (walked.suggestedResolution ? ui(chatId, "report.suggested_outcome", { outcome: escapeHtml(walked.suggestedResolution) }) : "")
+    : "";
+
+  return askReportStep(
+    chatId,
+    first.step,
+    ui(chatId, "report.prefilled", {
+      manufacturer: escapeHtml(packLabel(pack, lang)),
+      fault: escapeHtml(localFault(chatId, pack, fault)?.title || ""),
+      path: pathLine,
+    }) + assetReportIntro(chatId, asset)
+  );
+}
+
+/* =========================
+   ESCALATION (hand-off to the supervisor group)
+   ========================= */
+// Technician side: *_ESC node → "Escalate now" → charger IDs (unless known) → notes / photos → Send
+// chatId -> { step: "charger" | "evidence", pack, faultId, nodeId, history, charger, notes, photos }
+const escDraftState = sessions.namespace("escDraft");
+const ESC_MAX_PHOTOS = 10;
+
+function escalateButton(chatId) {
+  return ESCALATION_CHAT_ID ? [[{ text: ui(chatId, "esc.button"), callback_data: "esc:new" }]] : [];
+}
+function escEvidenceKeyboard(chatId) {
+  return kb([
+    [{ text: ui(chatId, "esc.send"), callback_data: "esc:send" }],
+    [{ text: ui(chatId, "esc.cancel"), callback_data: "esc:cancel" }],
+  ]);
+}
+
+async function startEscalation(chatId, st) {
+  if (!ESCALATION_CHAT_ID) return bot.sendMessage(chatId, ui(chatId, "esc.not_configured"));
+  const fault = st?.pack ? getFaultById(st.pack, st.faultId) : null;
+  if (!fault) return bot.sendMessage(chatId, ui(chatId, "dt.no_active_fault_short"));
+
+  // Fallback GD_ESC isn't on the history stack: the last node there is the one that pointed at it
+  const history = Array.isArray(st.history) ? [...st.history] : [];
+  const last = history[history.length - 1] || "";
+  const nodeId = classifyTerminal(last) === "escalated" ? last : "GD_ESC";
+  const charger = chargerFor(chatId);
+  const step = charger ? "evidence" : "charger";
+  escDraftState.set(chatId, { step, pack: st.pack, faultId: String(fault.id), nodeId, history, charger, notes: [], photos: [] });
+
+  if (charger) {
+    return bot.sendMessage(chatId, ui(chatId, "esc.ask_evidence", { charger: escapeHtml(charger) }), {
+      parse_mode: "HTML",
+      reply_markup: escEvidenceKeyboard(chatId),
+    });
+  }
+  return bot.sendMessage(chatId, ui(chatId, "esc.ask_charger"), {
+    parse_mode: "HTML",
+    reply_markup: kb([
+      [{ text: ui(chatId, "common.skip"), callback_data: "esc:skip" }],
+      [{ text: ui(chatId, "esc.cancel"), callback_data: "esc:cancel" }],
+    ]),
+  });
+}
+
+function captureEscalationText(chatId, draft, text) {
+  if (draft.step === "charger") {
+    escDraftState.set(chatId, { ...draft, step: "evidence", charger: text.slice(0, 120) });
+    return bot.sendMessage(chatId, ui(chatId, "esc.ask_evidence", { charger: escapeHtml(text.slice(0, 120)) }), {
+      parse_mode: "HTML",
+      reply_markup: escEvidenceKeyboard(chatId),
+    });
+  }
+  const notes = [...draft.notes, text.slice(0, 1000)];
+  escDraftState.set(chatId, { ...draft, notes });
+  return bot.sendMessage(chatId, ui(chatId, "esc.note_added", { n: notes.length }), { reply_markup: escEvidenceKeyboard(chatId) });
+}
+
+function captureEscalationPhoto(chatId, draft, msg) {
+  const photos = msg.photo || [];
+  if (!photos.length) return null;
+  if (draft.photos.length >= ESC_MAX_PHOTOS) {
+    return bot.sendMessage(chatId, ui(chatId, "esc.photo_max", { max: ESC_MAX_PHOTOS }), { reply_markup: escEvidenceKeyboard(chatId) });
+  }
+  const next = [...draft.photos, { file_id: photos[photos.length - 1].file_id, caption: (msg.caption || "").trim() }];
+  escDraftState.set(chatId, { ...draft, step: "evidence", photos: next });
+  return bot.sendMessage(chatId, ui(chatId, "esc.photo_added", { n: next.length }), { reply_markup: escEvidenceKeyboard(chatId) });
+}
+
+// Supervisor side (English, like admin replies): package + Acknowledge / Take ownership
+function escalationButtons(esc) {
+  const row = [];
+  if (esc.status === "open") row.push({ text: "✅ Acknowledge", callback_data: `esc:ack:${esc.id}` });
+  if (esc.status !== "owned") row.push({ text: "🙋 Take ownership", callback_data: `esc:own:${esc.id}` });
+  return kb(row.length ? [row] : []);
+}
+
+function formatEscalationHtml(esc) {
+  const path = esc.path.length ? esc.path.slice(0, 25).map((p, i) => `${i + 1}. ${escapeHtml(p)}`).join("\n") : "(start node only)";
+  const notes = esc.notes.join("\n").slice(0, 1500);
+  const who = `${escapeHtml(esc.technician || "unknown")}${esc.userId != null ? ` (<code>${esc.userId}</code>)` : ""}`;
+  return (
+    `🆘 <b>Escalation</b> <code>${esc.id}</code>\n\n` +
+    `<b>Fault:</b> ${escapeHtml(esc.faultTitle)} (<code>${escapeHtml(esc.faultId)}</code>)\n` +
+    `<b>Pack:</b> ${escapeHtml(packLabel(esc.pack))}${esc.severity ? ` · severity ${escapeHtml(esc.severity)}` : ""}\n` +
+    `<b>Technician:</b> ${who}\n` +
+    `<b>Charger:</b> ${escapeHtml(esc.charger || "not given")}\n` +
+    `<b>Escalated at:</b> ${escapeHtml(esc.nodeId)}\n` +
+    `\n<b>Path taken:</b>\n${path}\n` +
+    (notes ? `\n<b>Notes:</b>\n${escapeHtml(notes)}\n` : "") +
+    `\n<b>Photos:</b> ${esc.photos.length || "none"}\n` +
+    `\n<i>Reply to this message to answer the technician.</i>`
+  );
+}
+
+async function sendEscalation(chatId, from) {
+  const draft = escDraftState.get(chatId);
+  if (!draft) return bot.sendMessage(chatId, ui(chatId, "esc.none"));
+  const fault = getFaultById(draft.pack, draft.faultId);
+  if (!fault) return bot.sendMessage(chatId, ui(chatId, "common.fault_not_found"));
+
+  const walked = buildPathActions(fault, draft.history);
+  const path = walked.options.map((o) => o.text);
+  if (draft.nodeId === "GD_ESC") path.push("Reached: GD_ESC (escalate)");
+  const esc = escalations.create({
+    chatId,
+    userId: from?.id ?? null,
+    technician: technicianFor(chatId),
+    lang: langFor(chatId),
+    pack: draft.pack,
+    faultId: draft.faultId,
+    faultTitle: fault.title || draft.faultId,
+    severity: fault.severity || "",
+    nodeId: draft.nodeId,
+    history: draft.history,
+    path,
+    charger: draft.charger,
+    notes: draft.notes,
+    photos: draft.photos,
+  });
+
+  let posted;
+  try {
+    posted = await bot.sendMessage(ESCALATION_CHAT_ID, formatEscalationHtml(esc), {
+      parse_mode: "HTML",
+      reply_markup: escalationButtons(esc),
+    });
+  } catch (e) {
+    console.error("❌ Escalation post failed:", e?.message || e);
+    escalations.update(esc.id, { postError: String(e?.message || e) });
+    return bot.sendMessage(chatId, ui(chatId, "esc.post_failed"));
+  }
+  escalations.addGroupMessage(esc.id, posted.message_id);
+  if (esc.photos.length) {
+    try {
+      const media = esc.photos.map((p) => ({ type: "photo", media: p.file_id, caption: p.caption ? p.caption.slice(0, 1024) : undefined }));
+      const sent = await bot.sendMediaGroup(ESCALATION_CHAT_ID, media, { reply_to_message_id: posted.message_id });
+      (Array.isArray(sent) ? sent : []).forEach((m) => escalations.addGroupMessage(esc.id, m.message_id));
+    } catch (e) {
+      console.error("❌ Escalation photos failed:", e?.message || e);
+    }
+  }
+
+  escDraftState.delete(chatId);
+  const { pack, faultId } = esc;
+  audit.record({ action: "escalated", channel: "telegram", escalationId: esc.id, userId: esc.userId, chatId, pack, faultId });
+  logEvent("escalation_sent", { escalationId: esc.id, chatId, pack: esc.pack, faultId: esc.faultId, photos: esc.photos.length });
+  await bot.sendMessage(chatId, ui(chatId, "esc.sent", { id: esc.id }), { parse_mode: "HTML" });
+  if (!ticketing.enabled) return null;
+
+  const ticket = await syncEscalationTicket(esc);
+  if (ticket.ok) {
+    const note = `🎫 Ticket <code>${escapeHtml(ticket.key)}</code> ${ticket.created ? "created" : "updated"} for <code>${esc.id}</code>`;
+    bot
+      .sendMessage(ESCALATION_CHAT_ID, note, { parse_mode: "HTML", reply_to_message_id: posted.message_id })
+      .then((m) => escalations.addGroupMessage(esc.id, m.message_id))
+      .catch(() => {});
+  }
+  return bot.sendMessage(chatId, ticketNotice(chatId, ticket), { parse_mode: "HTML" });
+}
+
+// Acknowledge / Take ownership pressed in the group
+async function handleEscalationAction(q, action, id) {
+  const esc = escalations.get(id);
+  if (!esc) return null;
+  const name = [q.from?.first_name, q.from?.last_name].filter(Boolean).join(" ") || q.from?.username || "";
+  const by = { userId: q.from?.id ?? null, name };
+  const at = new Date().toISOString();
+  if (action === "ack" && esc.status !== "open") return null;
+  if (action === "own" && esc.status === "owned") return null;
+
+  const patch =
+    action === "own"
+      ? { status: "owned", owner: { ...by, at }, ackedBy: esc.ackedBy || { ...by, at } }
+      : { status: "acknowledged", ackedBy: { ...by, at } };
+  const next = escalations.update(esc.id, patch);
+  audit.record({ action: action === "own" ? "escalation_owned" : "escalation_acked", escalationId: esc.id, userId: by.userId });
+  logEvent(action === "own" ? "escalation_owned" : "escalation_acked", { escalationId: esc.id, userId: by.userId });
+
+  const groupChatId = q.message?.chat?.id;
+  const who = escapeHtml(by.name || String(by.userId));
+  if (groupChatId && q.message?.message_id) {
+    bot
+      .editMessageReplyMarkup(escalationButtons(next), { chat_id: groupChatId, message_id: q.message.message_id })
+      .catch(() => {});
+    const note = action === "own" ? `🙋 ${who} took ownership of <code>${esc.id}</code>` : `✅ ${who} acknowledged <code>${esc.id}</code>`;
+    bot
+      .sendMessage(groupChatId, note, { parse_mode: "HTML", reply_to_message_id: q.message.message_id })
+      .then((m) => escalations.addGroupMessage(esc.id, m.message_id))
+      .catch(() => {});
+  }
+  const key = action === "own" ? "esc.owned" : "esc.acknowledged";
+  return bot
+    .sendMessage(esc.chatId, i18n.t(esc.lang, key, { id: esc.id, name: who }), { parse_mode: "HTML" })
+    .catch((e) => console.error("❌ Escalation notice failed:", e?.message || e));
+}
+
+// A reply in the group to any bot message about an escalation goes back to the technician
+async function relaySupervisorReply(msg) {
+  const esc = escalations.byGroupMessage(msg.reply_to_message?.message_id);
+  if (!esc) return null;
+  const name = [msg.from?.first_name, msg.from?.last_name].filter(Boolean).join(" ") || msg.from?.username || "Supervisor";
+  const text = (msg.text || msg.caption || "").trim();
+  escalations.update(esc.id, {
+    replies: [...esc.replies, { userId: msg.from?.id ?? null, name, text: text.slice(0, 2000), at: new Date().toISOString() }],
+  });
+  try {
+    const header = i18n.t(esc.lang, "esc.reply", { id: esc.id, name: escapeHtml(name) });
+    if (msg.text) return await bot.sendMessage(esc.chatId, `${header}\n\n${escapeHtml(msg.text)}`, { parse_mode: "HTML" });
+    await bot.sendMessage(esc.chatId, header, { parse_mode: "HTML" });
+    return await bot.copyMessage(esc.chatId, msg.chat.id, msg.message_id);
+  } catch (e) {
+    console.error("❌ Supervisor reply relay failed:", e?.message || e);
+    return null;
+  }
+}
+
+// Still unacknowledged after ESCALATION_REALERT_MIN: remind the group (at most ESCALATION_MAX_REALERTS times)
+async function realertEscalations() {
+  for (const esc of escalations.dueForRealert(ESCALATION_REALERT_MIN * 60000, ESCALATION_MAX_REALERTS)) {
+    const mins = Math.round((Date.now() - Date.parse(esc.createdAt)) / 60000);
+    escalations.update(esc.id, { realerts: esc.realerts + 1, lastAlertAt: new Date().toISOString() });
+    try {
+      const m = await bot.sendMessage(
+        ESCALATION_CHAT_ID,
+        `⏰ <b>Escalation</b> <code>${esc.id}</code> still unacknowledged after ${mins} min\n` +
+          `${escapeHtml(esc.faultTitle)} · ${escapeHtml(esc.charger || "charger not given")}`,
+        { parse_mode: "HTML", reply_to_message_id: esc.groupMessageIds[0], reply_markup: escalationButtons(esc) }
+      );
+      escalations.addGroupMessage(esc.id, m.message_id);
+      logEvent("escalation_realert", { escalationId: esc.id, realert: esc.realerts + 1 });
+    } catch (e) {
+      console.error("❌ Escalation re-alert failed:", e?.message || e);
+    }
+  }
+}
+if (ESCALATION_CHAT_ID) setInterval(() => realertEscalations().catch(() => {}), 60 * 1000).unref();
+
+/* =========================
+   TICKETING (reports + escalations → external service tickets, see server/ticketing.js)
+   ========================= */
+// Ticket text is client-facing like the report: English, emoji-free, plain text
+function ticketText(lines) {
+  return lines
+    .filter((l) => l != null && l !== false)
+    .map((l) => stripEmojisForFinal(String(l)))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function ticketFault(pack, faultId) {
+  const fault = getFaultById(pack, faultId);
+  const severity = String(fault?.severity || "").trim().toLowerCase();
+  return { pack, id: faultId, title: fault?.title || faultId, severity };
+}
+
+function reportTicket(record) {
+  const d = record.data;
+  const fault = ticketFault(d.manufacturer, d.faultId);
+  const charger = [d.chargerIdPublic, d.chargerSerialNumber ? `S/N ${d.chargerSerialNumber}` : ""].filter(Boolean).join(" / ");
+  const actions = (d.actions || []).map((a) => `- ${a}`);
+  const { photos, actionOptions, ...report } = d;
+  return {
+    kind: "report",
+    ref: record.id,
+    summary: `${d.site ? `${d.site}: ` : ""}${d.faultTitle || "Service visit"}${d.chargerIdPublic ? ` (${d.chargerIdPublic})` : ""}`,
+    description: ticketText([
+      `EVBot service report ${record.id}`,
+      "",
+      `Site: ${d.site || "-"}`,
+      `Charger: ${charger || "-"}`,
+      d.assetId ? `Asset ID: ${d.assetId}` : null,
+      `Technician: ${d.technician || "-"}`,
+      d.manufacturer ? `Manufacturer: ${String(d.manufacturer).toUpperCase()}` : null,
+      `Fault: ${d.faultTitle || "-"}`,
+      d.safetyCheck ? `Safety checklist: ${safetyCheckSummary(d.safetyCheck)}` : null,
+      "",
+      "Actions taken:",
+      ...(actions.length ? actions : ["- (none recorded)"]),
+      "",
+      `Outcome: ${d.resolution || "-"}`,
+      d.notes ? `\nNotes:\n${d.notes}` : null,
+      `\nPhotos: ${(photos || []).length}`,
+    ]),
+    priority: PRIORITY_BY_SEVERITY[fault.severity] || null,
+    labels: ["evbot", "report", d.manufacturer, fault.severity].filter(Boolean),
+    charger,
+    site: d.site || "",
+    technician: d.technician || "",
+    fault,
+    report: { id: record.id, createdAt: record.createdAt, ...report },
+  };
+}
+
+function escalationTicket(esc) {
+  const fault = ticketFault(esc.pack, esc.faultId);
+  return {
+    kind: "escalation",
+    ref: esc.id,
+    summary: `Escalation: ${esc.faultTitle}${esc.charger ? ` (${esc.charger})` : ""}`,
+    description: ticketText([
+      `EVBot escalation ${esc.id}`,
+      "",
+      `Fault: ${esc.faultTitle} (${esc.faultId})`,
+      `Pack: ${packLabel(esc.pack)}${esc.severity ? `, severity ${esc.severity}` : ""}`,
+      `Technician: ${esc.technician || "unknown"}`,
+      `Charger: ${esc.charger || "not given"}`,
+      `Escalated at: ${esc.nodeId}`,
+      "",
+      "Path taken:",
+      ...(esc.path.length ? esc.path.map((p, i) => `${i + 1}. ${p}`) : ["(start node only)"]),
+      esc.notes.length ? `\nNotes:\n${esc.notes.join("\n")}` : null,
+      `\nPhotos: ${esc.photos.length}`,
+    ]),
+    priority: PRIORITY_BY_SEVERITY[fault.severity] || null,
+    labels: ["evbot", "escalation", esc.pack, fault.severity].filter(Boolean),
+    charger: esc.charger || "",
+    site: "",
+    technician: esc.technician || "",
+    fault,
+    escalation: { id: esc.id, createdAt: esc.createdAt, nodeId: esc.nodeId, status: esc.status, path: esc.path, notes: esc.notes },
+  };
+}
+
+// Ticket already opened for this chat + fault by a recent escalation: update it rather than open another
+function recentTicketKey(chatId, pack, faultId) {
+  const since = Date.now() - TICKETING_REUSE_HOURS * 3600000;
+  const hit = escalations
+    .list({ limit: 500 })
+    .find(
+      (e) =>
+        e.ticketKey &&
+        String(e.chatId) === String(chatId) &&
+        e.pack === pack &&
+        e.faultId === faultId &&
+        Date.parse(e.createdAt) >= since
+    );
+  return hit?.ticketKey || null;
+}
+
+// -> { ok, key, url, created, record } / { ok: false, error, record }; the key goes back into the report
+async function upsertReportTicket(record) {
+  const d = record.data;
+  const ref = String(d.clientRef || "").trim();
+  const key = d.ticketKey || (ticketing.isKey(ref) ? ref : recentTicketKey(record.chatId, d.manufacturer, d.faultId));
+  try {
+    const t = await ticketing.upsert({ key, ticket: reportTicket(record) });
+    const patch = { ticket: { key: t.key, url: t.url, type: ticketing.type, at: new Date().toISOString(), error: null } };
+    record = reports.update(record.id, { ...patch, data: { ticketKey: t.key, ...(ref ? {} : { clientRef: t.key }) } }) || record;
+    logEvent("ticket_synced", { kind: "report", reportId: record.id, key: t.key, created: t.created });
+    return { ok: true, ...t, record };
+  } catch (e) {
+    const error = String(e?.message || e);
+    console.error(`❌ Ticket for report ${record.id} failed:`, error);
+    record = reports.update(record.id, { ticket: { key, type: ticketing.type, at: new Date().toISOString(), error } }) || record;
+    logEvent("ticket_failed", { kind: "report", reportId: record.id, error });
+    return { ok: false, error, record };
+  }
+}
+
+async function attachReportFiles(record, key, pdf) {
+  const files = (record.data.photos || [])
+    .map((p, i) => ({ p, i, file: reports.photoPath(record.id, p.file) }))
+    .filter(({ file }) => file && fs.existsSync(file))
+    .map(({ i, file }) => ({ name: `${record.id}-photo-${i + 1}${path.extname(file)}`, contentType: "image/jpeg", data: fs.readFileSync(file) }));
+  if (pdf) files.push({ name: reportPdfName(record), contentType: "application/pdf", data: pdf });
+  const result = await ticketing.attach(key, files);
+  if (result.errors.length) console.error(`❌ Ticket ${key} attachments:`, result.errors.join("; "));
+  return { attached: result.attached, attachErrors: result.errors };
+}
+
+async function syncReportTicket(record, pdf) {
+  const t = await upsertReportTicket(record);
+  if (!t.ok) return { ok: false, error: t.error };
+  const { record: saved, ...ticket } = t;
+  return { ...ticket, ...(await attachReportFiles(saved, t.key, pdf)) };
+}
+
+// Escalation photos only exist in Telegram: download them for the ticket
+async function telegramPhotoFiles(photos, prefix) {
+  const files = [];
+  for (let i = 0; i < photos.length; i++) {
+    try {
+      const data = await streamToBuffer(bot.getFileStream(photos[i].file_id));
+      if (data.length) files.push({ name: `${prefix}-photo-${i + 1}.jpg`, contentType: "image/jpeg", data });
+    } catch (e) {
+      console.error(`❌ Photo download for ticket failed (${prefix} #${i + 1}):`, e?.message || e);
+    }
+  }
+  return files;
+}
+
+async function syncEscalationTicket(esc) {
+  const key = esc.ticketKey || recentTicketKey(esc.chatId, esc.pack, esc.faultId);
+  try {
+    const t = await ticketing.upsert({ key, ticket: escalationTicket(esc) });
+    escalations.update(esc.id, { ticketKey: t.key, ticketUrl: t.url, ticketError: null });
+    const result = await ticketing.attach(t.key, await telegramPhotoFiles(esc.photos, esc.id));
+    if (result.errors.length) console.error(`❌ Ticket ${t.key} attachments:`, result.errors.join("; "));
+    logEvent("ticket_synced", { kind: "escalation", escalationId: esc.id, key: t.key, created: t.created, attached: result.attached });
+    return { ok: true, ...t, attached: result.attached, attachErrors: result.errors };
+  } catch (e) {
+    const error = String(e?.message || e);
+    console.error(`❌ Ticket for escalation ${esc.id} failed:`, error);
+    escalations.update(esc.id, { ticketError: error });
+    logEvent("ticket_failed", { kind: "escalation", escalationId: esc.id, error });
+    return { ok: false, error };
+  }
+}
+
+function ticketNotice(chatId, ticket) {
+  if (!ticket.ok) return ui(chatId, "ticket.failed");
+  return ui(chatId, ticket.created ? "ticket.created" : "ticket.updated", { key: escapeHtml(ticket.key) });
+}
+
+/* =========================
+   CHARGER-REPORTED FAULTS (OCPP StatusNotification, see server/ocpp.js)
+   ========================= */
+function ingestStatusNotification(chargePointId, payload, source) {
+  const { notification, error, ...detail } = normalizeStatusNotification(payload, { chargePointId });
+  if (error) return { ok: false, error, ...detail };
+  const known = chargerStatus.get(notification.chargePointId);
+  const pack = vendorPack(known?.vendor || notification.vendorId, packs.list());
+  const match = matchStatusFault({ codeIndex, searchIndex, notification, pack });
+  const charger = chargerStatus.record(notification, { match, source, vendor: notification.vendorId });
+  if (isFaultNotification(notification)) {
+    const { chargePointId: id, connectorId, status, errorCode, vendorErrorCode, info } = notification;
+    logEvent("ocpp_fault", { chargePointId: id, connectorId, status, errorCode, vendorErrorCode, info, source, match });
+  }
+  return { ok: true, notification, match, charger };
+}
+
+function agoText(chatId, iso) {
+  const min = Math.max(0, Math.round((Date.now() - Date.parse(iso)) / 60000));
+  if (min < 1) return ui(chatId, "ocpp.ago_now");
+  if (min < 120) return ui(chatId, "ocpp.ago_min", { n: min });
+  return ui(chatId, "ocpp.ago_hours", { n: Math.round(min / 60) });
+}
+
+// Tech named a charger (ID or serial) that reported an uncleared fault recently -> offer the matching fault
+async function offerChargerFault(chatId, chargerRef) {
+  const hit = chargerStatus.activeFault(chargerRef, OCPP_FAULT_MAX_AGE_HOURS * 3600000);
+  if (!hit) return false;
+  const { charger, fault } = hit;
+  const target = fault.match ? getFaultById(fault.match.pack, fault.match.faultId, langFor(chatId)) : null;
+  const code = [fault.vendorErrorCode || fault.errorCode, fault.info].filter(Boolean).join(" · ");
+  const vars = { charger: escapeHtml(charger.id), code: escapeHtml(code), ago: agoText(chatId, fault.at) };
+  const text =
+    ui(chatId, "ocpp.reported", vars) +
+    "\n\n" +
+    (target ? ui(chatId, "ocpp.suggest", { title: escapeHtml(target.title || target.id) }) : ui(chatId, "ocpp.no_match"));
+  const rows = target
+    ? [[{ text: ui(chatId, "ocpp.open", { title: target.title || target.id }), callback_data: cbFault(fault.match.pack, target.id) }]]
+    : [];
+  logEvent("ocpp_offer", { chatId, chargePointId: charger.id, code, faultId: target?.id || null });
+  await bot.sendMessage(chatId, text, { parse_mode: "HTML", ...(rows.length ? { reply_markup: kb(rows) } : {}) });
+  return true;
+}
+
+/* =========================
+   CHARGER SELECTION (asset registry, see server/assets.js)
+   ========================= */
+function selectedCharger(chatId) {
+  const sel = chargerSelState.get(chatId);
+  return sel ? assets.getCharger(sel.assetId) : null;
+}
+function chargerLabel(charger) {
+  return [charger.publicId || charger.id, charger.serialNumber ? `S/N ${charger.serialNumber}` : ""].filter(Boolean).join(" / ");
+}
+// Registry manufacturer -> pack id ("Kempower" / "kempower" / "Kempower Oy")
+function chargerPack(charger) {
+  if (!charger?.manufacturer) return null;
+  return packs.get(charger.manufacturer)?.id || vendorPack(charger.manufacturer, packs.list());
+}
+
+async function showChargerCard(chatId, charger) {
+  const site = assets.getSite(charger.siteId);
+  const fields = [
+    ["site", [site?.name, site?.address].filter(Boolean).join(" · ")],
+    ["location", charger.location],
+    ["model", [charger.manufacturer, charger.model].filter(Boolean).join(" ")],
+    ["public_id", charger.publicId],
+    ["serial", charger.serialNumber],
+    ["asset_id", charger.id],
+    ["ocpp_id", charger.ocppId],
+    ["commissioned", charger.commissionedAt],
+  ];
+  const lines = fields
+    .filter(([, v]) => v)
+    .map(([k, v]) => `<b>${ui(chatId, `charger.fields.${k}`)}:</b> ${escapeHtml(v)}`);
+  const rows = [
+    ...(ENABLE_REPORTS ? [[{ text: ui(chatId, "charger.start_report"), callback_data: "ch:report" }]] : []),
+    [{ text: ui(chatId, "charger.clear"), callback_data: "ch:clear" }],
+  ];
+  const title = ui(chatId, "charger.card_title", { charger: escapeHtml(chargerLabel(charger)) });
+  const text = `${title}\n\n${lines.join("\n")}\n\n${ui(chatId, "charger.prefill_note")}`;
+  return bot.sendMessage(chatId, text, { parse_mode: "HTML", reply_markup: kb(rows) });
+}
+
+// Select -> card, any recent fault the charger reported itself, then its manufacturer's menu
+async function selectCharger(chatId, charger) {
+  chargerSelState.set(chatId, { assetId: charger.id, at: Date.now() });
+  logEvent("charger_selected", { chatId, assetId: charger.id, manufacturer: charger.manufacturer || null });
+  await showChargerCard(chatId, charger);
 
-  setReport(chatId, {
-    step: "site",
-    data: {
-      manufacturer: "",
-      faultId: "",
-      faultTitle: "",
-      faultSummary: "",
-      prefilled: false,
-      site: "",
-      chargerIdPublic: "",
-      chargerSerialNumber: "",
-      assetId: "",
-      technician: "",
-      clientRef: "",
-      actions: [],
-      actionOptions: [],
-      photos: [],
-      notes: "",
-      resolution: "",
-    },
-  });
+  for (const ref of [charger.ocppId, charger.publicId, charger.serialNumber].filter(Boolean)) {
+    if (await offerChargerFault(chatId, ref)) break;
+  }
 
-  return bot.sendMessage(chatId, "🧾 <b>Report Builder</b>\n\nWhat is the <b>site name</b>?\n\n(Reply with text)", {
-    parse_mode: "HTML",
-  });
+  const pack = chargerPack(charger);
+  if (pack) return showPackMenu(chatId, undefined, pack);
+  if (charger.manufacturer) {
+    await bot.sendMessage(chatId, ui(chatId, "charger.no_pack", { manufacturer: escapeHtml(charger.manufacturer) }), { parse_mode: "HTML" });
+  }
+  return showManufacturerMenu(chatId);
 }
 
-async function startReportFromFault(chatId, pack, fault) {
-  if (!ENABLE_REPORTS) return bot.sendMessage(chatId, "🚫 Report builder is disabled for now.");
+function clearChargerSelection(chatId) {
+  chargerSelState.delete(chatId);
+  return bot.sendMessage(chatId, ui(chatId, "charger.cleared"));
+}
 
-  setReport(chatId, {
-    step: "site",
-    data: {
-      manufacturer: pack,
-      faultId: String(fault?.id || ""),
-      faultTitle: fault?.title || "",
-      faultSummary: "",
-      prefilled: true,
-      site: "",
-      chargerIdPublic: "",
-      chargerSerialNumber: "",
-      assetId: "",
-      technician: "",
-      clientRef: "",
-      actions: [],
-      actionOptions: [],
-      photos: [],
-      notes: "",
-      resolution: "",
-    },
-  });
+async function lookupCharger(chatId, ref) {
+  const exact = assets.find(ref);
+  const hits = exact ? [exact] : assets.search(ref);
+  logEvent("charger_lookup", { chatId, ref, assetId: exact?.id || null, candidates: hits.length });
+  if (exact) return selectCharger(chatId, exact);
+  if (!hits.length) return bot.sendMessage(chatId, ui(chatId, "charger.not_found", { ref: escapeHtml(ref) }), { parse_mode: "HTML" });
+
+  const rows = hits.map((c) => [
+    { text: [chargerLabel(c), assets.getSite(c.siteId)?.name].filter(Boolean).join(" · "), callback_data: `ch:sel:${c.id}` },
+  ]);
+  return bot.sendMessage(chatId, ui(chatId, "charger.several", { ref: escapeHtml(ref) }), { parse_mode: "HTML", reply_markup: kb(rows) });
+}
 
-  const packLabel = pack === "general_dc" ? "General DC" : cap(pack);
-  return bot.sendMessage(
-    chatId,
-    `🧾 <b>Report Builder</b>\n\nPrefilled:\n<b>Manufacturer:</b> ${escapeHtml(packLabel)}\n<b>Fault:</b> ${escapeHtml(
-      fault?.title || ""
-    )}\n\nWhat is the <b>site name</b>?\n\n(Reply with text)`,
-    { parse_mode: "HTML" }
-  );
+/* =========================
+   CHARGER HISTORY (repeat faults, see server/chargerHistory.js)
+   ========================= */
+// Registry charger -> its asset ID; anything else is kept as typed
+function chargerIdentity(ref) {
+  const charger = typeof ref === "object" ? ref : assets.find(ref);
+  if (charger) return { charger: charger.id, label: chargerLabel(charger), assetId: charger.id };
+  const text = String(ref || "").trim().slice(0, 80);
+  return text ? { charger: text, label: text, assetId: null } : null;
+}
+// The chat's charger: /charger selection, else the IDs typed into the report in progress
+function chatChargerIdentity(chatId) {
+  const selected = selectedCharger(chatId);
+  if (selected) return chargerIdentity(selected);
+  const data = reportState.get(chatId)?.data || {};
+  return chargerIdentity(data.assetId || data.chargerIdPublic || data.chargerSerialNumber);
+}
+
+// Same fault, or faults sharing REPEAT_FAULT_RELATED_TAGS tags (any pack: general_dc vs the vendor's own)
+function relatedFaults(a, b) {
+  if (!REPEAT_FAULT_RELATED_TAGS) return false;
+  const tags = new Set(faultTags(getFaultById(a.pack, a.faultId)));
+  return faultTags(getFaultById(b.pack, b.faultId)).filter((t) => tags.has(t)).length >= REPEAT_FAULT_RELATED_TAGS;
+}
+const repeatSince = (days = REPEAT_FAULT_DAYS) => new Date(Date.now() - days * 86400000).toISOString();
+
+function trackChargerSession(identity, { pack, faultId, run }, fields = {}) {
+  if (!identity || !run) return null;
+  return chargerHistory.record("session", { ...identity, pack, faultId: String(faultId), run, ...fields });
+}
+
+function ordinalText(chatId, n) {
+  const mod100 = n % 100;
+  const form = mod100 >= 11 && mod100 <= 13 ? "other" : ({ 1: "one", 2: "two", 3: "few" }[n % 10] || "other");
+  return ui(chatId, `history.ordinal.${form}`, { n });
+}
+function visitOutcomeText(chatId, v) {
+  if (v.resolution) {
+    const labels = ui(chatId, "report.resolutions");
+    const idx = REPORT_RESOLUTIONS.indexOf(v.resolution);
+    return (idx >= 0 && Array.isArray(labels) && labels[idx]) || v.resolution;
+  }
+  return ui(chatId, `history.outcome.${["done", "escalated", "routed"].includes(v.outcome) ? v.outcome : "open"}`);
+}
+
+// chat + charger + fault bannered within the cooldown: Back to the fault card doesn't repeat it
+const REPEAT_BANNER_COOLDOWN_MS = 30 * 60 * 1000;
+const repeatBannersShown = createExpiringSet(REPEAT_BANNER_COOLDOWN_MS);
+const REPEAT_BANNER_MAX_LINES = 5;
+
+// "🔁 3rd time in 30 days on <charger> — previous outcomes: …" when the chat's charger had this (or a related) fault
+async function showRepeatBanner(chatId, pack, faultId) {
+  const identity = chatChargerIdentity(chatId);
+  if (!identity) return null;
+  const now = Date.now();
+  const key = `${chatId}:${identity.charger}:${pack}:${faultId}`;
+  if (repeatBannersShown.has(key)) return null;
+
+  const before = new Date(now - REPEAT_FAULT_VISIT_GAP_HOURS * 3600000).toISOString(); // leave out the visit in progress
+  const previous = chargerHistory.repeats({ ...identity, pack, faultId, since: repeatSince(), before, related: relatedFaults });
+  if (!previous.length) return null;
+  repeatBannersShown.add(key);
+
+  const lang = langFor(chatId);
+  const lines = previous.slice(0, REPEAT_BANNER_MAX_LINES).map((v) => {
+    const title = v.related ? ui(chatId, "history.related", { title: escapeHtml(getFaultById(v.pack, v.faultId, lang)?.title || v.faultId) }) : "";
+    return `• ${v.at.slice(0, 10)} · ${escapeHtml(visitOutcomeText(chatId, v))}${title}`;
+  });
+  if (previous.length > REPEAT_BANNER_MAX_LINES) lines.push(ui(chatId, "history.more", { n: previous.length - REPEAT_BANNER_MAX_LINES }));
+  const text =
+    ui(chatId, "history.repeat", { nth: ordinalText(chatId, previous.length + 1), days: REPEAT_FAULT_DAYS, charger: escapeHtml(identity.label) }) +
+    `\n${ui(chatId, "history.previous")}\n${lines.join("\n")}`;
+  logEvent("repeat_fault", { chatId, charger: identity.charger, pack, faultId, previous: previous.length });
+  return bot.sendMessage(chatId, text, { parse_mode: "HTML" });
 }
 
 /* =========================
@@ -836,111 +2770,122 @@ async function startReportFromFault(chatId, pack, fault) {
 function showManufacturerMenu(chatId, messageId) {
   resetDt(chatId);
   const rows = [
-    [{ text: "🧰 General DC (All Brands)", callback_data: "mfr:general_dc" }],
-    [{ text: "🔵 Autel", callback_data: "mfr:autel" }],
-    [{ text: "🟢 Kempower", callback_data: "mfr:kempower" }],
-    [{ text: "🔺 Tritium", callback_data: "mfr:tritium" }],
-    ...(ENABLE_REPORTS ? [[{ text: "🧾 Build a report (/report)", callback_data: "r:new" }]] : []),
-    [{ text: "🔁 Reset", callback_data: "reset" }],
+    ...packs.list(langFor(chatId)).map((m) => [{ text: `${m.emoji} ${m.title}`, callback_data: cbManufacturer(m.id) }]),
+    ...(ENABLE_REPORTS ? [[{ text: ui(chatId, "menu.build_report"), callback_data: "r:new" }]] : []),
+    [{ text: ui(chatId, "common.reset"), callback_data: "reset" }],
   ];
 
   return upsertMessage(chatId, {
     messageId,
-    text: "⚡ <b>EVBot – Troubleshooting</b>\n\nSelect the charger manufacturer:",
+    text: ui(chatId, "menu.title"),
     parse_mode: "HTML",
     reply_markup: { inline_keyboard: rows },
   });
 }
 
-function buildPackMenuKeyboard(pack) {
-  const data = loadPackByName(pack);
-  const faults = data.faults || [];
+const SEVERITY_BADGES = { critical: "🟥", high: "🟧", medium: "🟨", low: "🟩" };
+function severityBadge(fault) {
+  return SEVERITY_BADGES[String(fault?.severity || "").trim().toLowerCase()] || "⬜";
+}
+function faultTags(fault) {
+  return (Array.isArray(fault?.tags) ? fault.tags : []).map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+}
+// [{ tag, count }] across a pack, most used first
+function packTags(pack) {
+  const counts = new Map();
+  for (const f of loadPackByName(pack).faults || []) faultTags(f).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Most urgent first (file order within a severity); `tag` narrows the list to faults carrying it
+function buildPackMenuKeyboard(chatId, pack, tag = "") {
+  const lang = langFor(chatId);
+  const data = loadPackByName(pack, lang);
+  const faults = (data.faults || [])
+    .filter((f) => !tag || faultTags(f).includes(tag))
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
   const rows = [];
 
   if (!faults.length) {
     rows.push([
       {
-        text: `⚠️ No ${pack === "general_dc" ? "General DC" : cap(pack)} faults loaded (check /debug/${pack})`,
+        text: ui(chatId, "menu.no_faults", { pack: packLabel(pack, lang), id: pack }),
         callback_data: "noop",
       },
     ]);
   } else {
-    faults.forEach((f) => rows.push([{ text: f.title, callback_data: cbFault(pack, f.id) }]));
+    faults.forEach((f) => rows.push([{ text: `${severityBadge(f)} ${f.title}`, callback_data: cbFault(pack, f.id) }]));
   }
 
-  if (ENABLE_REPORTS) rows.push([{ text: "🧾 Build a report (/report)", callback_data: "r:new" }]);
-  rows.push([{ text: "⬅️ Back to Manufacturer", callback_data: "menu:mfr" }]);
-  rows.push([{ text: "🔁 Reset", callback_data: "reset" }]);
+  if (tag) rows.push([{ text: ui(chatId, "menu.clear_filter"), callback_data: cbPackAll(pack) }]);
+  else if (packTags(pack).length) rows.push([{ text: ui(chatId, "menu.filter_by_tag"), callback_data: cbPackTags(pack) }]);
+  if (ENABLE_REPORTS) rows.push([{ text: ui(chatId, "menu.build_report"), callback_data: "r:new" }]);
+  rows.push([{ text: ui(chatId, "menu.back_to_manufacturer"), callback_data: "menu:mfr" }]);
+  rows.push([{ text: ui(chatId, "common.reset"), callback_data: "reset" }]);
 
   return rows;
 }
 
-// ✅ Phase 1: General DC quick picks are “canonical symptom buckets”
-function buildGeneralDcQuickKeyboard() {
+// ✅ Quick picks are “canonical symptom buckets” declared in the pack header (quick_menu.items)
+function buildQuickMenuKeyboard(chatId, meta) {
   return [
-    [{ text: "🟥 Dead / Won’t Power On", callback_data: cbFault("general_dc", "general_dc_will_not_power_on") }],
-    [{ text: "🟧 Powers on but won’t start", callback_data: cbFault("general_dc", "general_dc_powers_on_wont_start_charge") }],
-    [{ text: "🟨 Offline / Comms (OCPP)", callback_data: cbFault("general_dc", "general_dc_offline_backend_comms") }],
-    [{ text: "🟦 Handshake failure (CCS)", callback_data: cbFault("general_dc", "general_dc_vehicle_handshake_failure") }],
-    [{ text: "🟪 Insulation / Earth fault", callback_data: cbFault("general_dc", "general_dc_insulation_earth_fault") }],
-    [{ text: "🟫 Overtemp / Cooling", callback_data: cbFault("general_dc", "general_dc_overtemp_cooling_fault") }],
-    [{ text: "⬛ E-Stop / Interlock active", callback_data: cbFault("general_dc", "general_dc_estop_interlock_active") }],
-    [{ text: "🟠 Low power / Derating", callback_data: cbFault("general_dc", "general_dc_power_derating_low_power") }],
-
-    [{ text: "📋 View all General DC faults", callback_data: cbPackAll("general_dc") }],
-    ...(ENABLE_REPORTS ? [[{ text: "🧾 Build a report (/report)", callback_data: "r:new" }]] : []),
-    [{ text: "⬅️ Back to Manufacturer", callback_data: "menu:mfr" }],
-    [{ text: "🔁 Reset", callback_data: "reset" }],
+    ...meta.quickMenu.items.map((it) => [{ text: it.label, callback_data: cbFault(meta.id, it.fault) }]),
+
+    [{ text: ui(chatId, "menu.view_all", { pack: meta.label }), callback_data: cbPackAll(meta.id) }],
+    ...(ENABLE_REPORTS ? [[{ text: ui(chatId, "menu.build_report"), callback_data: "r:new" }]] : []),
+    [{ text: ui(chatId, "menu.back_to_manufacturer"), callback_data: "menu:mfr" }],
+    [{ text: ui(chatId, "common.reset"), callback_data: "reset" }],
   ];
 }
 
-async function showGeneralDcMenu(chatId, messageId) {
-  resetDt(chatId);
-  return upsertMessage(chatId, {
-    messageId,
-    text: "🧰 <b>General DC (All Brands)</b>\n\nSelect the issue category:",
-    parse_mode: "HTML",
-    reply_markup: kb(buildGeneralDcQuickKeyboard()),
-  });
-}
+// Pack menu: quick picks when the pack declares them, otherwise the full fault list
+async function showPackMenu(chatId, messageId, pack) {
+  const meta = packs.get(pack, langFor(chatId));
+  if (!meta) return showManufacturerMenu(chatId, messageId);
+  if (!meta.quickMenu) return showPackAllMenu(chatId, messageId, pack);
 
-async function showGeneralDcAllMenu(chatId, messageId) {
   resetDt(chatId);
   return upsertMessage(chatId, {
     messageId,
-    text: "🧰 <b>General DC (All Brands)</b>\n\nChoose a General DC fault:",
+    text: `${meta.emoji} <b>${escapeHtml(meta.title)}</b>\n\n${escapeHtml(meta.quickMenu.prompt)}`,
     parse_mode: "HTML",
-    reply_markup: { inline_keyboard: buildPackMenuKeyboard("general_dc") },
+    reply_markup: kb(buildQuickMenuKeyboard(chatId, meta)),
   });
 }
 
-async function showAutelMenu(chatId, messageId) {
-  resetDt(chatId);
-  return upsertMessage(chatId, {
-    messageId,
-    text: "🔵 <b>Autel</b>\n\nChoose an Autel fault:",
-    parse_mode: "HTML",
-    reply_markup: { inline_keyboard: buildPackMenuKeyboard("autel") },
-  });
-}
+async function showPackAllMenu(chatId, messageId, pack, tag = "") {
+  const meta = packs.get(pack, langFor(chatId));
+  if (!meta) return showManufacturerMenu(chatId, messageId);
 
-async function showKempowerMenu(chatId, messageId) {
   resetDt(chatId);
+  const choose = tag
+    ? ui(chatId, "menu.choose_tagged", { pack: escapeHtml(meta.label), tag: escapeHtml(tag) })
+    : ui(chatId, "menu.choose_fault", {
+        a: /^[aeiou]/i.test(meta.label) ? "an" : "a",
+        pack: escapeHtml(meta.label),
+      });
   return upsertMessage(chatId, {
     messageId,
-    text: "🟢 <b>Kempower</b>\n\nChoose a Kempower fault:",
+    text: `${meta.emoji} <b>${escapeHtml(meta.title)}</b>\n\n${choose}\n\n${ui(chatId, "menu.severity_legend")}`,
     parse_mode: "HTML",
-    reply_markup: { inline_keyboard: buildPackMenuKeyboard("kempower") },
+    reply_markup: { inline_keyboard: buildPackMenuKeyboard(chatId, meta.id, tag) },
   });
 }
 
-async function showTritiumMenu(chatId, messageId) {
-  resetDt(chatId);
+// Tag picker for the full fault list (two per row, with how many faults carry each)
+async function showPackTagMenu(chatId, messageId, pack) {
+  const meta = packs.get(pack, langFor(chatId));
+  if (!meta) return showManufacturerMenu(chatId, messageId);
+
+  const buttons = packTags(meta.id).map(({ tag, count }) => ({ text: `#${tag} (${count})`, callback_data: cbPackTag(meta.id, tag) }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([{ text: ui(chatId, "common.back"), callback_data: cbPackAll(meta.id) }]);
   return upsertMessage(chatId, {
     messageId,
-    text: "🔺 <b>Tritium</b>\n\nChoose a Tritium fault:",
+    text: `${meta.emoji} <b>${escapeHtml(meta.title)}</b>\n\n${ui(chatId, "menu.choose_tag", { pack: escapeHtml(meta.label) })}`,
     parse_mode: "HTML",
-    reply_markup: { inline_keyboard: buildPackMenuKeyboard("tritium") },
+    reply_markup: kb(rows),
   });
 }
 
@@ -949,7 +2894,7 @@ async function showTritiumMenu(chatId, messageId) {
    ========================= */
 bot.onText(/^\/start$/, async (msg) => {
   const chatId = msg.chat.id;
-  logEvent("start", { lang: msg.from?.language_code || "unknown" });
+  logEvent("start", { lang: msg.from?.language_code || "unknown", uiLang: langFor(chatId) });
 
   clearReport(chatId);
   resetDt(chatId);
@@ -957,7 +2902,7 @@ bot.onText(/^\/start$/, async (msg) => {
 });
 
 bot.onText(/^\/ping$/, async (msg) => {
-  await bot.sendMessage(msg.chat.id, "✅ pong");
+  await bot.sendMessage(msg.chat.id, ui(msg.chat.id, "common.pong"));
 });
 
 bot.onText(/^\/reset$/, async (msg) => {
@@ -965,68 +2910,288 @@ bot.onText(/^\/reset$/, async (msg) => {
   clearReport(chatId);
   resetDt(chatId);
   await showManufacturerMenu(chatId);
-  await bot.sendMessage(chatId, "🔄 Reset complete.");
+  await bot.sendMessage(chatId, ui(chatId, "common.reset_done"));
 });
 
-bot.onText(/^\/general_dc$/, async (msg) => {
+// /<pack> for every registered pack (/general_dc, /autel, /kempower, ...)
+bot.onText(/^\/([a-z0-9_]+)$/i, async (msg, match) => {
+  const meta = packs.get(match?.[1]);
+  if (!meta) return;
   resetDt(msg.chat.id);
-  await showGeneralDcMenu(msg.chat.id);
+  await showPackMenu(msg.chat.id, undefined, meta.id);
 });
-bot.onText(/^\/autel$/, async (msg) => {
-  resetDt(msg.chat.id);
-  await showAutelMenu(msg.chat.id);
+
+bot.onText(/^\/charger(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const ref = String(match?.[1] || "").trim();
+  if (/^(clear|none|off)$/i.test(ref)) return clearChargerSelection(chatId);
+  if (ref) return lookupCharger(chatId, ref);
+  const selected = selectedCharger(chatId);
+  if (selected) return showChargerCard(chatId, selected);
+  return bot.sendMessage(chatId, ui(chatId, "charger.usage"), { parse_mode: "HTML" });
 });
-bot.onText(/^\/kempower$/, async (msg) => {
-  resetDt(msg.chat.id);
-  await showKempowerMenu(msg.chat.id);
+
+bot.onText(/^\/code(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const code = String(match?.[1] || "").trim();
+  if (!code) {
+    return bot.sendMessage(chatId, ui(chatId, "code.usage"), { parse_mode: "HTML" });
+  }
+
+  const hit = lookupCode(codeIndex, code);
+  logEvent("code_lookup", { chatId, code, hits: hit?.faults?.length || 0 });
+
+  if (!hit) {
+    await bot.sendMessage(chatId, ui(chatId, "code.not_found", { code: escapeHtml(code) }), { parse_mode: "HTML" });
+    return showSearchResults(chatId, code);
+  }
+
+  resetDt(chatId);
+  if (hit.faults.length === 1) {
+    const { pack, id } = hit.faults[0];
+    const fault = getFaultById(pack, id);
+    if (fault) return showFaultCard({ chatId, pack, fault });
+  }
+
+  const lang = langFor(chatId);
+  const rows = hit.faults.map((f) => [
+    {
+      text: `${packLabel(f.pack, lang)} · ${getFaultById(f.pack, f.id, lang)?.title || f.title}`,
+      callback_data: cbFault(f.pack, f.id),
+    },
+  ]);
+  rows.push([{ text: ui(chatId, "menu.manufacturer"), callback_data: "menu:mfr" }]);
+  return bot.sendMessage(chatId, ui(chatId, "code.several", { code: escapeHtml(hit.code) }), {
+    parse_mode: "HTML",
+    reply_markup: kb(rows),
+  });
 });
-bot.onText(/^\/tritium$/, async (msg) => {
-  resetDt(msg.chat.id);
-  await showTritiumMenu(msg.chat.id);
+
+// Admin-only bot commands: refuse (and audit) anyone else
+function denyUnlessAdmin(msg, command) {
+  if (isAdmin(msg.from?.id)) return false;
+  const chatId = msg.chat.id;
+  const userId = msg.from?.id ?? null;
+  auditDenied({ channel: "telegram", reason: "admin_only", userId, chatId, role: users.roleOf(userId), command });
+  bot.sendMessage(chatId, ui(chatId, "common.admins_only")).catch(() => {});
+  return true;
+}
+
+bot.onText(/^\/reload$/, async (msg) => {
+  const chatId = msg.chat.id;
+  if (denyUnlessAdmin(msg, "reload")) return;
+  const result = packs.reload();
+  logEvent("pack_reload", { source: "bot", userId: msg.from?.id, ok: result.ok });
+  return bot.sendMessage(
+    chatId,
+    `${result.ok ? "🔄" : "⚠️"} <b>Pack reload</b>\n\n${escapeHtml(formatReloadSummary(result))}`,
+    { parse_mode: "HTML" }
+  );
+});
+
+bot.onText(/^\/feedback(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (denyUnlessAdmin(msg, "feedback")) return;
+  const pack = String(match?.[1] || "").toLowerCase();
+  if (pack && !packs.get(pack)) {
+    return bot.sendMessage(chatId, `⚠️ Unknown pack: ${escapeHtml(pack)}`, { parse_mode: "HTML" });
+  }
+  const summary = feedback.summarize({ pack: packs.get(pack)?.id || "", limit: 10 });
+  return bot.sendMessage(chatId, formatFeedbackSummary(summary, packs.get(pack)?.id || ""), { parse_mode: "HTML" });
+});
+
+// /invite <userId> [role] [name…] (role defaults to technician)
+bot.onText(/^\/invite(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (denyUnlessAdmin(msg, "invite")) return;
+  const [rawId = "", rawRole = "", ...nameParts] = String(match?.[1] || "").trim().split(/\s+/);
+  const role = rawRole ? normalizeRole(rawRole) : "technician";
+  if (!/^\d{1,15}$/.test(rawId) || !role) {
+    return bot.sendMessage(chatId, `Usage: <code>/invite &lt;userId&gt; [role] [name]</code>\nRoles: ${ROLES.join(", ")}`, {
+      parse_mode: "HTML",
+    });
+  }
+  const user = users.invite(rawId, role, { by: msg.from?.id ?? null, name: nameParts.join(" ") });
+  audit.record({ action: "invite", userId: rawId, role, by: msg.from?.id ?? null });
+  logEvent("user_invite", { userId: rawId, role, by: msg.from?.id ?? null });
+  const note = user.bootstrap ? " (in ADMIN_USER_IDS, so stays admin)" : "";
+  return bot.sendMessage(chatId, `✅ <code>${escapeHtml(rawId)}</code> → <b>${escapeHtml(user.role)}</b>${note}`, {
+    parse_mode: "HTML",
+  });
+});
+
+bot.onText(/^\/revoke(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  if (denyUnlessAdmin(msg, "revoke")) return;
+  const userId = String(match?.[1] || "").trim();
+  if (!userId) return bot.sendMessage(chatId, "Usage: <code>/revoke &lt;userId&gt;</code>", { parse_mode: "HTML" });
+  if (users.isBootstrapAdmin(userId)) {
+    return bot.sendMessage(chatId, `⚠️ <code>${escapeHtml(userId)}</code> is in ADMIN_USER_IDS — remove it there.`, { parse_mode: "HTML" });
+  }
+  if (!users.revoke(userId)) {
+    return bot.sendMessage(chatId, `⚠️ <code>${escapeHtml(userId)}</code> is not registered.`, { parse_mode: "HTML" });
+  }
+  audit.record({ action: "revoke", userId, by: msg.from?.id ?? null });
+  logEvent("user_revoke", { userId, by: msg.from?.id ?? null });
+  return bot.sendMessage(chatId, `✅ Access revoked for <code>${escapeHtml(userId)}</code>.`, { parse_mode: "HTML" });
+});
+
+bot.onText(/^\/users$/, async (msg) => {
+  const chatId = msg.chat.id;
+  if (denyUnlessAdmin(msg, "users")) return;
+  const list = users.list();
+  const lines = list.map(
+    (u) =>
+      `• <code>${escapeHtml(u.userId)}</code> · <b>${escapeHtml(u.role)}</b>` +
+      `${u.name ? ` · ${escapeHtml(u.name)}` : ""}${u.bootstrap ? " (env)" : ""}`
+  );
+  return bot.sendMessage(chatId, `👥 <b>Users</b> (${list.length}, mode: ${ACCESS_MODE})\n\n${lines.join("\n") || "None yet."}`, {
+    parse_mode: "HTML",
+  });
+});
+
+bot.onText(/^\/whoami$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const role = escapeHtml(roleName(chatId, users.roleOf(msg.from?.id)));
+  return bot.sendMessage(chatId, ui(chatId, "access.whoami", { id: msg.from?.id ?? "?", role }), { parse_mode: "HTML" });
 });
 
 bot.onText(/^\/report$/, async (msg) => {
-  if (!ENABLE_REPORTS) return bot.sendMessage(msg.chat.id, "🚫 Report builder is disabled for now.");
+  if (!ENABLE_REPORTS) return bot.sendMessage(msg.chat.id, ui(msg.chat.id, "report.disabled"));
   await startReport(msg.chat.id);
 });
 
 bot.onText(/^\/cancel$/, async (msg) => {
   clearReport(msg.chat.id);
   resetDt(msg.chat.id);
-  await bot.sendMessage(msg.chat.id, "✅ Cancelled.");
+  await bot.sendMessage(msg.chat.id, ui(msg.chat.id, "common.cancelled"));
+});
+
+// /lang -> picker; /lang es -> set; /lang auto -> follow Telegram's language again
+function languageKeyboard(chatId) {
+  const tgLang = i18n.resolve(chatUsers.get(String(chatId))?.telegramLang);
+  return [
+    ...i18n.languages().map((l) => [{ text: `${l.flag} ${l.name}`, callback_data: `lang:${l.code}` }]),
+    [{ text: ui(chatId, "lang.auto", { name: i18n.t(tgLang, "meta.name") }), callback_data: "lang:auto" }],
+  ];
+}
+
+async function setUserLanguage(chatId, userId, code) {
+  if (code === "auto") {
+    langPrefs.delete(userId);
+    const lang = langFor(chatId);
+    logEvent("lang_set", { chatId, userId, lang, auto: true });
+    return bot.sendMessage(chatId, ui(chatId, "lang.auto_set", { name: i18n.t(lang, "meta.name") }));
+  }
+
+  const lang = normalizeLang(code);
+  const known = i18n.languages().map((l) => l.code);
+  if (!known.includes(lang)) {
+    const vars = { code: String(code || "").slice(0, 20), codes: [...known, "auto"].join(", ") };
+    return bot.sendMessage(chatId, ui(chatId, "lang.unknown", vars));
+  }
+  langPrefs.set(userId, lang);
+  logEvent("lang_set", { chatId, userId, lang });
+  return bot.sendMessage(chatId, ui(chatId, "lang.set", { name: i18n.t(lang, "meta.name") }));
+}
+
+bot.onText(/^\/lang(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const arg = String(match?.[1] || "").trim().toLowerCase();
+  if (arg) return setUserLanguage(chatId, msg.from?.id, arg);
+
+  const cur = langFor(chatId);
+  return bot.sendMessage(chatId, ui(chatId, "lang.choose", { current: `${i18n.t(cur, "meta.flag")} ${i18n.t(cur, "meta.name")}` }), {
+    parse_mode: "HTML",
+    reply_markup: kb(languageKeyboard(chatId)),
+  });
 });
 
 /* =========================
-   REPORT TEXT CAPTURE (minimal)
+   FREE-TEXT SEARCH
    ========================= */
-bot.on("message", async (msg) => {
-  if (!ENABLE_REPORTS) return;
+async function showSearchResults(chatId, query) {
+  const results = searchFaults(searchIndex, query);
+  logEvent("search", { chatId, query, hits: results.length, top: results[0]?.id || null });
+
+  if (!results.length) {
+    return bot.sendMessage(chatId, ui(chatId, "search.no_match", { query: escapeHtml(query) }), {
+      parse_mode: "HTML",
+      reply_markup: kb([[{ text: ui(chatId, "menu.manufacturer"), callback_data: "menu:mfr" }]]),
+    });
+  }
+
+  // Search runs over the English text; results show in the user's language
+  const lang = langFor(chatId);
+  const rows = results.map((r) => [
+    {
+      text: `${packLabel(r.pack, lang)} · ${getFaultById(r.pack, r.id, lang)?.title || r.title}`,
+      callback_data: cbFault(r.pack, r.id),
+    },
+  ]);
+  rows.push([{ text: ui(chatId, "menu.manufacturer"), callback_data: "menu:mfr" }]);
+
+  return bot.sendMessage(chatId, ui(chatId, "search.results", { query: escapeHtml(query) }), {
+    parse_mode: "HTML",
+    reply_markup: kb(rows),
+  });
+}
 
+/* =========================
+   TEXT CAPTURE (escalation group / draft, report wizard, else search)
+   ========================= */
+bot.on("message", async (msg) => {
   const chatId = msg?.chat?.id;
   const text = (msg?.text || "").trim();
   if (!chatId) return;
+  noteUser(chatId, msg.from); // "message" fires before the onText handlers, so commands see the language too
+  // Supervisor group: replies to escalation messages go back to the technician; nothing else there is a search
+  if (ESCALATION_CHAT_ID && String(chatId) === ESCALATION_CHAT_ID) {
+    if (msg.reply_to_message && !text.startsWith("/")) return relaySupervisorReply(msg);
+    return;
+  }
   if (!text) return;
   if (text.startsWith("/")) return;
 
-  const st = reportState.get(chatId);
-  if (!st) return;
+  // Escalation draft: charger IDs, then notes
+  const escDraft = escDraftState.get(chatId);
+  if (escDraft) return captureEscalationText(chatId, escDraft, text);
+
+  // 👎 follow-up: the next message (within FB_FOLLOW_UP_MS) is the “what was missing?” answer
+  const fb = fbFollowUpState.get(chatId);
+  if (fb) {
+    fbFollowUpState.delete(chatId);
+    if (Date.now() - Number(fb.at || 0) < FB_FOLLOW_UP_MS) {
+      try {
+        feedback.addComment(fb.feedbackId, text, { userId: msg.from?.id ?? null });
+        logEvent("feedback_comment", { chatId, feedbackId: fb.feedbackId });
+      } catch (e) {
+        console.error("❌ Feedback comment save failed:", e?.message || e);
+      }
+      return bot.sendMessage(chatId, ui(chatId, "feedback.noted"));
+    }
+  }
 
-  if (st.step === "site") {
-    setReport(chatId, { data: { site: text } });
-    return bot.sendMessage(chatId, "✅ Site captured. (Paste your full report wizard steps here if needed.)", {
-      parse_mode: "HTML",
-    });
+  const st = ENABLE_REPORTS ? reportState.get(chatId) : null;
+  if (!st) {
+    // A charger ID / serial with a recent charger-reported fault beats a text search
+    if (await offerChargerFault(chatId, text)) return null;
+    return showSearchResults(chatId, text);
   }
+
+  return captureReportText(chatId, st, text);
 });
 
 /* =========================
-   PHOTO CAPTURE (Report) - optional
+   PHOTO CAPTURE (escalation evidence, then report)
    ========================= */
 bot.on("photo", async (msg) => {
-  if (!ENABLE_REPORTS) return;
-
   const chatId = msg?.chat?.id;
   if (!chatId) return;
+  const escDraft = escDraftState.get(chatId);
+  if (escDraft) return captureEscalationPhoto(chatId, escDraft, msg);
+  if (!ENABLE_REPORTS) return;
+
   const st = reportState.get(chatId);
   if (!st || st.step !== "UPLOAD_PHOTOS") return;
 
@@ -1035,11 +3200,19 @@ bot.on("photo", async (msg) => {
   const best = photos[photos.length - 1];
   const caption = (msg.caption || "").trim();
 
+  const def = getReportStep("UPLOAD_PHOTOS");
   const curPhotos = Array.isArray(st.data.photos) ? st.data.photos : [];
+  if (curPhotos.length >= def.maxItems) {
+    return bot.sendMessage(chatId, ui(chatId, "report.photo_max", { max: def.maxItems }), {
+      reply_markup: kb(reportStepKeyboard(chatId, def, st)),
+    });
+  }
   curPhotos.push({ file_id: best.file_id, caption });
-  setReport(chatId, { data: { photos: curPhotos } });
+  const next = setReport(chatId, { data: { photos: curPhotos } });
 
-  return bot.sendMessage(chatId, "📸 Photo added. Upload more, or tap Done.");
+  return bot.sendMessage(chatId, ui(chatId, caption ? "report.photo_added" : "report.photo_added_tip", { n: curPhotos.length }), {
+    reply_markup: kb(reportStepKeyboard(chatId, def, next)),
+  });
 });
 
 /* =========================
@@ -1061,24 +3234,51 @@ bot.on("callback_query", async (q) => {
   if (chatId) global.__EVBOT_CB_RL.set(chatId, now);
 
   if (!chatId) return;
+  noteUser(chatId, q.from);
   if (data === "noop") return;
 
+  /* --------- LANGUAGE --------- */
+  if (/^lang:(auto|[a-z]{2})$/.test(data)) {
+    return setUserLanguage(chatId, q?.from?.id ?? null, data.slice(5));
+  }
+
+  /* --------- CHARGER (/charger) --------- */
+  if (data.startsWith("ch:sel:")) {
+    const charger = assets.getCharger(data.slice(7));
+    if (!charger) return bot.sendMessage(chatId, ui(chatId, "charger.not_found", { ref: escapeHtml(data.slice(7)) }), { parse_mode: "HTML" });
+    return selectCharger(chatId, charger);
+  }
+  if (data === "ch:clear") return clearChargerSelection(chatId);
+  if (data === "ch:report") return startReport(chatId);
+
   /* --------- FEEDBACK --------- */
+  if (data === "fb:skip") {
+    fbFollowUpState.delete(chatId);
+    return bot.sendMessage(chatId, ui(chatId, "feedback.thanks"));
+  }
   if (data.startsWith("fb:")) {
-    const [, vote, token] = data.split(":");
-    const ctx = decodeFbCtx(token);
+    const [, rawVote, token] = data.split(":");
+    const vote = rawVote === "y" || rawVote === "yes" ? "up" : "down";
+    const ctx = rawVote.length === 1 ? feedback.context(token) || {} : decodeFbCtx(token);
+    const userId = q?.from?.id ?? null;
 
-    logEvent("feedback", {
-      vote,
-      chatId,
-      messageId,
-      ...ctx,
-    });
+    let entry = null;
+    try {
+      entry = feedback.record({ vote, ctx, userId, chatId });
+    } catch (e) {
+      console.error("❌ Feedback save failed:", e?.message || e);
+    }
+    logEvent("feedback", { vote, chatId, messageId, userId, feedbackId: entry?.id || null, ...ctx });
+    webhooks.emit("feedback.given", { feedbackId: entry?.id || null, vote, userId, chatId, ...ctx });
 
-    return bot.sendMessage(
-      chatId,
-      vote === "yes" ? "🙏 Thanks! Glad it helped." : "🙏 Thanks — that helps me improve it."
-    );
+    if (vote === "up") return bot.sendMessage(chatId, ui(chatId, "feedback.thanks_up"));
+    if (!entry) return bot.sendMessage(chatId, ui(chatId, "feedback.thanks"));
+
+    fbFollowUpState.set(chatId, { feedbackId: entry.id, at: Date.now() });
+    return bot.sendMessage(chatId, ui(chatId, "feedback.ask_missing"), {
+      parse_mode: "HTML",
+      reply_markup: kb([[{ text: ui(chatId, "common.skip"), callback_data: "fb:skip" }]]),
+    });
   }
 
   /* --------- GLOBAL NAV --------- */
@@ -1089,7 +3289,7 @@ bot.on("callback_query", async (q) => {
   }
 
   if (data === "r:new") {
-    if (!ENABLE_REPORTS) return bot.sendMessage(chatId, "🚫 Report builder is disabled for now.");
+    if (!ENABLE_REPORTS) return bot.sendMessage(chatId, ui(chatId, "report.disabled"));
     clearReport(chatId);
     resetDt(chatId);
     return startReport(chatId);
@@ -1099,11 +3299,18 @@ bot.on("callback_query", async (q) => {
     const mfr = data.split(":")[1];
     clearReport(chatId);
     resetDt(chatId);
-    if (mfr === "general_dc") return showGeneralDcMenu(chatId, messageId);
-    if (mfr === "autel") return showAutelMenu(chatId, messageId);
-    if (mfr === "kempower") return showKempowerMenu(chatId, messageId);
-    if (mfr === "tritium") return showTritiumMenu(chatId, messageId);
-    return showManufacturerMenu(chatId, messageId);
+    return showPackMenu(chatId, messageId, mfr);
+  }
+
+  // Tag filter: "<pack>:tag:<tag>" / "<pack>:tags" (picker) — ahead of :menu / :all, a tag may be called either
+  if (data.includes(":tag:")) {
+    const [pack, tag] = data.split(":tag:");
+    clearReport(chatId);
+    resetDt(chatId);
+    return showPackAllMenu(chatId, messageId, pack.toLowerCase(), tag);
+  }
+  if (data.endsWith(":tags")) {
+    return showPackTagMenu(chatId, messageId, data.split(":")[0].toLowerCase());
   }
 
   // Pack menu callbacks: "<pack>:menu"
@@ -1111,10 +3318,7 @@ bot.on("callback_query", async (q) => {
     const pack = data.split(":")[0].toLowerCase();
     clearReport(chatId);
     resetDt(chatId);
-    if (pack === "general_dc") return showGeneralDcMenu(chatId, messageId);
-    if (pack === "kempower") return showKempowerMenu(chatId, messageId);
-    if (pack === "tritium") return showTritiumMenu(chatId, messageId);
-    return showAutelMenu(chatId, messageId);
+    return showPackMenu(chatId, messageId, pack);
   }
 
   // Pack all callbacks: "<pack>:all"
@@ -1122,22 +3326,55 @@ bot.on("callback_query", async (q) => {
     const pack = data.split(":")[0].toLowerCase();
     clearReport(chatId);
     resetDt(chatId);
-    if (pack === "general_dc") return showGeneralDcAllMenu(chatId, messageId);
-    // For others, "all" just shows the normal fault list
-    if (pack === "kempower") return showKempowerMenu(chatId, messageId);
-    if (pack === "tritium") return showTritiumMenu(chatId, messageId);
-    return showAutelMenu(chatId, messageId);
+    return showPackAllMenu(chatId, messageId, pack);
+  }
+
+  /* --------- ESCALATION --------- */
+  if (data === "esc:new") return startEscalation(chatId, getDt(chatId) || getDtFromMessage(chatId, messageId));
+  if (data === "esc:skip" || data === "esc:cancel" || data === "esc:send") {
+    const draft = escDraftState.get(chatId);
+    if (!draft) return bot.sendMessage(chatId, ui(chatId, "esc.none"));
+    if (data === "esc:cancel") {
+      escDraftState.delete(chatId);
+      return bot.sendMessage(chatId, ui(chatId, "esc.cancelled"));
+    }
+    if (data === "esc:send") return sendEscalation(chatId, q.from);
+    escDraftState.set(chatId, { ...draft, step: "evidence" });
+    return bot.sendMessage(chatId, ui(chatId, "esc.ask_evidence", { charger: "—" }), {
+      parse_mode: "HTML",
+      reply_markup: escEvidenceKeyboard(chatId),
+    });
+  }
+  if (/^esc:(ack|own):e[0-9a-f]+$/.test(data)) {
+    const [, action, id] = data.split(":");
+    return handleEscalationAction(q, action, id);
+  }
+
+  /* --------- REPORT WIZARD --------- */
+  if (/^r:(skip|done|clr|pv|send|cancel|ch:\d+|ao:\d+|ed:\w+)$/.test(data)) {
+    if (!ENABLE_REPORTS) return bot.sendMessage(chatId, ui(chatId, "report.disabled"));
+    return handleReportCallback(chatId, data, q?.from?.id ?? null);
   }
 
   /* --------- REPORT FROM FAULT CARD --------- */
   if (data.startsWith("RF|")) {
-    if (!ENABLE_REPORTS) return bot.sendMessage(chatId, "🚫 Report builder is disabled for now.");
+    if (!ENABLE_REPORTS) return bot.sendMessage(chatId, ui(chatId, "report.disabled"));
     const [, pack, faultId] = data.split("|");
     const fault = getFaultById(pack, faultId);
-    if (!fault) return bot.sendMessage(chatId, "⚠️ Could not start report: fault not found.");
+    if (!fault) return bot.sendMessage(chatId, ui(chatId, "report.not_found"));
+
+    // Keep the path walked for this fault before state is reset (chat state first, else this message's binding)
+    const dt = [getDt(chatId), getDtFromMessage(chatId, messageId)].find(
+      (x) => x?.pack === pack && String(x?.faultId) === String(fault.id) && x?.history?.length
+    );
+    const history = dt ? [...dt.history] : [];
+    const safetyCheck = [getDt(chatId), getDtFromMessage(chatId, messageId)]
+      .map((x) => findChecklistAck(x, pack, fault.id))
+      .find(Boolean);
+
     clearReport(chatId);
     resetDt(chatId);
-    return startReportFromFault(chatId, pack, fault);
+    return startReportFromFault(chatId, pack, fault, history, safetyCheck || null);
   }
 
   /* =========================
@@ -1151,17 +3388,13 @@ bot.on("callback_query", async (q) => {
     return st;
   }
 
-  if (data === "dt:start") {
-    const st = getActiveDtState();
-    if (!st?.pack || !st?.faultId) {
-      return bot.sendMessage(chatId, "⚠️ No active fault selected. Go back and open a fault first.");
-    }
-    const fault = getFaultById(st.pack, st.faultId);
-    if (!fault?.decision_tree?.start_node) {
-      return bot.sendMessage(chatId, "⚠️ This fault has no decision tree.");
-    }
-    setDt(chatId, { history: [] });
-    if (messageId) setDtForMessage(chatId, messageId, { history: [] });
+  function startDtRun(st, fault) {
+    const run = newRunId();
+    setDt(chatId, { history: [], run });
+    if (messageId) setDtForMessage(chatId, messageId, { history: [], run });
+    recordDtEvent("start", { ...st, run }, { nodeId: fault.decision_tree.start_node, userId: q?.from?.id ?? null });
+    trackChargerSession(chatChargerIdentity(chatId), { ...st, run }, { channel: "telegram", chatId, userId: q?.from?.id ?? null });
+    alertCriticalFromChat(chatId, st.pack, st.faultId);
 
     return renderYamlDecisionNode({
       chatId,
@@ -1172,27 +3405,67 @@ bot.on("callback_query", async (q) => {
     });
   }
 
+  if (data === "dt:start" || data === "dt:ack") {
+    const st = getActiveDtState();
+    if (!st?.pack || !st?.faultId) {
+      return bot.sendMessage(chatId, ui(chatId, "dt.no_active_fault"));
+    }
+    const fault = getFaultById(st.pack, st.faultId);
+    if (!fault?.decision_tree?.start_node) {
+      return bot.sendMessage(chatId, ui(chatId, "dt.no_tree"));
+    }
+    // Safety notes / tools must be acknowledged before the first step
+    if (data === "dt:start" && faultChecklist(fault) && !findChecklistAck(st, st.pack, fault.id)) {
+      return showChecklist({ chatId, messageId, pack: st.pack, fault });
+    }
+    if (data === "dt:ack" && faultChecklist(fault)) recordChecklistAck(chatId, messageId, st, fault, q?.from);
+
+    // Routed fault: its run already started in handleRouteNode
+    if (data === "dt:ack" && st.run && !st.history?.length) {
+      return renderYamlDecisionNode({ chatId, messageId, pack: st.pack, fault, nodeId: fault.decision_tree.start_node });
+    }
+    return startDtRun(st, fault);
+  }
+
   if (data.startsWith("dt:o:")) {
     const st = getActiveDtState();
     if (!st?.pack || !st?.faultId) {
-      return bot.sendMessage(chatId, "⚠️ No active fault selected. Open a fault first.");
+      return bot.sendMessage(chatId, ui(chatId, "dt.no_active_fault_short"));
     }
     const idx = Number(data.split(":")[2]);
     if (Number.isNaN(idx)) return;
 
     const fault = getFaultById(st.pack, st.faultId);
-    const tree = fault?.decision_tree;
-    if (!tree?.nodes || !tree?.start_node) return;
-
-    const currentNodeId =
-      Array.isArray(st.history) && st.history.length ? st.history[st.history.length - 1] : tree.start_node;
-
-    const node = tree.nodes[currentNodeId];
-    const opts = Array.isArray(node?.options) ? node.options : [];
-    const opt = opts[idx];
-    const nextNodeId = opt?.next;
+    // Stale step buttons can't skip the pre-start checklist
+    if (faultChecklist(fault) && !findChecklistAck(st, st.pack, fault.id)) {
+      return showChecklist({ chatId, messageId, pack: st.pack, fault });
+    }
+    const role = roleFor(chatId);
+    const step = nextFromOption(fault, st.history, idx, role);
+    if (step.error === "no_decision_tree") return;
+    if (step.error === "forbidden") {
+      const requiredRole = step.option.requiresRole;
+      auditDenied({
+        channel: "telegram",
+        reason: "requires_role",
+        userId: q?.from?.id ?? null,
+        chatId,
+        role,
+        requiredRole,
+        pack: st.pack,
+        faultId: st.faultId,
+        nodeId: step.from,
+        option: idx,
+      });
+      const text = ui(chatId, "access.option_locked", { role: escapeHtml(roleName(chatId, requiredRole)) });
+      return bot.sendMessage(chatId, text, { parse_mode: "HTML" });
+    }
+    if (step.error) return bot.sendMessage(chatId, ui(chatId, "dt.option_missing_next"));
+    const { from: currentNodeId, to: nextNodeId } = step;
 
-    if (!nextNodeId) return bot.sendMessage(chatId, "⚠️ Option is missing a next node.");
+    recordDtEvent("choice", st, { from: currentNodeId, option: idx, to: nextNodeId });
+    const outcome = classifyTerminal(nextNodeId, fault.decision_tree.nodes[nextNodeId] || null);
+    if (outcome) recordDtEvent("terminal", st, { nodeId: nextNodeId, outcome });
 
     return renderYamlDecisionNode({
       chatId,
@@ -1210,7 +3483,9 @@ bot.on("callback_query", async (q) => {
     const fault = getFaultById(st.pack, st.faultId);
     if (!fault) return showManufacturerMenu(chatId, messageId);
 
+    const fromNode = Array.isArray(st.history) && st.history.length ? st.history[st.history.length - 1] : null;
     const prevNode = popDtHistory(chatId);
+    recordDtEvent("back", st, { from: fromNode, to: prevNode });
 
     // keep message-level history aligned (best effort)
     if (messageId) {
@@ -1235,15 +3510,22 @@ bot.on("callback_query", async (q) => {
     });
   }
 
+  // Full prompt for an image node whose caption was cut
+  if (data === "dt:tx") {
+    const st = getActiveDtState();
+    const fault = st?.pack ? getFaultById(st.pack, st.faultId, langFor(chatId)) : null;
+    const nodeId = Array.isArray(st?.history) ? st.history[st.history.length - 1] : null;
+    const resolved = fault && nodeId ? resolveNode(packs, { pack: st.pack, fault, nodeId, role: roleFor(chatId) }) : null;
+    if (resolved?.kind !== "node" || !resolved.node.prompt) return null;
+    return bot.sendMessage(chatId, resolved.node.prompt, { parse_mode: "Markdown" });
+  }
+
   if (data === "dt:mn") {
     const st = getActiveDtState();
     if (!st?.pack) return showManufacturerMenu(chatId, messageId);
+    recordDtEvent("menu_exit", st, { nodeId: Array.isArray(st.history) ? st.history[st.history.length - 1] || null : null });
     resetDt(chatId);
-
-    if (st.pack === "general_dc") return showGeneralDcMenu(chatId, messageId);
-    if (st.pack === "kempower") return showKempowerMenu(chatId, messageId);
-    if (st.pack === "tritium") return showTritiumMenu(chatId, messageId);
-    return showAutelMenu(chatId, messageId);
+    return showPackMenu(chatId, messageId, st.pack);
   }
 
   /* =========================
@@ -1261,73 +3543,30 @@ bot.on("callback_query", async (q) => {
       resetDt(chatId);
       return upsertMessage(chatId, {
         messageId,
-        text: "Fault not found.",
+        text: ui(chatId, "common.fault_not_found"),
         parse_mode: "HTML",
-        reply_markup: { inline_keyboard: [[{ text: "⬅️ Back", callback_data: cbPackMenu(pack) }]] },
+        reply_markup: { inline_keyboard: [[{ text: ui(chatId, "common.back"), callback_data: cbPackMenu(pack) }]] },
       });
     }
     return showFaultCard({ chatId, messageId, pack, fault });
   }
 
-  // ✅ Legacy: "GENERAL_DC:<id>", "AUTEL:<id>", "KEMPOWER:<id>", "TRITIUM:<id>"
-  if (data.startsWith("GENERAL_DC:")) {
-    const id = data.split(":")[1];
-    const fault = getFaultById("general_dc", id);
-    if (!fault) {
-      resetDt(chatId);
-      return upsertMessage(chatId, {
-        messageId,
-        text: "Fault not found.",
-        parse_mode: "HTML",
-        reply_markup: { inline_keyboard: [[{ text: "⬅️ Back", callback_data: "general_dc:menu" }]] },
-      });
-    }
-    return showFaultCard({ chatId, messageId, pack: "general_dc", fault });
-  }
-
-  if (data.startsWith("AUTEL:")) {
-    const id = data.split(":")[1];
-    const fault = getFaultById("autel", id);
-    if (!fault) {
-      resetDt(chatId);
-      return upsertMessage(chatId, {
-        messageId,
-        text: "Fault not found.",
-        parse_mode: "HTML",
-        reply_markup: { inline_keyboard: [[{ text: "⬅️ Back", callback_data: "autel:menu" }]] },
-      });
-    }
-    return showFaultCard({ chatId, messageId, pack: "autel", fault });
-  }
-
-  if (data.startsWith("KEMPOWER:")) {
-    const id = data.split(":")[1];
-    const fault = getFaultById("kempower", id);
-    if (!fault) {
-      resetDt(chatId);
-      return upsertMessage(chatId, {
-        messageId,
-        text: "Fault not found.",
-        parse_mode: "HTML",
-        reply_markup: { inline_keyboard: [[{ text: "⬅️ Back", callback_data: "kempower:menu" }]] },
-      });
-    }
-    return showFaultCard({ chatId, messageId, pack: "kempower", fault });
-  }
-
-  if (data.startsWith("TRITIUM:")) {
-    const id = data.split(":")[1];
-    const fault = getFaultById("tritium", id);
+  // ✅ Legacy: "<PACK>:<id>" (e.g. "GENERAL_DC:<id>", "AUTEL:<id>", "KEMPOWER:<id>", "TRITIUM:<id>")
+  const legacy = data.match(/^([A-Z0-9_]+):(.+)$/);
+  const legacyPack = legacy ? packs.get(legacy[1]) : null;
+  if (legacyPack) {
+    const pack = legacyPack.id;
+    const fault = getFaultById(pack, legacy[2]);
     if (!fault) {
       resetDt(chatId);
       return upsertMessage(chatId, {
         messageId,
-        text: "Fault not found.",
+        text: ui(chatId, "common.fault_not_found"),
         parse_mode: "HTML",
-        reply_markup: { inline_keyboard: [[{ text: "⬅️ Back", callback_data: "tritium:menu" }]] },
+        reply_markup: { inline_keyboard: [[{ text: ui(chatId, "common.back"), callback_data: cbPackMenu(pack) }]] },
       });
     }
-    return showFaultCard({ chatId, messageId, pack: "tritium", fault });
+    return showFaultCard({ chatId, messageId, pack, fault });
   }
 
   // Unknown callback: do nothing (safe)
@@ -1347,10 +3586,18 @@ if (useWebhook) {
   });
 }
 
+// Persist sessions before Railway stops the container
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, () => {
+    sessions.close();
+    process.exit(0);
+  });
+}
+
 /* =========================
    START SERVER + WEBHOOK SETUP
    ========================= */
-app.listen(PORT, "0.0.0.0", async () => {
+const httpServer = app.listen(PORT, "0.0.0.0", async () => {
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`Mode: ${useWebhook ? "WEBHOOK" : "POLLING"}`);
   console.log(`PUBLIC_URL: ${PUBLIC_URL || "(blank)"}`);
@@ -1374,3 +3621,16 @@ app.listen(PORT, "0.0.0.0", async () => {
     console.log("ℹ️ Local polling mode. (Not touching the Railway webhook.)");
   }
 });
+
+if (OCPP_WS) {
+  attachOcppListener(httpServer, {
+    path: OCPP_WS_PATH,
+    password: OCPP_WS_PASSWORD,
+    onBoot: (chargePointId, payload) => chargerStatus.boot(chargePointId, payload),
+    onStatus: (chargePointId, payload) => {
+      const result = ingestStatusNotification(chargePointId, payload, "ws");
+      if (!result.ok) throw Object.assign(new Error(result.error), { ocppError: "PropertyConstraintViolation" });
+    },
+  });
+  console.log(`✅ OCPP-J listener: ${OCPP_WS_PATH}/<chargePointId>${OCPP_WS_PASSWORD ? " (Basic auth)" : ""}`);
+}
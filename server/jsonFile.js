@@ -0,0 +1,35 @@
+/**
+ * Small JSON files that are read once at start and rewritten whole
+ * - readJsonFile: parsed contents, or the fallback when the file is missing / unreadable (logged, never throws)
+ * - writeJsonFile: atomic replace (temp file + rename), so a crash mid-write never leaves half a file behind
+ * `what` names the file in the ❌ log lines; a blank path means memory only (read = fallback, write = no-op)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function readJsonFile(file, fallback, what = "JSON file") {
+  try {
+    if (file && fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8")) ?? fallback;
+  } catch (e) {
+    console.error(`❌ ${what} unreadable, starting empty: ${file}`, e?.message || e);
+  }
+  return fallback;
+}
+
+// -> true once the file is in place; `space` as in JSON.stringify (0 = compact)
+function writeJsonFile(file, data, what = "JSON file", { space = 2 } = {}) {
+  if (!file) return false;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, space));
+    fs.renameSync(tmp, file);
+    return true;
+  } catch (e) {
+    console.error(`❌ ${what} write failed: ${file}`, e?.message || e);
+    return false;
+  }
+}
+
+module.exports = { readJsonFile, writeJsonFile };
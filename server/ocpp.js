@@ -0,0 +1,287 @@
+/**
+ * OCPP 1.6J StatusNotification ingestion (charger-reported faults -> EVBot fault suggestions)
+ * - Notifications arrive forwarded from the CSMS over HTTP, or straight from charge points on an OCPP-J WebSocket
+ *   (attachOcppListener: BootNotification / Heartbeat / StatusNotification answered, anything else NotImplemented)
+ * - createChargerStatusStore(file): latest status per connector + latest fault per charge point (one JSON file);
+ *   a later NoError / non-Faulted status on the same connector marks the fault cleared
+ * - matchStatusFault(): vendorErrorCode, then codes / text in `info`, then the OCPP errorCode, against the packs'
+ *   aliases + triggers (same code index / search as /code and free-text search), preferring the charger's own pack
+ * - Local testing: server/ocppSimulator.js plays a charge point over either transport
+ */
+
+const crypto = require("crypto");
+const { WebSocketServer } = require("ws");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+const { normalizeText, searchFaults, lookupCode, codeKey } = require("./search");
+
+// OCPP 1.6 ChargePointErrorCode -> phrases to search the packs with, tried in order (null = says nothing about the fault)
+const OCPP_ERROR_HINTS = {
+  ConnectorLockFailure: ["connector lock", "locking"],
+  EVCommunicationError: ["vehicle communication", "handshake", "control pilot"],
+  GroundFailure: ["ground fault", "earth fault", "insulation", "residual current"],
+  HighTemperature: ["over temperature", "overtemp", "overheat"],
+  InternalError: null,
+  LocalListConflict: null,
+  NoError: null,
+  OtherError: null,
+  OverCurrentFailure: ["overcurrent", "over current"],
+  OverVoltage: ["overvoltage", "over voltage"],
+  PowerMeterFailure: ["energy meter", "meter"],
+  PowerSwitchFailure: ["contactor"],
+  ReaderFailure: ["rfid reader", "rfid"],
+  ResetFailure: ["reboot", "reset"],
+  UnderVoltage: ["undervoltage", "under voltage", "grid supply"],
+  WeakSignal: ["offline", "backend communication"],
+};
+const OCPP_ERROR_CODES = Object.keys(OCPP_ERROR_HINTS);
+// Search score a text / errorCode match needs (roughly: a whole alias or trigger phrase, not one loose word)
+const MIN_TEXT_SCORE = 8;
+const OCPP_STATUSES = ["Available", "Preparing", "Charging", "SuspendedEVSE", "SuspendedEV", "Finishing", "Reserved", "Unavailable", "Faulted"];
+
+const isFaultNotification = (n) => n.status === "Faulted" || (n.errorCode && n.errorCode !== "NoError");
+
+/**
+ * StatusNotification.req payload (+ who sent it) -> { notification } | { error }
+ * Lenient on casing of enum values; unknown errorCode / status are refused
+ */
+function normalizeStatusNotification(payload, { chargePointId, receivedAt = new Date() } = {}) {
+  const p = payload && typeof payload === "object" ? payload : {};
+  const id = String(chargePointId || "").trim();
+  if (!id) return { error: "chargePointId_required" };
+  const pick = (list, v) => list.find((x) => x.toLowerCase() === String(v || "").trim().toLowerCase());
+  const errorCode = pick(OCPP_ERROR_CODES, p.errorCode);
+  const status = pick(OCPP_STATUSES, p.status);
+  if (!errorCode) return { error: "invalid_errorCode", errorCode: p.errorCode ?? null };
+  if (!status) return { error: "invalid_status", status: p.status ?? null };
+
+  // Charger clocks drift: a timestamp from the future is replaced by arrival time
+  const ts = Date.parse(p.timestamp || "");
+  const at = Number.isFinite(ts) && ts <= receivedAt.getTime() + 60000 ? new Date(ts) : receivedAt;
+  return {
+    notification: {
+      chargePointId: id,
+      connectorId: Number.isInteger(Number(p.connectorId)) ? Number(p.connectorId) : 0,
+      status,
+      errorCode,
+      vendorErrorCode: String(p.vendorErrorCode || "").trim().slice(0, 50),
+      vendorId: String(p.vendorId || "").trim().slice(0, 255),
+      info: String(p.info || "").trim().slice(0, 50),
+      at: at.toISOString(),
+      receivedAt: receivedAt.toISOString(),
+    },
+  };
+}
+
+// "Kempower Oy" / "TRITIUM" -> pack ID when a pack's id or label appears in the vendor string
+function vendorPack(vendor, packList = []) {
+  const words = ` ${normalizeText(vendor)} `;
+  if (!words.trim()) return null;
+  const hit = packList.find((m) => [m.id, m.label].some((v) => normalizeText(v) && words.includes(` ${normalizeText(v)} `)));
+  return hit?.id || null;
+}
+
+/**
+ * matchStatusFault({ codeIndex, searchIndex, notification, pack }) ->
+ *   { pack, faultId, title, matchedBy: "vendorErrorCode" | "info" | "errorCode", code } | null (always null for a non-fault status)
+ * pack = the charger's pack when known (its faults win over other packs' on equal evidence)
+ */
+function matchStatusFault({ codeIndex, searchIndex, notification, pack = null }) {
+  const n = notification || {};
+  if (!isFaultNotification(n)) return null;
+  const prefer = (list) => list.find((f) => f.pack === pack) || list[0] || null;
+  const hit = (f, matchedBy, code) => (f ? { pack: f.pack, faultId: f.id, title: f.title, matchedBy, code } : null);
+  // Text evidence stays inside the charger's pack when it has one (another maker's fault is the wrong tree)
+  const scoped = pack ? searchIndex.filter((e) => e.pack === pack) : searchIndex;
+  const search = (text) => searchFaults(scoped, text).filter((r) => r.score >= MIN_TEXT_SCORE);
+
+  if (n.vendorErrorCode) {
+    const byCode = lookupCode(codeIndex, n.vendorErrorCode);
+    if (byCode) return hit(prefer(byCode.faults), "vendorErrorCode", n.vendorErrorCode);
+  }
+  if (n.info) {
+    for (const token of [n.info, ...n.info.split(/[\s,;:()]+/)].filter((t) => codeKey(t).length >= 3)) {
+      const byCode = lookupCode(codeIndex, token);
+      if (byCode) return hit(prefer(byCode.faults), "info", token);
+    }
+  }
+  if (n.vendorErrorCode) {
+    const top = search(n.vendorErrorCode)[0];
+    if (top) return hit(top, "vendorErrorCode", n.vendorErrorCode);
+  }
+  if (n.info) {
+    const top = search(n.info)[0];
+    if (top) return hit(top, "info", n.info);
+  }
+  for (const phrase of OCPP_ERROR_HINTS[n.errorCode] || []) {
+    const top = search(phrase)[0];
+    if (top) return hit(top, "errorCode", n.errorCode);
+  }
+  return null;
+}
+
+/**
+ * createChargerStatusStore(file) -> { record, boot, get, list, activeFault }
+ * chargers keyed loosely (codeKey: "cp-0042" == "CP 0042"); `id` keeps the spelling the charger used
+ */
+function createChargerStatusStore(file) {
+  const chargers = readJsonFile(file, {}, "Charger status");
+
+  function save() {
+    writeJsonFile(file, chargers, "Charger status");
+  }
+
+  function entry(id) {
+    const key = codeKey(id);
+    if (!chargers[key]) chargers[key] = { id: String(id), vendor: "", model: "", serial: "", connectors: {}, fault: null, lastSeenAt: null };
+    return chargers[key];
+  }
+
+  // BootNotification.req: remember who the charger says it is
+  function boot(chargePointId, p = {}) {
+    const c = entry(chargePointId);
+    c.vendor = String(p.chargePointVendor || c.vendor || "");
+    c.model = String(p.chargePointModel || c.model || "");
+    c.serial = String(p.chargePointSerialNumber || p.chargeBoxSerialNumber || c.serial || "");
+    c.firmware = String(p.firmwareVersion || c.firmware || "");
+    c.lastSeenAt = new Date().toISOString();
+    save();
+    return c;
+  }
+
+  // Normalized notification (+ its match) -> updated charger
+  function record(n, { match = null, source = "http", vendor = "" } = {}) {
+    const c = entry(n.chargePointId);
+    if (vendor && !c.vendor) c.vendor = String(vendor);
+    c.lastSeenAt = n.receivedAt;
+    c.source = source;
+    c.connectors[n.connectorId] = { status: n.status, errorCode: n.errorCode, at: n.at };
+    if (isFaultNotification(n)) {
+      const { chargePointId, ...fault } = n;
+      c.fault = { ...fault, match, clearedAt: null };
+    } else if (c.fault && !c.fault.clearedAt && (c.fault.connectorId === n.connectorId || n.connectorId === 0)) {
+      c.fault = { ...c.fault, clearedAt: n.at };
+    }
+    save();
+    return c;
+  }
+
+  // Charge point ID, or the serial it sent in BootNotification
+  function get(idOrSerial) {
+    const key = codeKey(idOrSerial);
+    if (!key) return null;
+    return chargers[key] || Object.values(chargers).find((c) => c.serial && codeKey(c.serial) === key) || null;
+  }
+
+  // Most recently heard from first
+  function list({ faulted = false, limit = 100 } = {}) {
+    return Object.values(chargers)
+      .filter((c) => !faulted || (c.fault && !c.fault.clearedAt))
+      .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)))
+      .slice(0, limit);
+  }
+
+  // Uncleared fault no older than maxAgeMs (what a tech standing at the charger should be offered)
+  function activeFault(id, maxAgeMs, now = Date.now()) {
+    const c = get(id);
+    if (!c?.fault || c.fault.clearedAt) return null;
+    return now - Date.parse(c.fault.at) <= maxAgeMs ? { charger: c, fault: c.fault } : null;
+  }
+
+  return { file, boot, record, get, list, activeFault };
+}
+
+/* =========================
+   OCPP-J (WebSocket)
+   ========================= */
+const CALL = 2;
+const CALLRESULT = 3;
+const CALLERROR = 4;
+
+/**
+ * attachOcppListener(httpServer, { path, password, heartbeatSec, onBoot, onStatus }) -> WebSocketServer
+ * - Charge points connect to ws(s)://host<path>/<chargePointId> with subprotocol ocpp1.6
+ * - password set = HTTP Basic auth required (OCPP security profile 1: user = chargePointId)
+ * - onBoot(chargePointId, payload), onStatus(chargePointId, payload) -> answer payload (or throw for a CALLERROR)
+ */
+function attachOcppListener(httpServer, { path: base = "/ocpp", password = "", heartbeatSec = 300, onBoot, onStatus } = {}) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    handleProtocols: (protocols) => (protocols.has("ocpp1.6") ? "ocpp1.6" : false),
+  });
+  const prefix = `${base.replace(/\/+$/, "")}/`;
+
+  // Nothing thrown in here may escape the `upgrade` event: it would take the whole process down
+  httpServer.on("upgrade", (req, socket, head) => {
+    const reject = (code, text) => {
+      socket.write(`HTTP/1.1 ${code} ${text}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+    };
+    try {
+      const url = String(req.url || "").split("?")[0];
+      if (!url.startsWith(prefix)) return;
+      let chargePointId;
+      try {
+        chargePointId = decodeURIComponent(url.slice(prefix.length));
+      } catch (_) {
+        return reject(400, "Bad Request");
+      }
+      if (!chargePointId || chargePointId.includes("/")) return reject(404, "Not Found");
+      if (password) {
+        const creds = Buffer.from(String(req.headers.authorization || "").replace(/^Basic\s+/i, ""), "base64").toString();
+        const sep = creds.indexOf(":"); // the password itself may contain ':'
+        const user = sep === -1 ? creds : creds.slice(0, sep);
+        const got = Buffer.from(sep === -1 ? "" : creds.slice(sep + 1));
+        const want = Buffer.from(password);
+        if (user !== chargePointId || got.length !== want.length || !crypto.timingSafeEqual(got, want)) return reject(401, "Unauthorized");
+      }
+      wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req, chargePointId));
+    } catch (e) {
+      console.error("❌ OCPP upgrade failed:", e?.message || e);
+      if (!socket.destroyed) reject(500, "Internal Server Error");
+    }
+  });
+
+  wss.on("connection", (ws, req, chargePointId) => {
+    console.log(`🔌 OCPP ${chargePointId} connected (${ws.protocol || "no subprotocol"})`);
+    ws.on("message", async (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(String(raw));
+      } catch (_) {
+        return;
+      }
+      if (!Array.isArray(msg) || msg[0] !== CALL) return;
+      const [, uniqueId, action, payload] = msg;
+      const reply = (frame) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(frame));
+      try {
+        if (action === "BootNotification") {
+          await onBoot?.(chargePointId, payload || {});
+          return reply([CALLRESULT, uniqueId, { status: "Accepted", currentTime: new Date().toISOString(), interval: heartbeatSec }]);
+        }
+        if (action === "Heartbeat") return reply([CALLRESULT, uniqueId, { currentTime: new Date().toISOString() }]);
+        if (action === "StatusNotification") {
+          await onStatus?.(chargePointId, payload || {});
+          return reply([CALLRESULT, uniqueId, {}]);
+        }
+        return reply([CALLERROR, uniqueId, "NotImplemented", `${action} is not handled by this listener`, {}]);
+      } catch (e) {
+        return reply([CALLERROR, uniqueId, e?.ocppError || "InternalError", String(e?.message || e).slice(0, 200), {}]);
+      }
+    });
+    ws.on("close", () => console.log(`🔌 OCPP ${chargePointId} disconnected`));
+  });
+
+  return wss;
+}
+
+module.exports = {
+  OCPP_ERROR_CODES,
+  OCPP_STATUSES,
+  OCPP_ERROR_HINTS,
+  isFaultNotification,
+  normalizeStatusNotification,
+  vendorPack,
+  matchStatusFault,
+  createChargerStatusStore,
+  attachOcppListener,
+};
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Simulated OCPP 1.6J charge point for testing the StatusNotification ingestion end to end
+ * - WebSocket (default): connects to <url>/<id> as ocpp1.6, sends BootNotification then StatusNotification
+ * - --http=<url>: posts the same StatusNotification the way a CSMS forwarder would (Bearer --token)
+ * - --clear: follows up with NoError / Available on the same connector (the fault is then no longer offered)
+ *
+ * Usage: node server/ocppSimulator.js [--url=ws://localhost:3000/ocpp] [--id=CP-0042] [--vendor=Kempower]
+ *          [--code=RT_PMC_UNAVAILABLE] [--error=OtherError] [--info=...] [--status=Faulted] [--connector=1]
+ *          [--password=...] [--http=http://localhost:3000/api/ocpp/status --token=...] [--clear]
+ *        (npm run ocpp-sim -- ...)
+ */
+
+const axios = require("axios");
+const WebSocket = require("ws");
+
+function parseArgs(argv) {
+  const opts = {
+    url: "ws://localhost:3000/ocpp",
+    id: "CP-0042",
+    vendor: "Kempower",
+    model: "S-Series",
+    serial: "",
+    code: "RT_PMC_UNAVAILABLE",
+    error: "OtherError",
+    info: "",
+    status: "Faulted",
+    connector: 1,
+    password: "",
+    http: "",
+    token: process.env.OCPP_INGEST_TOKEN || "",
+    clear: false,
+  };
+  for (const a of argv) {
+    const [k, ...rest] = a.replace(/^--/, "").split("=");
+    const v = rest.join("=");
+    if (k === "clear") opts.clear = true;
+    else if (k === "connector") opts.connector = Number(v) || 0;
+    else if (k in opts) opts[k] = v;
+  }
+  return opts;
+}
+
+function statusPayloads(opts) {
+  const fault = {
+    connectorId: opts.connector,
+    errorCode: opts.error,
+    status: opts.status,
+    timestamp: new Date().toISOString(),
+    ...(opts.code ? { vendorErrorCode: opts.code } : {}),
+    ...(opts.info ? { info: opts.info } : {}),
+    ...(opts.vendor ? { vendorId: opts.vendor } : {}),
+  };
+  const cleared = { connectorId: opts.connector, errorCode: "NoError", status: "Available", timestamp: new Date().toISOString() };
+  return opts.clear ? [fault, cleared] : [fault];
+}
+
+async function viaHttp(opts) {
+  for (const payload of statusPayloads(opts)) {
+    const res = await axios.post(
+      opts.http,
+      { chargePointId: opts.id, chargePointVendor: opts.vendor, chargePointModel: opts.model, chargePointSerialNumber: opts.serial, ...payload },
+      { headers: opts.token ? { Authorization: `Bearer ${opts.token}` } : {}, validateStatus: () => true }
+    );
+    console.log(`→ StatusNotification ${payload.status}/${payload.errorCode}  ← HTTP ${res.status} ${JSON.stringify(res.data)}`);
+  }
+}
+
+function viaWebSocket(opts) {
+  return new Promise((resolve, reject) => {
+    const headers = opts.password ? { Authorization: `Basic ${Buffer.from(`${opts.id}:${opts.password}`).toString("base64")}` } : {};
+    const ws = new WebSocket(`${opts.url.replace(/\/+$/, "")}/${encodeURIComponent(opts.id)}`, "ocpp1.6", { headers });
+    const pending = new Map();
+    let seq = 0;
+
+    const call = (action, payload) =>
+      new Promise((res) => {
+        const id = String(++seq);
+        pending.set(id, res);
+        console.log(`→ ${action} ${JSON.stringify(payload)}`);
+        ws.send(JSON.stringify([2, id, action, payload]));
+      });
+
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(String(raw));
+      console.log(`← ${JSON.stringify(msg)}`);
+      const done = pending.get(msg[1]);
+      pending.delete(msg[1]);
+      done?.(msg);
+    });
+    ws.on("error", reject);
+    ws.on("unexpected-response", (req, res) => reject(new Error(`Handshake refused: HTTP ${res.statusCode}`)));
+    ws.on("open", async () => {
+      await call("BootNotification", {
+        chargePointVendor: opts.vendor,
+        chargePointModel: opts.model,
+        ...(opts.serial ? { chargePointSerialNumber: opts.serial } : {}),
+      });
+      for (const payload of statusPayloads(opts)) await call("StatusNotification", payload);
+      ws.close();
+      resolve();
+    });
+  });
+}
+
+if (require.main === module) {
+  const opts = parseArgs(process.argv.slice(2));
+  (opts.http ? viaHttp(opts) : viaWebSocket(opts)).catch((e) => {
+    console.error(`❌ ${e?.message || e}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, statusPayloads };
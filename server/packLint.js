@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/**
+ * Fault pack linter (npm run lint-packs, also run by the server at boot)
+ *
+ * Errors (exit 1):
+ * - duplicate fault IDs / pack IDs
+ * - `next:` targets that don't resolve (node, __MENU_<PACK>__, __ROUTE_*__)
+ * - nodes with no options (dead ends)
+ * - cycles with no exit (no path to *_DONE / *_ESC / a menu or route)
+ * - quick_menu / routes pointing at faults that don't exist
+ * - callback_data over Telegram's 64-byte limit
+ * - `requires_role:` values that aren't a known role (guest / technician / hv_technician / admin)
+ *
+ * Warnings (exit 0 unless --strict):
+ * - unreachable nodes
+ * - `image:` keys with no file under assets/images
+ * - targets only resolved by the bot's built-in fallbacks (GD_ESC / GD_DONE)
+ * - translation sidecars (faults/i18n/<pack>.<lang>.yml) naming faults / nodes / options the English pack doesn't have
+ * - `severity:` values other than critical / high / medium / low (they sort last and never raise critical alerts)
+ *
+ * Usage: node server/packLint.js [--strict] [--json] [file.yml ...]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { SEVERITIES, normalizePackMeta, imageKeyCandidates, parseTranslationFile } = require("./packs");
+const {
+  CALLBACK_DATA_MAX_BYTES,
+  cbManufacturer,
+  cbPackMenu,
+  cbPackAll,
+  cbPackTags,
+  cbPackTag,
+  cbFault,
+  cbReportFromFault,
+  callbackDataBytes,
+} = require("./callbacks");
+const { FALLBACK_NODE_IDS } = require("./dtEngine");
+const { ROLES, normalizeRole } = require("./access");
+
+const DEFAULT_FAULTS_DIR = path.join(__dirname, "..", "faults");
+const DEFAULT_IMAGES_DIR = path.join(__dirname, "..", "assets", "images");
+
+const TERMINAL_NODE_RE = /_(DONE|ESC)$/;
+
+/* =========================
+   LINE LOOKUP (YAML text)
+   ========================= */
+function escapeRe(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function makeLocator(raw) {
+  const lines = String(raw).split(/\r?\n/);
+
+  function find(re, from = 0, to = lines.length) {
+    for (let i = Math.max(0, from); i < Math.min(lines.length, to); i++) {
+      if (re.test(lines[i])) return i;
+    }
+    return -1;
+  }
+
+  const faultLineRe = (id) => new RegExp(`^\\s*-\\s+id:\\s*["']?${escapeRe(id)}["']?\\s*(#.*)?$`);
+
+  return {
+    // all 1-based lines declaring fault `id`
+    faultLines(id) {
+      const re = faultLineRe(id);
+      return lines.map((l, i) => (re.test(l) ? i + 1 : 0)).filter(Boolean);
+    },
+    faultLine(id) {
+      return find(faultLineRe(id)) + 1 || 1;
+    },
+    // end of a fault block = next "- id:" at the same or lower indent
+    faultEnd(faultLine) {
+      const next = find(/^\s*-\s+id:/, faultLine);
+      return next === -1 ? lines.length : next;
+    },
+    nodeLine(faultLine, nodeId) {
+      const end = this.faultEnd(faultLine);
+      const i = find(new RegExp(`^\\s+["']?${escapeRe(nodeId)}["']?:\\s*(#.*)?$`), faultLine, end);
+      return i === -1 ? faultLine : i + 1;
+    },
+    keyLine(fromLine, key, value) {
+      const re = new RegExp(`${escapeRe(key)}:\\s*["']?${escapeRe(value)}["']?\\s*(#.*)?$`);
+      const i = find(re, fromLine - 1);
+      return i === -1 ? fromLine : i + 1;
+    },
+    headerLine(key, value) {
+      const re = value == null ? new RegExp(`^\\s*${escapeRe(key)}:`) : new RegExp(`${escapeRe(key)}:?\\s*["']?${escapeRe(value)}["']?`);
+      const end = find(/^faults:/);
+      const i = find(re, 0, end === -1 ? lines.length : end);
+      return i === -1 ? 1 : i + 1;
+    },
+  };
+}
+
+/* =========================
+   GRAPH CHECKS
+   ========================= */
+function nodeTargets(node) {
+  const opts = Array.isArray(node?.options) ? node.options : [];
+  return opts.map((o) => (o?.next == null ? "" : String(o.next)));
+}
+
+function reachableFrom(start, nodes) {
+  const seen = new Set();
+  const stack = [start];
+  while (stack.length) {
+    const id = stack.pop();
+    if (seen.has(id) || !nodes[id]) continue;
+    seen.add(id);
+    for (const t of nodeTargets(nodes[id])) if (nodes[t] && !seen.has(t)) stack.push(t);
+  }
+  return seen;
+}
+
+// Nodes that can reach an exit: a terminal (*_DONE / *_ESC), or any target outside this tree (menu/route/fallback)
+function nodesWithExit(nodes) {
+  const canExit = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const [id, node] of Object.entries(nodes)) {
+      if (canExit.has(id)) continue;
+      const targets = nodeTargets(node);
+      if (TERMINAL_NODE_RE.test(id) || targets.some((t) => !nodes[t] || canExit.has(t))) {
+        canExit.add(id);
+        changed = true;
+      }
+    }
+  }
+  return canExit;
+}
+
+/* =========================
+   TRANSLATION SIDECARS
+   ========================= */
+// Warnings only: anything a sidecar can't place just stays English
+function lintTranslations(dir, parsed, add) {
+  const trDir = path.join(dir, "i18n");
+  if (!fs.existsSync(trDir)) return [];
+  const files = fs
+    .readdirSync(trDir)
+    .filter((f) => /\.ya?ml$/i.test(f))
+    .sort()
+    .map((f) => path.join(trDir, f));
+  const byPack = new Map(parsed.map((p) => [p.meta.id, p]));
+
+  for (const file of files) {
+    let tr;
+    try {
+      tr = parseTranslationFile(file);
+    } catch (e) {
+      add("error", "translation-parse", file, (e?.mark?.line ?? 0) + 1, String(e?.reason || e?.message || e).split("\n")[0]);
+      continue;
+    }
+    const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+    const lineOf = (key, from = 0) => {
+      const re = new RegExp(`^\\s*["']?${escapeRe(key)}["']?:`);
+      const i = lines.findIndex((l, idx) => idx >= from && re.test(l));
+      return i === -1 ? from + 1 : i + 1;
+    };
+
+    const pack = byPack.get(tr.pack);
+    if (!pack) {
+      add("warning", "translation-pack", file, 1, `translation for unknown pack "${tr.pack}"`);
+      continue;
+    }
+    for (const faultId of Object.keys(tr.data.pack?.quick_menu?.items || {})) {
+      if (!(pack.meta.quickMenu?.items || []).some((it) => it.fault === faultId)) {
+        add("warning", "translation-target", file, lineOf(faultId), `quick_menu item "${faultId}" is not in ${tr.pack}'s quick menu`);
+      }
+    }
+    for (const [faultId, f] of Object.entries(tr.data.faults)) {
+      const fLine = lineOf(faultId);
+      const fault = pack.obj.faults.find((x) => String(x?.id) === faultId);
+      if (!fault) {
+        add("warning", "translation-target", file, fLine, `fault "${faultId}" not found in ${tr.pack}`);
+        continue;
+      }
+      const nodes = fault.decision_tree?.nodes || {};
+      for (const [nodeId, n] of Object.entries(f?.nodes || {})) {
+        const nLine = lineOf(nodeId, fLine - 1);
+        if (!nodes[nodeId]) {
+          add("warning", "translation-target", file, nLine, `${faultId}: node ${nodeId} not found in ${tr.pack}`);
+          continue;
+        }
+        const want = nodeTargets(nodes[nodeId]).length;
+        const got = Array.isArray(n?.options) ? n.options.length : 0;
+        if (got > want) add("warning", "translation-options", file, nLine, `${faultId}: node ${nodeId} has ${got} option labels, English has ${want}`);
+      }
+    }
+  }
+  return files;
+}
+
+/* =========================
+   LINT
+   ========================= */
+function readPackFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  return { raw, obj: yaml.load(raw) };
+}
+
+/**
+ * Lint a set of pack files together (menu/route targets can point across packs).
+ * Returns { files, issues: [{ severity, rule, file, line, message }], errors, warnings }
+ */
+function lintPacks({ dir = DEFAULT_FAULTS_DIR, files, imagesDir = DEFAULT_IMAGES_DIR } = {}) {
+  const explicit = !!(files && files.length);
+  const list =
+    explicit
+      ? files.map((f) => path.resolve(f))
+      : fs
+          .readdirSync(dir)
+          .filter((f) => /\.ya?ml$/i.test(f))
+          .sort()
+          .map((f) => path.join(dir, f));
+
+  const issues = [];
+  const add = (severity, rule, file, line, message) => issues.push({ severity, rule, file, line: line || 1, message });
+
+  // Pass 1: parse everything, collect pack IDs / routes / menus
+  const parsed = [];
+  const packIds = new Map();
+  for (const file of list) {
+    let raw;
+    let obj;
+    try {
+      ({ raw, obj } = readPackFile(file));
+    } catch (e) {
+      add("error", "yaml-parse", file, (e?.mark?.line ?? 0) + 1, String(e?.reason || e?.message || e).split("\n")[0]);
+      continue;
+    }
+    if (!obj || !Array.isArray(obj.faults)) {
+      add("error", "no-faults", file, 1, "missing `faults:` list");
+      continue;
+    }
+    const meta = normalizePackMeta(obj.pack, file);
+    const loc = makeLocator(raw);
+    if (packIds.has(meta.id)) {
+      add("error", "duplicate-pack-id", file, loc.headerLine("id", meta.id), `pack id "${meta.id}" already used by ${packIds.get(meta.id)}`);
+      continue;
+    }
+    packIds.set(meta.id, file);
+    parsed.push({ file, obj, meta, loc });
+  }
+
+  const menuNodes = new Set(parsed.map((p) => p.meta.menuNodeId));
+  const routeNodes = new Set(parsed.flatMap((p) => Object.keys(p.meta.routes)));
+
+  // Pass 2: per pack
+  for (const { file, obj, meta, loc } of parsed) {
+    const faultIds = new Set(obj.faults.map((f) => String(f?.id ?? "")));
+
+    for (const cb of [cbManufacturer(meta.id), cbPackMenu(meta.id), cbPackAll(meta.id), cbPackTags(meta.id)]) {
+      if (callbackDataBytes(cb) > CALLBACK_DATA_MAX_BYTES) {
+        add("error", "callback-data-length", file, loc.headerLine("id", meta.id), `"${cb}" is ${callbackDataBytes(cb)} bytes (max ${CALLBACK_DATA_MAX_BYTES})`);
+      }
+    }
+    for (const it of meta.quickMenu?.items || []) {
+      if (!faultIds.has(it.fault)) {
+        add("error", "quick-menu-target", file, loc.headerLine("fault", it.fault), `quick_menu item "${it.label}" points at unknown fault "${it.fault}"`);
+      }
+    }
+    for (const [routeId, faultId] of Object.entries(meta.routes)) {
+      const fault = obj.faults.find((f) => String(f?.id) === faultId);
+      if (!fault) add("error", "route-target", file, loc.headerLine(routeId), `route ${routeId} points at unknown fault "${faultId}"`);
+      else if (!fault.decision_tree?.start_node) {
+        add("error", "route-target", file, loc.headerLine(routeId), `route ${routeId} points at "${faultId}", which has no decision tree`);
+      }
+    }
+
+    const seenIds = new Set();
+    obj.faults.forEach((fault, idx) => {
+      const id = String(fault?.id ?? "");
+      if (!id) {
+        add("error", "missing-id", file, 1, `faults[${idx}] has no id`);
+        return;
+      }
+      const fLine = loc.faultLine(id);
+
+      if (seenIds.has(id)) {
+        const lines = loc.faultLines(id);
+        add("error", "duplicate-fault-id", file, lines[lines.length > 1 ? 1 : 0], `fault id "${id}" is declared ${lines.length} times (lines ${lines.join(", ")})`);
+        return;
+      }
+      seenIds.add(id);
+
+      const tags = Array.isArray(fault.tags) ? fault.tags.map(String) : [];
+      for (const cb of [cbFault(meta.id, id), cbReportFromFault(meta.id, id), ...tags.map((t) => cbPackTag(meta.id, t))]) {
+        if (callbackDataBytes(cb) > CALLBACK_DATA_MAX_BYTES) {
+          add("error", "callback-data-length", file, fLine, `"${cb}" is ${callbackDataBytes(cb)} bytes (max ${CALLBACK_DATA_MAX_BYTES})`);
+        }
+      }
+      if (fault.severity != null && !SEVERITIES.includes(String(fault.severity).trim().toLowerCase())) {
+        const line = loc.keyLine(fLine, "severity", String(fault.severity));
+        add("warning", "unknown-severity", file, line, `${id}: severity "${fault.severity}" is not one of ${SEVERITIES.join(" / ")}`);
+      }
+
+      const tree = fault.decision_tree;
+      if (!tree) return;
+      const nodes = tree.nodes && typeof tree.nodes === "object" ? tree.nodes : {};
+      if (!tree.start_node || !nodes[tree.start_node]) {
+        add("error", "start-node", file, loc.keyLine(fLine, "start_node", tree.start_node || ""), `${id}: start_node "${tree.start_node || ""}" not found in nodes`);
+        return;
+      }
+
+      for (const [nodeId, node] of Object.entries(nodes)) {
+        const nLine = loc.nodeLine(fLine, nodeId);
+        const targets = nodeTargets(node);
+
+        if (!targets.length) add("error", "dead-end", file, nLine, `${id}: node ${nodeId} has no options`);
+
+        targets.forEach((t, i) => {
+          if (!t) return add("error", "missing-next", file, nLine, `${id}: node ${nodeId} option ${i + 1} has no next`);
+          if (nodes[t]) return;
+          const line = loc.keyLine(nLine, "next", t);
+          if (/^__MENU_.*__$/i.test(t)) {
+            if (!menuNodes.has(t.toUpperCase())) add("error", "menu-target", file, line, `${id}: ${nodeId} → ${t}: no pack provides this menu`);
+            return;
+          }
+          if (/^__ROUTE_.*__$/i.test(t)) {
+            if (!routeNodes.has(t.toUpperCase())) add("error", "route-target", file, line, `${id}: ${nodeId} → ${t}: no pack declares this route`);
+            return;
+          }
+          if (FALLBACK_NODE_IDS.has(t.toUpperCase())) {
+            add("warning", "fallback-node", file, line, `${id}: ${nodeId} → ${t}: not in this tree (only resolved by the bot's built-in fallback)`);
+            return;
+          }
+          add("error", "unresolved-next", file, line, `${id}: ${nodeId} → ${t}: node not found`);
+        });
+
+        const roleIssue = (value, where) => {
+          if (value == null || normalizeRole(value)) return;
+          const line = loc.keyLine(nLine, "requires_role", value);
+          add("error", "unknown-role", file, line, `${id}: ${where} requires_role "${value}" is not one of ${ROLES.join(", ")}`);
+        };
+        roleIssue(node?.requires_role, `node ${nodeId}`);
+        (Array.isArray(node?.options) ? node.options : []).forEach((o, i) => roleIssue(o?.requires_role, `node ${nodeId} option ${i + 1}`));
+
+        if (node?.image) {
+          const found = imageKeyCandidates(node.image).some((rel) => fs.existsSync(path.join(imagesDir, rel)));
+          if (!found) {
+            add("warning", "missing-image", file, loc.keyLine(nLine, "image", node.image), `${id}: node ${nodeId} image "${node.image}" not found under assets/images`);
+          }
+        }
+      }
+
+      const reachable = reachableFrom(tree.start_node, nodes);
+      for (const nodeId of Object.keys(nodes)) {
+        if (!reachable.has(nodeId)) add("warning", "unreachable-node", file, loc.nodeLine(fLine, nodeId), `${id}: node ${nodeId} is unreachable from ${tree.start_node}`);
+      }
+
+      const canExit = nodesWithExit(nodes);
+      for (const nodeId of reachable) {
+        if (!canExit.has(nodeId) && nodeTargets(nodes[nodeId]).length) {
+          add("error", "no-exit-cycle", file, loc.nodeLine(fLine, nodeId), `${id}: node ${nodeId} loops forever (no path to a *_DONE / *_ESC / menu node)`);
+        }
+      }
+    });
+  }
+
+  // Sidecars only make sense against the whole pack directory
+  const translations = explicit ? [] : lintTranslations(dir, parsed, add);
+
+  issues.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  return {
+    files: list,
+    translations,
+    issues,
+    errors: issues.filter((i) => i.severity === "error").length,
+    warnings: issues.filter((i) => i.severity === "warning").length,
+  };
+}
+
+function formatIssue(issue, cwd = process.cwd()) {
+  const rel = path.relative(cwd, issue.file) || issue.file;
+  return `${rel}:${issue.line}  ${issue.severity.padEnd(7)}  ${issue.message}  [${issue.rule}]`;
+}
+
+function formatLintSummary(result) {
+  const tr = result.translations?.length ? `, ${result.translations.length} translation(s)` : "";
+  return `${result.files.length} pack(s)${tr}: ${result.errors} error(s), ${result.warnings} warning(s)`;
+}
+
+/* =========================
+   CLI
+   ========================= */
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const strict = args.includes("--strict");
+  const json = args.includes("--json");
+  const files = args.filter((a) => !a.startsWith("--"));
+
+  const result = lintPacks({ files });
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    for (const issue of result.issues) console.log(formatIssue(issue));
+    console.log(`\n${result.errors ? "❌" : "✅"} ${formatLintSummary(result)}`);
+  }
+  process.exit(result.errors || (strict && result.warnings) ? 1 : 0);
+}
+
+module.exports = {
+  FALLBACK_NODE_IDS,
+  lintPacks,
+  formatIssue,
+  formatLintSummary,
+};
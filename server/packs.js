@@ -0,0 +1,548 @@
+/**
+ * Fault pack registry
+ * - Discovers every faults/*.yml (no hard-coded loaders)
+ * - Each pack describes itself in a top-level `pack:` header block:
+ *
+ *     pack:
+ *       id: kempower              (optional, defaults to the file name)
+ *       label: "Kempower"         (short name: buttons, report, "🏠 <label> menu")
+ *       title: "Kempower"         (optional, long name on the manufacturer menu)
+ *       emoji: "🟢"
+ *       order: 30                 (manufacturer menu sort order, then label)
+ *       quick_menu:               (optional: symptom buckets shown before "View all")
+ *         prompt: "Select the issue category:"
+ *         items:
+ *           - { label: "🟥 Dead / Won’t Power On", fault: general_dc_will_not_power_on }
+ *       routes:                   (optional: __ROUTE_*__ node IDs -> fault ID in this pack)
+ *         __ROUTE_GENERAL_DC_OFFLINE__: general_dc_offline_backend_comms
+ *
+ * - Menu-jump node IDs are derived from the pack ID: __MENU_<ID>__
+ * - Faults may carry `severity: critical|high|medium|low` (menus sort + badge by it) and `tags: [...]` (menu filter)
+ * - Nodes / options may carry `requires_role: hv_technician` (see server/access.js): the node's prompt is locked,
+ *   the option hidden, for users below that role
+ *
+ * Translations (sidecars): faults/i18n/<pack>.<lang>.yml — only what differs from English, anything left out stays English
+ *
+ *     pack:   { label, title, quick_menu: { prompt, items: { <faultId>: "<label>" } } }
+ *     faults:
+ *       <faultId>:
+ *         title: "..."
+ *         description: "..."
+ *         response: { telegram_markdown: "..." }
+ *         safety_notes: ["..."]      (whole list; pre-start checklist)
+ *         tools_required: ["..."]
+ *         nodes:
+ *           <nodeId>: { prompt: "...", options: ["<label 1>", "<label 2>"] }   (same order as the English options)
+ *
+ * Cache + hot reload:
+ * - Packs are parsed once and served from memory (no YAML parse per button tap)
+ * - File changes trigger a debounced reload; a file that fails to parse/validate keeps its last good version
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const PACK_EXT_RE = /\.ya?ml$/i;
+const TRANSLATIONS_SUBDIR = "i18n";
+const TRANSLATION_FILE_RE = /^(.+)\.([a-z]{2})\.ya?ml$/i;
+
+// Fault `severity:` values, most urgent first; missing / unknown sorts after all of them
+const SEVERITIES = ["critical", "high", "medium", "low"];
+function severityRank(severity) {
+  const i = SEVERITIES.indexOf(String(severity || "").trim().toLowerCase());
+  return i === -1 ? SEVERITIES.length : i;
+}
+
+function normalizeFaultPack(obj) {
+  const faults = Array.isArray(obj) ? obj : Array.isArray(obj?.faults) ? obj.faults : [];
+  const fixed = faults.map((f, idx) => {
+    const title = f?.title || f?.name || f?.fault || `Fault ${idx + 1}`;
+    const id = String(f?.id || f?.code || f?.faultId || idx + 1);
+    return { ...f, id, title };
+  });
+  return { faults: fixed };
+}
+
+// image: autel/interlock_chain_points -> candidate files under assets/images (first match wins)
+function imageKeyCandidates(imageKey) {
+  const relBase = String(imageKey || "")
+    .trim()
+    .replace(/^\/+/, "");
+  if (!relBase) return [];
+  const hasExt = /\.[a-z0-9]+$/i.test(relBase);
+  return hasExt ? [relBase] : [`${relBase}.png`, `${relBase}.jpg`, `${relBase}.jpeg`, `${relBase}.webp`];
+}
+
+function titleFromId(id) {
+  return String(id)
+    .split(/[_\-\s]+/)
+    .filter(Boolean)
+    .map((w) => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+function normalizePackMeta(header, file) {
+  const h = header && typeof header === "object" && !Array.isArray(header) ? header : {};
+  const id = String(h.id || path.basename(file).replace(PACK_EXT_RE, ""))
+    .trim()
+    .toLowerCase();
+  const label = String(h.label || titleFromId(id));
+
+  const quick = h.quick_menu && typeof h.quick_menu === "object" ? h.quick_menu : null;
+  const quickItems = Array.isArray(quick?.items)
+    ? quick.items
+        .filter((it) => it && it.fault)
+        .map((it) => ({ label: String(it.label || it.fault), fault: String(it.fault) }))
+    : [];
+
+  const routes = {};
+  for (const [nodeId, faultId] of Object.entries(h.routes && typeof h.routes === "object" ? h.routes : {})) {
+    routes[String(nodeId).toUpperCase()] = String(faultId);
+  }
+
+  return {
+    id,
+    file,
+    label,
+    title: String(h.title || label),
+    emoji: String(h.emoji || "📦"),
+    order: Number.isFinite(Number(h.order)) ? Number(h.order) : 1000,
+    quickMenu: quickItems.length ? { prompt: String(quick.prompt || "Select the issue category:"), items: quickItems } : null,
+    routes,
+    menuNodeId: `__MENU_${id.toUpperCase()}__`,
+  };
+}
+
+/**
+ * Parse + validate one pack file. Throws on unreadable/unparseable YAML or a broken structure,
+ * so a bad save never replaces the last good version.
+ */
+function parsePackFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const obj = yaml.load(raw);
+  const problems = validatePackObject(obj);
+  if (problems.length) {
+    const err = new Error(`${problems.length} problem(s): ${problems.slice(0, 5).join("; ")}`);
+    err.problems = problems;
+    throw err;
+  }
+  return {
+    meta: normalizePackMeta(obj.pack, file),
+    ...normalizeFaultPack(obj),
+    version: crypto.createHash("sha1").update(raw).digest("hex").slice(0, 10),
+  };
+}
+
+// Structural checks only (enough to refuse a half-saved file); deep checks live in the pack linter
+function validatePackObject(obj) {
+  const problems = [];
+  if (!obj || typeof obj !== "object") return ["file is empty or not a YAML mapping"];
+  if (!Array.isArray(obj.faults)) return ["missing `faults:` list"];
+  if (!obj.faults.length) problems.push("`faults:` list is empty");
+
+  obj.faults.forEach((f, idx) => {
+    const where = `faults[${idx}]${f?.id ? ` (${f.id})` : ""}`;
+    if (!f || typeof f !== "object") return problems.push(`${where}: not a mapping`);
+    if (!f.id) problems.push(`${where}: missing id`);
+    const tree = f.decision_tree;
+    if (!tree) return;
+    if (!tree.nodes || typeof tree.nodes !== "object") return problems.push(`${where}: decision_tree.nodes missing`);
+    if (!tree.start_node || !tree.nodes[tree.start_node]) {
+      problems.push(`${where}: decision_tree.start_node "${tree.start_node || ""}" not in nodes`);
+    }
+    for (const [nodeId, node] of Object.entries(tree.nodes)) {
+      if (node?.options != null && !Array.isArray(node.options)) problems.push(`${where}: node ${nodeId} options must be a list`);
+    }
+  });
+  return problems;
+}
+
+/* ---------- translations ---------- */
+function parseTranslationFile(file) {
+  const m = path.basename(file).match(TRANSLATION_FILE_RE);
+  if (!m) throw new Error("name must be <pack>.<lang>.yml");
+  const raw = fs.readFileSync(file, "utf8");
+  const obj = yaml.load(raw) || {};
+  if (typeof obj !== "object" || Array.isArray(obj)) throw new Error("not a YAML mapping");
+  if (obj.faults != null && (typeof obj.faults !== "object" || Array.isArray(obj.faults))) {
+    throw new Error("`faults:` must be a map of fault id -> translated fields");
+  }
+  return {
+    pack: m[1].toLowerCase(),
+    lang: m[2].toLowerCase(),
+    file,
+    data: { pack: obj.pack || {}, faults: obj.faults || {} },
+    version: crypto.createHash("sha1").update(raw).digest("hex").slice(0, 10),
+  };
+}
+
+function localizeMeta(meta, tr) {
+  const p = tr?.pack;
+  if (!meta || !p) return meta;
+  const items = p.quick_menu?.items || {};
+  return {
+    ...meta,
+    label: p.label ? String(p.label) : meta.label,
+    title: p.title ? String(p.title) : p.label ? String(p.label) : meta.title,
+    quickMenu: meta.quickMenu && {
+      prompt: p.quick_menu?.prompt ? String(p.quick_menu.prompt) : meta.quickMenu.prompt,
+      items: meta.quickMenu.items.map((it) => (items[it.fault] ? { ...it, label: String(items[it.fault]) } : it)),
+    },
+  };
+}
+
+// Same structure (ids, next targets, images) with translated text laid over it
+function localizeFault(fault, tr) {
+  const f = tr?.faults?.[String(fault?.id)];
+  if (!f) return fault;
+  const out = { ...fault };
+  if (f.title) out.title = String(f.title);
+  if (f.description) out.description = String(f.description);
+  for (const key of ["safety_notes", "tools_required"]) {
+    if (Array.isArray(f[key]) && f[key].length) out[key] = f[key].map(String);
+  }
+  if (f.response?.telegram_markdown && fault.response) {
+    out.response = { ...fault.response, telegram_markdown: String(f.response.telegram_markdown) };
+  }
+  const nodes = fault.decision_tree?.nodes;
+  if (nodes && f.nodes) {
+    const localized = {};
+    for (const [id, node] of Object.entries(nodes)) {
+      const n = f.nodes[id];
+      if (!n) {
+        localized[id] = node;
+        continue;
+      }
+      const labels = Array.isArray(n.options) ? n.options : [];
+      localized[id] = {
+        ...node,
+        prompt: n.prompt ? String(n.prompt) : node.prompt,
+        options: Array.isArray(node.options)
+          ? node.options.map((o, i) => (labels[i] ? { ...o, label: String(labels[i]) } : o))
+          : node.options,
+      };
+    }
+    out.decision_tree = { ...fault.decision_tree, nodes: localized };
+  }
+  return out;
+}
+
+function sortPacks(list) {
+  return [...list].sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+}
+
+function faultFingerprint(fault) {
+  return crypto.createHash("sha1").update(JSON.stringify(fault)).digest("hex");
+}
+
+// Fault-level diff between two cached versions of the same pack
+function diffFaults(prevFaults, nextFaults) {
+  const prev = new Map((prevFaults || []).map((f) => [String(f.id), faultFingerprint(f)]));
+  const next = new Map((nextFaults || []).map((f) => [String(f.id), faultFingerprint(f)]));
+  const added = [...next.keys()].filter((id) => !prev.has(id));
+  const removed = [...prev.keys()].filter((id) => !next.has(id));
+  const changed = [...next.keys()].filter((id) => prev.has(id) && prev.get(id) !== next.get(id));
+  return { added, removed, changed };
+}
+
+/**
+ * Registry over a faults directory, parsed packs cached in memory.
+ * - list(lang)        -> pack metas, menu order
+ * - get(id, lang)     -> meta or null
+ * - load(id, lang)    -> { meta, faults, version } (empty faults for unknown packs)
+ *                        lang = sidecar translation laid over the English pack; version stays the English pack's
+ * - languages(id)     -> languages with a sidecar for this pack
+ * - byMenuNode(id)    -> meta for a __MENU_<ID>__ node, or null
+ * - byRouteNode(id)   -> { meta, faultId } for a __ROUTE_*__ node, or null
+ * - reload()          -> rescan + reparse; swaps in atomically, keeps last good version of any pack that fails
+ * - watch()           -> hot reload on file changes (debounced); returns a stop function
+ * - onReload(fn)      -> fn(result) after every reload that changed something
+ * - status()          -> per-pack version / load time / last error
+ */
+function createPackRegistry(dir, { debounceMs = 400 } = {}) {
+  let cache = new Map(); // id -> { meta, faults, version, loadedAt }
+  let errors = new Map(); // file -> { error, at }
+  let translations = new Map(); // "<pack>:<lang>" -> { pack, lang, file, data, version }
+  let localized = new Map(); // "<pack>:<lang>" -> load() result, rebuilt lazily after each reload
+  const listeners = [];
+  const translationsDir = path.join(dir, TRANSLATIONS_SUBDIR);
+
+  function listPackFiles() {
+    try {
+      return fs
+        .readdirSync(dir)
+        .filter((f) => PACK_EXT_RE.test(f))
+        .sort()
+        .map((f) => path.join(dir, f));
+    } catch (e) {
+      console.error(`❌ Fault pack directory unreadable: ${dir}`, e?.message || e);
+      return null;
+    }
+  }
+
+  function listTranslationFiles() {
+    try {
+      if (!fs.existsSync(translationsDir)) return [];
+      return fs
+        .readdirSync(translationsDir)
+        .filter((f) => PACK_EXT_RE.test(f))
+        .sort()
+        .map((f) => path.join(translationsDir, f));
+    } catch (e) {
+      console.error(`❌ Translations directory unreadable: ${translationsDir}`, e?.message || e);
+      return [];
+    }
+  }
+
+  // Sidecars load independently: a broken one keeps its last good version, an orphan is reported
+  function reloadTranslations(result, packIds) {
+    const next = new Map();
+    const prevByFile = new Map([...translations.values()].map((t) => [t.file, t]));
+    for (const file of listTranslationFiles()) {
+      let parsed;
+      try {
+        parsed = parseTranslationFile(file);
+      } catch (e) {
+        const prev = prevByFile.get(file);
+        result.errors.push({ file, error: String(e?.message || e).split("\n")[0], keptVersion: prev?.version || null });
+        if (prev) next.set(`${prev.pack}:${prev.lang}`, prev);
+        continue;
+      }
+      if (!packIds.has(parsed.pack)) {
+        result.errors.push({ file, error: `translation for unknown pack "${parsed.pack}"`, keptVersion: null });
+        continue;
+      }
+      const key = `${parsed.pack}:${parsed.lang}`;
+      const prev = translations.get(key);
+      if (!prev || prev.version !== parsed.version) result.translations.push({ pack: parsed.pack, lang: parsed.lang, version: parsed.version });
+      next.set(key, parsed);
+    }
+    for (const [key, t] of translations) {
+      if (!next.has(key)) result.translations.push({ pack: t.pack, lang: t.lang, removed: true });
+    }
+    translations = next;
+  }
+
+  function reload() {
+    const files = listPackFiles();
+    const result = {
+      ok: true,
+      added: [],
+      removed: [],
+      changed: [],
+      unchanged: [],
+      translations: [],
+      errors: [],
+      at: new Date().toISOString(),
+    };
+    if (!files) {
+      result.ok = false;
+      result.errors.push({ file: dir, error: "directory unreadable (kept previous packs)" });
+      return result;
+    }
+
+    const next = new Map();
+    const nextErrors = new Map();
+    const prevByFile = new Map([...cache.values()].map((p) => [p.meta.file, p]));
+
+    for (const file of files) {
+      let parsed;
+      try {
+        parsed = parsePackFile(file);
+      } catch (e) {
+        const error = String(e?.message || e).split("\n")[0];
+        nextErrors.set(file, { error, at: result.at });
+        result.errors.push({ file, error, keptVersion: prevByFile.get(file)?.version || null });
+        const prev = prevByFile.get(file);
+        if (prev && !next.has(prev.meta.id)) next.set(prev.meta.id, prev);
+        continue;
+      }
+
+      const { meta } = parsed;
+      if (next.has(meta.id)) {
+        const error = `duplicate pack id "${meta.id}" (already defined by ${next.get(meta.id).meta.file})`;
+        nextErrors.set(file, { error, at: result.at });
+        result.errors.push({ file, error, keptVersion: null });
+        continue;
+      }
+
+      const prev = cache.get(meta.id);
+      if (prev && prev.version === parsed.version) {
+        next.set(meta.id, prev);
+        result.unchanged.push(meta.id);
+        continue;
+      }
+
+      next.set(meta.id, { ...parsed, loadedAt: result.at });
+      if (!prev) result.added.push({ pack: meta.id, version: parsed.version, faults: parsed.faults.length });
+      else {
+        result.changed.push({
+          pack: meta.id,
+          from: prev.version,
+          to: parsed.version,
+          faults: diffFaults(prev.faults, parsed.faults),
+        });
+      }
+    }
+
+    for (const id of cache.keys()) {
+      if (!next.has(id)) result.removed.push(id);
+    }
+
+    // ✅ atomic swap: readers see either the old set or the new set, never a half-built one
+    cache = next;
+    errors = nextErrors;
+    reloadTranslations(result, new Set(next.keys()));
+    localized = new Map();
+    result.ok = !result.errors.length;
+
+    if (result.added.length || result.removed.length || result.changed.length || result.translations.length || result.errors.length) {
+      for (const fn of listeners) {
+        try {
+          fn(result);
+        } catch (e) {
+          console.error("❌ Pack reload listener failed:", e?.message || e);
+        }
+      }
+    }
+    return result;
+  }
+
+  function watch() {
+    let timer = null;
+    const watchers = [];
+    const onChange = (_event, filename) => {
+      if (filename && !PACK_EXT_RE.test(String(filename))) return;
+      clearTimeout(timer);
+      timer = setTimeout(reload, debounceMs);
+    };
+    for (const d of [dir, translationsDir]) {
+      if (d === translationsDir && !fs.existsSync(d)) continue;
+      try {
+        const watcher = fs.watch(d, onChange);
+        watcher.on("error", (e) => console.error("❌ Pack watcher error:", e?.message || e));
+        watchers.push(watcher);
+      } catch (e) {
+        console.error(`❌ Pack hot reload unavailable for ${d}:`, e?.message || e);
+      }
+    }
+    return () => {
+      clearTimeout(timer);
+      for (const w of watchers) w.close();
+    };
+  }
+
+  function onReload(fn) {
+    listeners.push(fn);
+  }
+
+  function list(lang) {
+    return sortPacks([...cache.values()].map((p) => p.meta)).map((meta) => (lang ? get(meta.id, lang) : meta));
+  }
+
+  function get(id, lang) {
+    const meta = cache.get(String(id || "").toLowerCase())?.meta || null;
+    if (!meta || !lang) return meta;
+    return localizeMeta(meta, translations.get(`${meta.id}:${lang}`)?.data);
+  }
+
+  function load(id, lang) {
+    const entry = cache.get(String(id || "").toLowerCase());
+    if (!entry) return { meta: null, faults: [], version: null };
+    const tr = lang ? translations.get(`${entry.meta.id}:${lang}`) : null;
+    if (!tr) return { meta: entry.meta, faults: entry.faults, version: entry.version };
+
+    const key = `${entry.meta.id}:${tr.lang}`;
+    if (!localized.has(key)) {
+      localized.set(key, {
+        meta: localizeMeta(entry.meta, tr.data),
+        faults: entry.faults.map((f) => localizeFault(f, tr.data)),
+        version: entry.version,
+        lang: tr.lang,
+      });
+    }
+    return localized.get(key);
+  }
+
+  function languages(id) {
+    const packId = String(id || "").toLowerCase();
+    return [...translations.values()].filter((t) => t.pack === packId).map((t) => t.lang).sort();
+  }
+
+  function status() {
+    return {
+      dir,
+      packs: list().map((m) => {
+        const entry = cache.get(m.id);
+        return {
+          id: m.id,
+          file: m.file,
+          version: entry.version,
+          loadedAt: entry.loadedAt,
+          faults: entry.faults.length,
+          languages: languages(m.id),
+          lastError: errors.get(m.file)?.error || null,
+        };
+      }),
+      errors: [...errors.entries()].map(([file, e]) => ({ file, ...e })),
+    };
+  }
+
+  function byMenuNode(nodeId) {
+    const id = String(nodeId || "").toUpperCase();
+    return list().find((m) => m.menuNodeId === id) || null;
+  }
+
+  function byRouteNode(nodeId) {
+    const id = String(nodeId || "").toUpperCase();
+    for (const meta of list()) {
+      if (meta.routes[id]) return { meta, faultId: meta.routes[id] };
+    }
+    return null;
+  }
+
+  const boot = reload();
+  for (const e of boot.errors) console.error(`❌ Pack failed to load: ${e.file} — ${e.error}`);
+
+  return { dir, reload, watch, onReload, status, list, get, load, languages, byMenuNode, byRouteNode };
+}
+
+// Short human summary of a reload() result (bot replies + logs)
+function formatReloadSummary(result) {
+  const lines = [];
+  for (const a of result.added) lines.push(`➕ ${a.pack} added (${a.faults} faults, v${a.version})`);
+  for (const c of result.changed) {
+    const parts = [];
+    if (c.faults.added.length) parts.push(`+${c.faults.added.length} faults`);
+    if (c.faults.removed.length) parts.push(`-${c.faults.removed.length} faults`);
+    if (c.faults.changed.length) parts.push(`${c.faults.changed.length} edited`);
+    lines.push(`✏️ ${c.pack} v${c.from} → v${c.to}${parts.length ? ` (${parts.join(", ")})` : ""}`);
+  }
+  for (const id of result.removed) lines.push(`➖ ${id} removed`);
+  for (const t of result.translations || []) {
+    lines.push(`🌐 ${t.pack}.${t.lang} ${t.removed ? "translation removed" : `translation v${t.version}`}`);
+  }
+  for (const e of result.errors) {
+    lines.push(`❌ ${path.basename(e.file)}: ${e.error}${e.keptVersion ? ` (kept v${e.keptVersion})` : ""}`);
+  }
+  if (!lines.length) lines.push("No changes.");
+  return lines.join("\n");
+}
+
+module.exports = {
+  SEVERITIES,
+  severityRank,
+  imageKeyCandidates,
+  normalizeFaultPack,
+  normalizePackMeta,
+  parsePackFile,
+  parseTranslationFile,
+  localizeMeta,
+  localizeFault,
+  validatePackObject,
+  diffFaults,
+  createPackRegistry,
+  formatReloadSummary,
+};
@@ -0,0 +1,237 @@
+/**
+ * Service report → branded PDF (pdfkit, runs in-process: no headless browser)
+ * - Header band (brand + report ID/date), field table, actions, outcome, notes, photos with captions
+ * - Built-in Helvetica only covers WinAnsi; set REPORT_PDF_FONT to a .ttf for full Unicode
+ */
+
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+
+const PAGE_MARGIN = 48;
+
+// Characters the built-in fonts can't draw → closest WinAnsi equivalent
+const WINANSI_REPLACEMENTS = [
+  [/[→⇒➜]/g, "->"],
+  [/[←⇐]/g, "<-"],
+  [/[≥]/g, ">="],
+  [/[≤]/g, "<="],
+  [/[✓✔☑]/g, "[x]"],
+  [/[⬜☐]/g, "[ ]"],
+  [/[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\uFE0F\u200D]/gu, ""],
+];
+
+function toWinAnsi(s) {
+  let v = String(s ?? "");
+  for (const [re, rep] of WINANSI_REPLACEMENTS) v = v.replace(re, rep);
+  // Latin-1 plus the WinAnsi extras (smart quotes, dashes, bullet, ellipsis, euro, trademark)
+  return v.replace(/[^\n\t\x20-\x7E\xA0-\xFF‘’“”–—•…€™]/g, "?").trim();
+}
+
+// Pre-start checklist acknowledgement (dt:ack) -> "Confirmed 2026-05-04 09:12 UTC by Sam (3 safety notes, 1 tool)"
+function safetyCheckSummary(check) {
+  const at = String(check?.at || "").replace("T", " ").slice(0, 16);
+  const who = check?.by || (check?.userId != null ? `user ${check.userId}` : "");
+  const count = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  const items = [
+    check?.safety?.length ? count(check.safety.length, "safety note") : "",
+    check?.tools?.length ? count(check.tools.length, "tool") : "",
+  ].filter(Boolean);
+  return `Confirmed ${at} UTC` + (who ? ` by ${who}` : "") + (items.length ? ` (${items.join(", ")})` : "");
+}
+
+function collect(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+}
+
+/**
+ * renderReportPdf(record, opts) -> Promise<Buffer>
+ * record: { id, createdAt, data: { site, chargerIdPublic, ..., actions, resolution, notes, photos } }
+ * opts: { brandName, brandColor, logoPath, fontPath, loadPhoto(photo) -> Buffer|null }
+ */
+async function renderReportPdf(record, opts = {}) {
+  const {
+    brandName = "EVBot",
+    brandColor = "#0B6E4F",
+    logoPath = "",
+    fontPath = "",
+    loadPhoto = () => null,
+  } = opts;
+
+  const unicode = !!(fontPath && fs.existsSync(fontPath));
+  const clean = unicode ? (s) => String(s ?? "").trim() : toWinAnsi;
+  const data = record?.data || {};
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: { Title: `Service Report ${record?.id || ""}`.trim(), Author: brandName, Creator: "EVBot" },
+  });
+  const done = collect(doc);
+
+  if (unicode) {
+    doc.registerFont("body", fontPath);
+    doc.registerFont("bold", fontPath);
+  } else {
+    doc.registerFont("body", "Helvetica");
+    doc.registerFont("bold", "Helvetica-Bold");
+  }
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const created = record?.createdAt ? new Date(record.createdAt) : new Date();
+
+  /* ---------- header band ---------- */
+  doc.rect(0, 0, doc.page.width, 86).fill(brandColor);
+  let titleX = PAGE_MARGIN;
+  if (logoPath && fs.existsSync(logoPath)) {
+    try {
+      doc.image(logoPath, PAGE_MARGIN, 20, { fit: [46, 46] });
+      titleX += 58;
+    } catch (_) {}
+  }
+  doc.fillColor("#FFFFFF").font("bold").fontSize(20).text(clean(brandName), titleX, 24, { width: width / 2 });
+  doc.font("body").fontSize(11).text("Service Report", titleX, 50);
+  doc
+    .fontSize(9)
+    .text(`Report ${clean(record?.id || "")}`, PAGE_MARGIN, 30, { width, align: "right" })
+    .text(created.toISOString().replace("T", " ").slice(0, 16) + " UTC", PAGE_MARGIN, 44, { width, align: "right" });
+
+  doc.fillColor("#000000");
+  doc.y = 110;
+
+  const section = (title) => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 80) doc.addPage();
+    doc.moveDown(0.8);
+    doc.font("bold").fontSize(12).fillColor(brandColor).text(clean(title), PAGE_MARGIN, doc.y, { width });
+    const y = doc.y + 2;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + width, y).lineWidth(0.7).strokeColor(brandColor).stroke();
+    doc.moveDown(0.5);
+    doc.fillColor("#000000").font("body").fontSize(10);
+  };
+
+  /* ---------- field table ---------- */
+  const fields = [
+    ["Site", data.site],
+    ["Charger ID (public / billing)", data.chargerIdPublic],
+    ["Charger Serial Number (S/N)", data.chargerSerialNumber],
+    ["Asset ID (internal)", data.assetId],
+    ["Technician", data.technician],
+    ["Client reference / ticket #", data.clientRef],
+    ["Manufacturer", String(data.manufacturer || "").toUpperCase()],
+    ["Fault", data.faultTitle],
+    ["Fault summary", data.faultSummary],
+    ["Safety checklist", data.safetyCheck ? safetyCheckSummary(data.safetyCheck) : ""],
+  ].filter(([, v]) => String(v || "").trim());
+
+  section("Details");
+  const labelW = 170;
+  fields.forEach(([label, value], idx) => {
+    const text = clean(value);
+    const h = Math.max(doc.font("body").fontSize(10).heightOfString(text, { width: width - labelW - 12 }), 12) + 8;
+    if (doc.y + h > doc.page.height - PAGE_MARGIN) doc.addPage();
+    const y = doc.y;
+    if (idx % 2 === 0) doc.rect(PAGE_MARGIN, y, width, h).fill("#F2F5F4");
+    doc.fillColor("#444444").font("bold").fontSize(9).text(clean(label), PAGE_MARGIN + 6, y + 4, { width: labelW - 6 });
+    doc.fillColor("#000000").font("body").fontSize(10).text(text, PAGE_MARGIN + labelW + 6, y + 4, { width: width - labelW - 12 });
+    doc.y = y + h;
+  });
+
+  /* ---------- actions ---------- */
+  section("Actions Taken");
+  const actions = (Array.isArray(data.actions) ? data.actions : []).map(clean).filter(Boolean);
+  if (!actions.length) doc.text("(none recorded)", PAGE_MARGIN, doc.y, { width });
+  actions.forEach((a) => doc.text(`•  ${a}`, PAGE_MARGIN + 6, doc.y, { width: width - 6, paragraphGap: 3 }));
+
+  /* ---------- outcome ---------- */
+  section("Status / Outcome");
+  const outcome = clean(data.resolution) || "(not stated)";
+  const oh = doc.font("bold").fontSize(11).heightOfString(outcome, { width: width - 20 }) + 14;
+  const oy = doc.y;
+  doc.rect(PAGE_MARGIN, oy, width, oh).lineWidth(1).strokeColor(brandColor).stroke();
+  doc.fillColor("#000000").text(outcome, PAGE_MARGIN + 10, oy + 7, { width: width - 20 });
+  doc.y = oy + oh;
+  doc.font("body").fontSize(10);
+
+  /* ---------- notes ---------- */
+  if (String(data.notes || "").trim()) {
+    section("Notes");
+    doc.text(clean(data.notes), PAGE_MARGIN, doc.y, { width });
+  }
+
+  /* ---------- photos ---------- */
+  const photos = Array.isArray(data.photos) ? data.photos : [];
+  if (photos.length) {
+    section(`Photos (${photos.length})`);
+    const gap = 14;
+    const cellW = (width - gap) / 2;
+    const imgH = 180;
+    const cellH = imgH + 34;
+    let col = 0;
+    let rowY = doc.y;
+
+    for (let i = 0; i < photos.length; i++) {
+      if (col === 0 && rowY + cellH > doc.page.height - PAGE_MARGIN) {
+        doc.addPage();
+        rowY = PAGE_MARGIN;
+      }
+      const x = PAGE_MARGIN + col * (cellW + gap);
+      let buf = null;
+      try {
+        buf = await loadPhoto(photos[i], i);
+      } catch (_) {}
+
+      if (buf) {
+        try {
+          doc.image(buf, x, rowY, { fit: [cellW, imgH], align: "center", valign: "center" });
+        } catch (_) {
+          buf = null;
+        }
+      }
+      if (!buf) {
+        doc.rect(x, rowY, cellW, imgH).fill("#EEEEEE");
+        doc.fillColor("#777777").fontSize(9).text("Photo unavailable", x, rowY + imgH / 2 - 5, { width: cellW, align: "center" });
+      }
+      doc
+        .fillColor("#333333")
+        .font("body")
+        .fontSize(9)
+        .text(`Photo ${i + 1}${photos[i].caption ? ` – ${clean(photos[i].caption)}` : ""}`, x, rowY + imgH + 4, {
+          width: cellW,
+          height: cellH - imgH - 6,
+          ellipsis: true,
+        });
+
+      col = (col + 1) % 2;
+      if (col === 0) rowY += cellH;
+    }
+    doc.y = col === 0 ? rowY : rowY + cellH;
+  }
+
+  /* ---------- footer (page x of y) ---------- */
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .fillColor("#888888")
+      .font("body")
+      .fontSize(8)
+      .text(`${clean(brandName)} · Report ${clean(record?.id || "")} · Page ${i + 1} of ${range.count}`, PAGE_MARGIN, doc.page.height - 30, {
+        width,
+        align: "center",
+        lineBreak: false,
+      });
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = { renderReportPdf, safetyCheckSummary, toWinAnsi };
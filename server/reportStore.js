@@ -0,0 +1,96 @@
+/**
+ * Completed report store (file-backed)
+ * - One folder per report: <dir>/<id>/report.json + downloaded photos (photo-1.jpg, ...)
+ * - Photos are copied out of Telegram at completion time, so PDFs can be rebuilt later
+ *   without the bot (Telegram file links expire)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ID_RE = /^[a-z0-9-]{6,64}$/;
+
+function newReportId(now = new Date()) {
+  const day = now.toISOString().slice(0, 10).replace(/-/g, "");
+  return `r${day}-${crypto.randomBytes(5).toString("hex")}`;
+}
+
+function createReportStore(dir) {
+  function folder(id) {
+    if (!ID_RE.test(String(id || ""))) return null;
+    return path.join(dir, String(id));
+  }
+
+  function writeRecord(record) {
+    const f = folder(record.id);
+    fs.mkdirSync(f, { recursive: true });
+    const tmp = path.join(f, `report.json.${process.pid}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2));
+    fs.renameSync(tmp, path.join(f, "report.json"));
+    return record;
+  }
+
+  // data = reportState.data at Confirm time
+  function create({ data, chatId, userId = null }) {
+    const record = {
+      id: newReportId(),
+      createdAt: new Date().toISOString(),
+      chatId,
+      userId,
+      data: { ...data, photos: (data.photos || []).map((p) => ({ file_id: p.file_id, caption: p.caption || "", file: null })) },
+    };
+    return writeRecord(record);
+  }
+
+  function get(id) {
+    const f = folder(id);
+    if (!f) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(f, "report.json"), "utf8"));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function update(id, patch) {
+    const cur = get(id);
+    if (!cur) return null;
+    return writeRecord({ ...cur, ...patch, data: { ...cur.data, ...(patch.data || {}) } });
+  }
+
+  function list({ limit = 50 } = {}) {
+    let ids = [];
+    try {
+      ids = fs.readdirSync(dir).filter((d) => ID_RE.test(d));
+    } catch (_) {
+      return [];
+    }
+    return ids
+      .map(get)
+      .filter(Boolean)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+
+  // Save photo bytes next to the report and remember the file name on the record
+  function savePhoto(id, index, buffer, ext = "jpg") {
+    const cur = get(id);
+    const f = folder(id);
+    if (!cur || !f || !cur.data.photos[index]) return null;
+    const name = `photo-${index + 1}.${String(ext).replace(/[^a-z0-9]/gi, "") || "jpg"}`;
+    fs.writeFileSync(path.join(f, name), buffer);
+    const photos = cur.data.photos.map((p, i) => (i === index ? { ...p, file: name } : p));
+    return update(id, { data: { photos } });
+  }
+
+  function photoPath(id, file) {
+    const f = folder(id);
+    if (!f || !file || file !== path.basename(file)) return null;
+    return path.join(f, file);
+  }
+
+  return { dir, create, get, update, list, savePhoto, photoPath };
+}
+
+module.exports = { createReportStore, newReportId };
@@ -0,0 +1,237 @@
+/**
+ * Free-text fault search (YAML aliases + triggers)
+ * - Scores every fault across all packs against what the tech typed
+ * - Weighs title > aliases > triggers.any_text_contains > tags
+ * - Case/punctuation insensitive ("RT_PMC_UNAVAILABLE" == "rt pmc unavailable")
+ * - Tolerates small typos (edit distance 1–2 depending on word length)
+ *
+ * Exact error-code index (/code)
+ * - Collects code-like tokens (RT_PMC_UNAVAILABLE, NO_HEARTBEAT, E-1023…) from aliases, triggers and optional `codes:`
+ * - Keyed loosely ("rt pmc unavailable" / "rt-pmc-unavailable" find the same code)
+ */
+
+const FIELD_WEIGHTS = {
+  title: 5,
+  aliases: 4,
+  triggers: 3,
+  tags: 2,
+};
+
+// Results scoring below this fraction of the best hit are dropped
+const MIN_RELATIVE_SCORE = 0.25;
+
+// Words that carry no meaning on their own (kept tiny on purpose: "no"/"not" matter here)
+const STOPWORDS = new Set(["a", "an", "the", "is", "it", "on", "of", "to", "and", "my", "i", "at", "in"]);
+
+function normalizeText(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[’']/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function tokenize(s) {
+  return normalizeText(s)
+    .split(" ")
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+// Classic Levenshtein with an early exit once the distance can't stay under `max`
+function editDistance(a, b, max = 2) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function typoBudget(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+// 1 = exact, 0.8 = prefix, 0.6 = typo, 0 = no match
+function tokenMatchScore(q, t) {
+  if (q === t) return 1;
+  if (q.length >= 3 && t.startsWith(q)) return 0.8;
+  const budget = typoBudget(q);
+  if (budget && editDistance(q, t, budget) <= budget) return 0.6;
+  return 0;
+}
+
+function faultFields(fault) {
+  const list = (v) => (Array.isArray(v) ? v.map(String) : []);
+  return {
+    title: [String(fault?.title || "")],
+    aliases: list(fault?.aliases),
+    triggers: list(fault?.triggers?.any_text_contains),
+    tags: list(fault?.tags),
+  };
+}
+
+/**
+ * Build a searchable entry per fault (normalized phrases + token sets per field).
+ * packs: [{ pack, faults: [...] }]
+ */
+function buildSearchIndex(packs) {
+  const entries = [];
+  for (const { pack, faults } of packs || []) {
+    for (const fault of faults || []) {
+      const fields = {};
+      for (const [name, values] of Object.entries(faultFields(fault))) {
+        const phrases = [...new Set(values.map(normalizeText).filter(Boolean))];
+        const tokens = [...new Set(phrases.flatMap((p) => p.split(" ")))];
+        fields[name] = { phrases, tokens };
+      }
+      entries.push({ pack, id: String(fault.id), title: String(fault.title || fault.id), fields });
+    }
+  }
+  return entries;
+}
+
+function scoreEntry(entry, qNorm, qTokens) {
+  let score = 0;
+  let matched = 0;
+
+  for (const q of qTokens) {
+    let best = 0;
+    for (const [name, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const t of entry.fields[name].tokens) {
+        const s = tokenMatchScore(q, t) * weight;
+        if (s > best) best = s;
+      }
+    }
+    if (best > 0) matched++;
+    score += best;
+  }
+
+  // Phrase bonus: query contains a trigger/alias ("any_text_contains") or a field contains the whole query
+  for (const [name, weight] of Object.entries(FIELD_WEIGHTS)) {
+    for (const phrase of entry.fields[name].phrases) {
+      if (phrase === qNorm) {
+        score += weight * 3;
+        break;
+      }
+      const wrapped = ` ${qNorm} `;
+      if (phrase.length >= 3 && wrapped.includes(` ${phrase} `)) {
+        score += weight * 2;
+        break;
+      }
+      if (qNorm.length >= 3 && ` ${phrase} `.includes(wrapped)) {
+        score += weight;
+        break;
+      }
+    }
+  }
+
+  return { score, matched };
+}
+
+/**
+ * Rank faults for a free-text query.
+ * Returns [{ pack, id, title, score }] best-first (empty array = nothing matched).
+ */
+function searchFaults(index, query, { limit = 8 } = {}) {
+  const qNorm = normalizeText(query);
+  const qTokens = [...new Set(tokenize(query))];
+  if (!qTokens.length) return [];
+
+  // Multi-word queries must hit at least half of their words
+  const minMatched = Math.max(1, Math.ceil(qTokens.length / 2));
+
+  const results = [];
+  for (const entry of index || []) {
+    const { score, matched } = scoreEntry(entry, qNorm, qTokens);
+    if (matched < minMatched || score <= 0) continue;
+    results.push({ pack: entry.pack, id: entry.id, title: entry.title, score: Math.round(score * 10) / 10 });
+  }
+
+  results.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+
+  // Drop the long tail of weak hits (e.g. a lone "no" matching "No Display")
+  const floor = results.length ? results[0].score * MIN_RELATIVE_SCORE : 0;
+  return results.filter((r) => r.score >= floor).slice(0, limit);
+}
+
+/* =========================
+   ERROR CODES
+   ========================= */
+
+// UPPER_SNAKE firmware codes, or short prefix + digits (E1023, ERR-42, F07A)
+const CODE_RE = /\b(?:[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+|[A-Z]{1,4}-?\d{2,}[A-Z0-9]*)\b/g;
+
+function codeKey(code) {
+  return String(code ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+// A bare lower-case value ("rt_pmc_unavailable") counts too; embedded codes must be written in capitals
+function extractCodes(fault) {
+  const values = [
+    ...(Array.isArray(fault?.aliases) ? fault.aliases : []),
+    ...(Array.isArray(fault?.triggers?.any_text_contains) ? fault.triggers.any_text_contains : []),
+  ].map((v) => String(v).trim());
+
+  const found = new Set((Array.isArray(fault?.codes) ? fault.codes : []).map((c) => String(c).trim().toUpperCase()));
+  for (const v of values) {
+    const whole = v.toUpperCase();
+    if (/^[A-Z0-9_-]+$/.test(whole) && (whole.match(CODE_RE) || [])[0] === whole) found.add(whole);
+    for (const m of v.match(CODE_RE) || []) found.add(m);
+  }
+  return [...found].filter(Boolean);
+}
+
+/**
+ * Map of codeKey -> { code, faults: [{ pack, id, title }] }
+ * packs: [{ pack, faults: [...] }]
+ */
+function buildCodeIndex(packs) {
+  const index = new Map();
+  for (const { pack, faults } of packs || []) {
+    for (const fault of faults || []) {
+      for (const code of extractCodes(fault)) {
+        const key = codeKey(code);
+        if (!key) continue;
+        const cur = index.get(key) || { code, faults: [] };
+        if (!cur.faults.some((f) => f.pack === pack && f.id === String(fault.id))) {
+          cur.faults.push({ pack, id: String(fault.id), title: String(fault.title || fault.id) });
+        }
+        index.set(key, cur);
+      }
+    }
+  }
+  return index;
+}
+
+function lookupCode(index, code) {
+  const key = codeKey(code);
+  return (key && index?.get(key)) || null;
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  editDistance,
+  buildSearchIndex,
+  searchFaults,
+  codeKey,
+  extractCodes,
+  buildCodeIndex,
+  lookupCode,
+};
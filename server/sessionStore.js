@@ -0,0 +1,155 @@
+/**
+ * Session store (troubleshooting + report state that survives restarts)
+ * - Backends:
+ *    memory = plain Maps (dev; everything is lost on restart, like before)
+ *    file   = same Maps, persisted to one JSON file (debounced, atomic tmp+rename write)
+ * - Every entry carries updatedAt; entries older than the TTL are treated as gone and swept
+ * - Namespaces can cap entries per group (e.g. DT message bindings per chat) — oldest evicted first
+ *
+ * Namespaces are Map-like and synchronous (get / set / delete / has), so callers keep their Map code.
+ */
+
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+/**
+ * createSessionStore({ backend, file, ttlMs, flushDelayMs, sweepEveryMs })
+ * -> { namespace(name, opts), flush(), flushSync(), sweep(), stats(), close() }
+ */
+function createSessionStore({
+  backend = "file",
+  file = "",
+  ttlMs = 72 * 60 * 60 * 1000,
+  flushDelayMs = 500,
+  sweepEveryMs = 10 * 60 * 1000,
+} = {}) {
+  const persistent = backend === "file" && !!file;
+  const data = new Map(); // namespace -> Map(key -> { v, t })
+  const options = new Map(); // namespace -> { maxPerGroup, groupOf }
+  let flushTimer = null;
+  let dirty = false;
+
+  if (persistent) {
+    const raw = readJsonFile(file, {}, "Session file");
+    for (const [ns, entries] of Object.entries(raw.namespaces || {})) {
+      data.set(ns, new Map(Object.entries(entries || {})));
+    }
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return !entry || (ttlMs > 0 && now - Number(entry.t || 0) > ttlMs);
+  }
+
+  function snapshot() {
+    const namespaces = {};
+    for (const [ns, map] of data) namespaces[ns] = Object.fromEntries(map);
+    return { savedAt: new Date().toISOString(), namespaces };
+  }
+
+  function flushSync() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!persistent || !dirty) return;
+    dirty = !writeJsonFile(file, snapshot(), "Session file", { space: 0 });
+  }
+
+  function scheduleFlush() {
+    if (!persistent) return;
+    dirty = true;
+    if (flushTimer) return;
+    flushTimer = setTimeout(flushSync, flushDelayMs);
+    if (flushTimer.unref) flushTimer.unref();
+  }
+
+  function bucket(ns) {
+    if (!data.has(ns)) data.set(ns, new Map());
+    return data.get(ns);
+  }
+
+  // Keep at most `maxPerGroup` entries per group; evict least recently updated
+  function enforceCap(ns, key) {
+    const { maxPerGroup, groupOf } = options.get(ns) || {};
+    if (!maxPerGroup || !groupOf) return;
+    const map = bucket(ns);
+    const group = groupOf(key);
+    const members = [...map.entries()].filter(([k]) => groupOf(k) === group);
+    if (members.length <= maxPerGroup) return;
+    members
+      .sort((a, b) => Number(a[1].t || 0) - Number(b[1].t || 0))
+      .slice(0, members.length - maxPerGroup)
+      .forEach(([k]) => map.delete(k));
+  }
+
+  function namespace(name, { maxPerGroup = 0, groupOf = null } = {}) {
+    options.set(name, { maxPerGroup, groupOf });
+    const map = bucket(name);
+
+    return {
+      get(key) {
+        const k = String(key);
+        const entry = map.get(k);
+        if (!entry) return undefined;
+        if (isExpired(entry)) {
+          map.delete(k);
+          scheduleFlush();
+          return undefined;
+        }
+        return entry.v;
+      },
+      set(key, value) {
+        const k = String(key);
+        map.set(k, { v: value, t: Date.now() });
+        enforceCap(name, k);
+        scheduleFlush();
+        return this;
+      },
+      has(key) {
+        return this.get(key) !== undefined;
+      },
+      delete(key) {
+        const had = map.delete(String(key));
+        if (had) scheduleFlush();
+        return had;
+      },
+      get size() {
+        return map.size;
+      },
+    };
+  }
+
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const map of data.values()) {
+      for (const [k, entry] of map) {
+        if (isExpired(entry, now)) {
+          map.delete(k);
+          removed++;
+        }
+      }
+    }
+    if (removed) scheduleFlush();
+    return removed;
+  }
+
+  const sweepTimer = sweepEveryMs > 0 ? setInterval(sweep, sweepEveryMs) : null;
+  if (sweepTimer?.unref) sweepTimer.unref();
+  sweep();
+
+  function stats() {
+    return {
+      backend: persistent ? "file" : "memory",
+      file: persistent ? file : null,
+      ttlMs,
+      namespaces: Object.fromEntries([...data].map(([ns, map]) => [ns, map.size])),
+    };
+  }
+
+  function close() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    flushSync();
+  }
+
+  return { namespace, flush: scheduleFlush, flushSync, sweep, stats, close };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,74 @@
+/**
+ * Telegram media helpers for decision-node images
+ * - file_id cache: each local image is uploaded once, later sends reuse Telegram's file_id
+ *   (keyed by path + size + mtime, so replacing an image re-uploads it)
+ * - fitCaption: photo captions are capped at 1024 chars (vs 4096 for text)
+ */
+
+const fs = require("fs");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const TELEGRAM_CAPTION_MAX = 1024;
+
+function createFileIdCache(file) {
+  const ids = readJsonFile(file, {}, "File-id cache");
+
+  function save() {
+    writeJsonFile(file, ids, "File-id cache");
+  }
+
+  // rel = path under the images dir, full = absolute path
+  function keyFor(rel, full) {
+    try {
+      const st = fs.statSync(full);
+      return `${rel}:${st.size}:${Math.round(st.mtimeMs)}`;
+    } catch (_) {
+      return "";
+    }
+  }
+
+  return {
+    keyFor,
+    get: (key) => (key && ids[key]) || null,
+    set(key, fileId) {
+      if (!key || !fileId || ids[key] === fileId) return;
+      ids[key] = fileId;
+      save();
+    },
+    delete(key) {
+      if (!key || !ids[key]) return;
+      delete ids[key];
+      save();
+    },
+    size: () => Object.keys(ids).length,
+  };
+}
+
+// Drop a dangling Markdown marker so a cut caption still parses
+function balanceMarkdown(s) {
+  let out = s;
+  for (const ch of ["*", "_", "`"]) {
+    const count = out.split(ch).length - 1;
+    if (count % 2) {
+      const i = out.lastIndexOf(ch);
+      out = out.slice(0, i) + out.slice(i + 1);
+    }
+  }
+  return out;
+}
+
+/**
+ * fitCaption(text, limit) -> { caption, truncated }
+ * Cuts at the last line break (or space) that fits, then adds "…".
+ */
+function fitCaption(text, limit = TELEGRAM_CAPTION_MAX) {
+  const s = String(text || "");
+  if (s.length <= limit) return { caption: s, truncated: false };
+  const room = limit - 2;
+  let cut = s.lastIndexOf("\n", room);
+  if (cut < room / 2) cut = s.lastIndexOf(" ", room);
+  if (cut < room / 2) cut = room;
+  return { caption: balanceMarkdown(s.slice(0, cut).trimEnd()) + "\n…", truncated: true };
+}
+
+module.exports = { TELEGRAM_CAPTION_MAX, createFileIdCache, fitCaption };
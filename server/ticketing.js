@@ -0,0 +1,226 @@
+/**
+ * Ticketing connectors (service tickets from reports + escalations)
+ * - createTicketingConnector({ type, ... }) -> { enabled, type, isKey, upsert, attach }
+ * - upsert({ key, ticket }) -> { key, url, created }: `key` set = add to that ticket, otherwise create one
+ * - attach(key, files) -> { attached, errors }: files = [{ name, contentType, data: Buffer }] (multipart, one per request)
+ * - type "rest": any JSON API, described by a field-mapping template (YAML / JSON, defaults to DEFAULT_REST_TEMPLATE)
+ *     {{path.to.value}} placeholders are filled from the ticket; a value that is only a placeholder keeps its type
+ *     (arrays / numbers / null), anything else is string interpolation. Placeholders in `path` are URL-encoded.
+ * - type "jira": Jira REST v2 issues — create, comment on an existing key, attachments (Basic email:API token)
+ * - Failures throw (HTTP status + response snippet in the message); attachment failures are collected, not thrown
+ * - Local testing: server/ticketingMock.js serves both the default REST template and the Jira endpoints
+ */
+
+const fs = require("fs");
+const axios = require("axios");
+const yaml = require("js-yaml");
+
+const TICKETING_TYPES = ["rest", "jira"];
+
+const DEFAULT_REST_TEMPLATE = {
+  // Report clientRef values matching this are treated as existing tickets (updated, not duplicated)
+  key_pattern: "^[A-Z][A-Z0-9]*-\\d+$",
+  // Where the new ticket's key / link are in the create response
+  key_path: "key",
+  url_path: "url",
+  create: {
+    method: "POST",
+    path: "/tickets",
+    body: {
+      title: "{{summary}}",
+      description: "{{description}}",
+      priority: "{{priority}}",
+      labels: "{{labels}}",
+      source: "evbot",
+      source_ref: "{{ref}}",
+      charger: "{{charger}}",
+    },
+  },
+  update: {
+    method: "POST",
+    path: "/tickets/{{key}}/comments",
+    body: { body: "{{description}}", source_ref: "{{ref}}" },
+  },
+  attach: {
+    method: "POST",
+    path: "/tickets/{{key}}/attachments",
+    field: "file",
+  },
+};
+
+// severity -> priority name (both connectors; a REST template can ignore {{priority}})
+const PRIORITY_BY_SEVERITY = { critical: "Highest", high: "High", medium: "Medium", low: "Low" };
+
+function getPath(obj, dotted) {
+  return String(dotted || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((cur, k) => (cur == null ? undefined : cur[k]), obj);
+}
+
+const PLACEHOLDER_RE = /\{\{\s*([\w.]+)\s*\}\}/g;
+const ONLY_PLACEHOLDER_RE = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+// Fill {{...}} placeholders through strings, arrays and objects
+// keepTypes: a value that is only a placeholder keeps the raw value (bodies); encode: applied to each substitution (paths)
+function renderTemplate(value, ctx, { keepTypes = false, encode = (s) => s } = {}) {
+  const opts = { keepTypes, encode };
+  if (typeof value === "string") {
+    const only = value.match(ONLY_PLACEHOLDER_RE);
+    if (only && keepTypes) {
+      const v = getPath(ctx, only[1]);
+      return v === undefined ? null : v;
+    }
+    return value.replace(PLACEHOLDER_RE, (_, p) => {
+      const v = getPath(ctx, p);
+      if (v == null) return "";
+      return encode(Array.isArray(v) ? v.join(", ") : typeof v === "object" ? JSON.stringify(v) : String(v));
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => renderTemplate(v, ctx, opts));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, renderTemplate(v, ctx, opts)]));
+  }
+  return value;
+}
+
+function loadTemplate(file) {
+  if (!file) return DEFAULT_REST_TEMPLATE;
+  const text = fs.readFileSync(file, "utf8");
+  const parsed = /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text);
+  if (!parsed || typeof parsed !== "object" || !parsed.create?.path) {
+    throw new Error(`Ticketing template ${file}: needs at least create.path`);
+  }
+  return parsed;
+}
+
+function httpError(what, res) {
+  const body = typeof res.data === "string" ? res.data : JSON.stringify(res.data ?? "");
+  return new Error(`${what}: HTTP ${res.status} ${body.slice(0, 200)}`);
+}
+
+const ok = (res) => res.status >= 200 && res.status < 300;
+
+/**
+ * createTicketingConnector({ type, baseUrl, token, templateFile, email, apiToken, project, issueType, timeoutMs })
+ * type "" / unknown = disabled connector (upsert / attach throw, enabled = false)
+ */
+function createTicketingConnector({
+  type = "",
+  baseUrl = "",
+  token = "",
+  templateFile = "",
+  email = "",
+  apiToken = "",
+  project = "",
+  issueType = "Task",
+  timeoutMs = 15000,
+} = {}) {
+  const kind = String(type || "").toLowerCase();
+  const base = String(baseUrl || "").replace(/\/+$/, "");
+  const disabled = () => {
+    throw new Error("Ticketing is not configured");
+  };
+  if (!TICKETING_TYPES.includes(kind) || !base) {
+    return { enabled: false, type: kind, isKey: () => false, upsert: disabled, attach: disabled };
+  }
+
+  const http = axios.create({ baseURL: base, timeout: timeoutMs, validateStatus: () => true });
+
+  async function postFile(path, field, file, headers) {
+    const form = new FormData();
+    form.append(field, new Blob([file.data], { type: file.contentType || "application/octet-stream" }), file.name);
+    return http.post(path, form, { headers });
+  }
+
+  async function attachEach(key, files, send) {
+    const errors = [];
+    let attached = 0;
+    for (const file of files || []) {
+      try {
+        const res = await send(file);
+        if (!ok(res)) throw httpError(`attach ${file.name}`, res);
+        attached += 1;
+      } catch (e) {
+        errors.push(`${file.name}: ${e?.message || e}`);
+      }
+    }
+    return { key, attached, errors };
+  }
+
+  if (kind === "jira") {
+    const auth = { Authorization: `Basic ${Buffer.from(`${email}:${apiToken}`).toString("base64")}` };
+    const keyRe = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+    async function upsert({ key = null, ticket }) {
+      if (key) {
+        const res = await http.post(`/rest/api/2/issue/${encodeURIComponent(key)}/comment`, { body: ticket.description }, { headers: auth });
+        if (!ok(res)) throw httpError(`Jira comment on ${key}`, res);
+        return { key, url: `${base}/browse/${key}`, created: false };
+      }
+      const fields = {
+        project: { key: project },
+        issuetype: { name: issueType },
+        summary: String(ticket.summary || "").slice(0, 250),
+        description: ticket.description,
+        labels: (ticket.labels || []).map((l) => String(l).replace(/\s+/g, "_")),
+      };
+      if (ticket.priority) fields.priority = { name: ticket.priority };
+      const res = await http.post("/rest/api/2/issue", { fields }, { headers: auth });
+      if (!ok(res) || !res.data?.key) throw httpError("Jira create issue", res);
+      return { key: res.data.key, url: `${base}/browse/${res.data.key}`, created: true };
+    }
+
+    function attach(key, files) {
+      const headers = { ...auth, "X-Atlassian-Token": "no-check" };
+      return attachEach(key, files, (f) => postFile(`/rest/api/2/issue/${encodeURIComponent(key)}/attachments`, "file", f, headers));
+    }
+
+    return { enabled: true, type: kind, isKey: (k) => keyRe.test(String(k || "").trim()), upsert, attach };
+  }
+
+  // Generic REST / JSON
+  const template = loadTemplate(templateFile);
+  const auth = token ? { Authorization: `Bearer ${token}` } : {};
+  const headers = { ...auth, ...(template.headers || {}) };
+  const keyRe = template.key_pattern ? new RegExp(template.key_pattern) : null;
+
+  function request(op, ctx) {
+    const spec = template[op];
+    const path = renderTemplate(spec.path, ctx, { encode: encodeURIComponent });
+    const body = spec.body === undefined ? undefined : renderTemplate(spec.body, ctx, { keepTypes: true });
+    return http.request({ method: spec.method || "POST", url: path, data: body, headers });
+  }
+
+  async function upsert({ key = null, ticket }) {
+    if (key && template.update?.path) {
+      const res = await request("update", { ...ticket, key });
+      if (!ok(res)) throw httpError(`update ticket ${key}`, res);
+      const url = template.url_path ? getPath(res.data, template.url_path) : null;
+      return { key, url: url || null, created: false };
+    }
+    const res = await request("create", ticket);
+    const newKey = getPath(res.data, template.key_path || "key");
+    if (!ok(res) || newKey == null || newKey === "") throw httpError("create ticket", res);
+    const url = template.url_path ? getPath(res.data, template.url_path) : null;
+    return { key: String(newKey), url: url || null, created: true };
+  }
+
+  function attach(key, files) {
+    const spec = template.attach;
+    if (!spec?.path) return Promise.resolve({ key, attached: 0, errors: [] });
+    const path = renderTemplate(spec.path, { key }, { encode: encodeURIComponent });
+    return attachEach(key, files, (f) => postFile(path, spec.field || "file", f, headers));
+  }
+
+  return { enabled: true, type: kind, isKey: (k) => Boolean(keyRe && keyRe.test(String(k || "").trim())), upsert, attach };
+}
+
+module.exports = {
+  TICKETING_TYPES,
+  DEFAULT_REST_TEMPLATE,
+  PRIORITY_BY_SEVERITY,
+  renderTemplate,
+  loadTemplate,
+  createTicketingConnector,
+};
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Local mock ticketing system for testing TICKETING end to end (no real Jira / service desk needed)
+ * - Default REST template: POST /tickets, POST /tickets/:key/comments, POST /tickets/:key/attachments
+ * - Jira-style:            POST /rest/api/2/issue, POST /rest/api/2/issue/:key/comment, POST /rest/api/2/issue/:key/attachments
+ * - GET /tickets (+ /:key) shows what arrived; one line per request on stdout
+ * - --fail=N answers the first N requests with 500, to see how the bot reports a ticketing outage
+ *
+ * Usage: node server/ticketingMock.js [--port=4100] [--prefix=SVC] [--fail=N]   (npm run ticketing-mock -- ...)
+ *   then TICKETING=rest TICKETING_URL=http://localhost:4100
+ *     or TICKETING=jira JIRA_URL=http://localhost:4100 JIRA_PROJECT=SVC JIRA_EMAIL=x JIRA_API_TOKEN=x
+ */
+
+const express = require("express");
+
+function parseArgs(argv) {
+  const opts = { port: 4100, prefix: "SVC", fail: 0 };
+  for (const a of argv) {
+    const [k, v] = a.replace(/^--/, "").split("=");
+    if (k === "port") opts.port = Number(v) || opts.port;
+    else if (k === "prefix") opts.prefix = String(v || "").toUpperCase() || opts.prefix;
+    else if (k === "fail") opts.fail = Number(v) || 0;
+  }
+  return opts;
+}
+
+// Multipart bodies are only measured, not parsed: file name from the part header, size of the whole upload
+function attachmentInfo(req, buf) {
+  const name = (buf.toString("latin1").match(/filename="([^"]*)"/) || [])[1] || "?";
+  return { name, bytes: buf.length, contentType: req.get("content-type") || "" };
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const app = express();
+  const tickets = new Map();
+  let seq = 0;
+  let failLeft = opts.fail;
+
+  const log = (status, what, extra = "") => console.log(`${new Date().toISOString()}  ${status}  ${what}  ${extra}`);
+
+  app.use((req, res, next) => {
+    if (req.method === "GET" || failLeft <= 0) return next();
+    failLeft -= 1;
+    log(500, `${req.method} ${req.path}`, "(--fail)");
+    return res.status(500).json({ error: "mock failure" });
+  });
+
+  function createTicket(fields) {
+    const key = `${opts.prefix}-${++seq}`;
+    const t = { key, fields, comments: [], attachments: [], createdAt: new Date().toISOString() };
+    tickets.set(key, t);
+    return t;
+  }
+
+  function withTicket(handler) {
+    return (req, res) => {
+      const t = tickets.get(req.params.key);
+      if (!t) {
+        log(404, `${req.method} ${req.path}`);
+        return res.status(404).json({ error: "ticket_not_found", key: req.params.key });
+      }
+      return handler(t, req, res);
+    };
+  }
+
+  const json = express.json({ limit: "2mb" });
+  const raw = express.raw({ type: "multipart/form-data", limit: "50mb" });
+
+  // Generic REST
+  app.post("/tickets", json, (req, res) => {
+    const t = createTicket(req.body || {});
+    log(201, `created ${t.key}`, JSON.stringify({ title: t.fields.title, priority: t.fields.priority, labels: t.fields.labels }));
+    res.status(201).json({ key: t.key, url: `http://localhost:${opts.port}/tickets/${t.key}` });
+  });
+  app.post("/tickets/:key/comments", json, withTicket((t, req, res) => {
+    t.comments.push({ ...(req.body || {}), at: new Date().toISOString() });
+    log(201, `comment on ${t.key}`, `(${t.comments.length} total)`);
+    res.status(201).json({ key: t.key, url: `http://localhost:${opts.port}/tickets/${t.key}` });
+  }));
+  app.post("/tickets/:key/attachments", raw, withTicket((t, req, res) => {
+    const info = attachmentInfo(req, req.body || Buffer.alloc(0));
+    t.attachments.push(info);
+    log(201, `attachment on ${t.key}`, `${info.name} (${info.bytes} bytes)`);
+    res.status(201).json({ ok: true });
+  }));
+
+  // Jira-style
+  app.post("/rest/api/2/issue", json, (req, res) => {
+    const fields = req.body?.fields || {};
+    if (!fields.project?.key || !fields.summary) return res.status(400).json({ errors: { project: "required", summary: "required" } });
+    const t = createTicket(fields);
+    log(201, `jira issue ${t.key}`, JSON.stringify({ summary: fields.summary, issuetype: fields.issuetype?.name, labels: fields.labels }));
+    res.status(201).json({ id: String(seq), key: t.key, self: `http://localhost:${opts.port}/rest/api/2/issue/${seq}` });
+  });
+  app.post("/rest/api/2/issue/:key/comment", json, withTicket((t, req, res) => {
+    t.comments.push({ body: req.body?.body || "", at: new Date().toISOString() });
+    log(201, `jira comment on ${t.key}`, `(${t.comments.length} total)`);
+    res.status(201).json({ id: String(t.comments.length) });
+  }));
+  app.post("/rest/api/2/issue/:key/attachments", raw, withTicket((t, req, res) => {
+    if (req.get("x-atlassian-token") !== "no-check") return res.status(403).json({ error: "XSRF check failed" });
+    const info = attachmentInfo(req, req.body || Buffer.alloc(0));
+    t.attachments.push(info);
+    log(200, `jira attachment on ${t.key}`, `${info.name} (${info.bytes} bytes)`);
+    res.json([{ filename: info.name, size: info.bytes }]);
+  }));
+
+  app.get("/tickets", (req, res) => res.json({ tickets: [...tickets.values()] }));
+  app.get("/tickets/:key", withTicket((t, req, res) => res.json(t)));
+
+  app.listen(opts.port, () => {
+    console.log(`✅ Mock ticketing on http://localhost:${opts.port}/ (keys ${opts.prefix}-1, ${opts.prefix}-2, …)`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { parseArgs };
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Decision tree → flowchart (Mermaid / Graphviz DOT) for visual sign-off
+ * - Nodes show "<ID>" + prompt headline; edges carry the option label
+ * - Styled by kind: start, *_DONE*, *_ESC*, *_EVIDENCE*, __ROUTE_*__ (with its target), __MENU_*__,
+ *   built-in fallbacks (GD_DONE / GD_ESC), unresolved targets (red)
+ * - Targets are resolved with dtEngine.resolveNode(), i.e. exactly what the bot would do
+ *
+ * Usage: node server/treeExport.js <pack> [faultId] [--dot] [--out=file]   (npm run export-tree -- ...)
+ *   (also served by GET /api/v1/packs/:pack/diagram and /api/v1/packs/:pack/faults/:id/diagram)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createPackRegistry } = require("./packs");
+const { resolveNode, nodeOptions, promptHeadline } = require("./dtEngine");
+
+const DEFAULT_FAULTS_DIR = path.join(__dirname, "..", "faults");
+const DIAGRAM_FORMATS = ["mermaid", "dot"];
+
+// kind -> [fill, stroke, extra]
+const STYLES = {
+  start: ["#E8F1FF", "#1F5FBF", "bold"],
+  node: ["#FFFFFF", "#555555", ""],
+  done: ["#D8F3DC", "#2D6A4F", ""],
+  escalate: ["#FFE5D0", "#C2410C", ""],
+  evidence: ["#FFF3BF", "#B08900", ""],
+  route: ["#EDE3FF", "#6D28D9", ""],
+  menu: ["#EEEEEE", "#777777", ""],
+  fallback: ["#F5F5F5", "#777777", "dashed"],
+  unresolved: ["#FFD6D6", "#D00000", "bold"],
+};
+
+function nodeKind(id, { start = false } = {}) {
+  const up = String(id || "").toUpperCase();
+  if (start) return "start";
+  if (/(^|_)DONE(_|$)/.test(up)) return "done";
+  if (/(^|_)ESC(_|$)/.test(up)) return "escalate";
+  if (/(^|_)EVIDENCE(_|$)/.test(up)) return "evidence";
+  return "node";
+}
+
+/**
+ * buildTreeGraph(packs, pack, fault, { prefix }) -> { title, nodes: [{ key, id, kind, label }], edges: [{ from, to, label, unresolved }] }
+ * Node keys are prefixed so several faults can share one diagram.
+ */
+function buildTreeGraph(packs, pack, fault, { prefix = "" } = {}) {
+  const tree = fault?.decision_tree || {};
+  const nodes = new Map();
+  const edges = [];
+  const key = (id) => `${prefix}${id}`;
+
+  for (const [id, node] of Object.entries(tree.nodes || {})) {
+    nodes.set(key(id), {
+      key: key(id),
+      id,
+      kind: nodeKind(id, { start: id === String(tree.start_node) }),
+      label: promptHeadline(node?.prompt, 60),
+    });
+  }
+  if (tree.start_node && !nodes.has(key(tree.start_node))) {
+    nodes.set(key(tree.start_node), { key: key(tree.start_node), id: String(tree.start_node), kind: "unresolved", label: "start_node not found" });
+  }
+
+  for (const [id, node] of Object.entries(tree.nodes || {})) {
+    for (const opt of nodeOptions(node)) {
+      if (!opt.next) {
+        edges.push({ from: key(id), to: null, label: promptHeadline(opt.label, 40), unresolved: true });
+        continue;
+      }
+      const target = key(opt.next);
+      if (!nodes.has(target)) {
+        const r = resolveNode(packs, { pack, fault, nodeId: opt.next });
+        const extra =
+          r.kind === "route"
+            ? { kind: "route", label: `↪ ${r.pack} / ${r.fault.id}` }
+            : r.kind === "menu"
+              ? { kind: "menu", label: `🏠 ${packs.get(r.pack)?.label || r.pack} menu` }
+              : r.kind === "fallback"
+                ? { kind: "fallback", label: `built-in ${r.terminal === "done" ? "resolved" : "escalate"} fallback` }
+                : { kind: "unresolved", label: r.kind === "route_error" ? "route target has no tree" : "node not found" };
+        nodes.set(target, { key: target, id: opt.next, ...extra });
+      }
+      edges.push({ from: key(id), to: target, label: promptHeadline(opt.label, 40), unresolved: nodes.get(target).kind === "unresolved" });
+    }
+  }
+
+  return { title: `${fault?.title || fault?.id || ""}`, faultId: String(fault?.id || ""), nodes: [...nodes.values()], edges };
+}
+
+/* ---------- Mermaid ---------- */
+function mermaidText(s) {
+  return String(s || "")
+    .replace(/"/g, "#quot;")
+    .replace(/</g, "#lt;")
+    .replace(/>/g, "#gt;");
+}
+function mermaidId(key) {
+  return `n_${String(key).replace(/[^A-Za-z0-9_]/g, "_")}`;
+}
+
+function toMermaid(graphs, { title = "" } = {}) {
+  const lines = ["flowchart TD"];
+  if (title) lines.unshift(`%% ${title}`);
+  for (const [kind, [fill, stroke, extra]] of Object.entries(STYLES)) {
+    const style = [`fill:${fill}`, `stroke:${stroke}`];
+    if (extra === "bold") style.push("stroke-width:2px");
+    if (extra === "dashed") style.push("stroke-dasharray:4 3");
+    lines.push(`  classDef k_${kind} ${style.join(",")}`);
+  }
+
+  let edgeIndex = 0;
+  const redEdges = [];
+  graphs.forEach((g, gi) => {
+    const indent = graphs.length > 1 ? "    " : "  ";
+    if (graphs.length > 1) lines.push(`  subgraph g${gi}["${mermaidText(g.title)}"]`);
+    for (const n of g.nodes) {
+      const text = n.label ? `<b>${mermaidText(n.id)}</b><br/>${mermaidText(n.label)}` : `<b>${mermaidText(n.id)}</b>`;
+      const shape = n.kind === "route" || n.kind === "menu" ? [`[["`, `"]]`] : n.kind === "done" || n.kind === "escalate" ? [`(["`, `"])`] : [`["`, `"]`];
+      lines.push(`${indent}${mermaidId(n.key)}${shape[0]}${text}${shape[1]}:::k_${n.kind}`);
+    }
+    for (const e of g.edges) {
+      const to = e.to ? mermaidId(e.to) : `${mermaidId(e.from)}_missing_next`;
+      if (!e.to) lines.push(`${indent}${to}["missing next"]:::k_unresolved`);
+      lines.push(`${indent}${mermaidId(e.from)} -->|"${mermaidText(e.label)}"| ${to}`);
+      if (e.unresolved) redEdges.push(edgeIndex);
+      edgeIndex++;
+    }
+    if (graphs.length > 1) lines.push("  end");
+  });
+  if (redEdges.length) lines.push(`  linkStyle ${redEdges.join(",")} stroke:#D00000,stroke-width:2px,color:#D00000`);
+  return lines.join("\n") + "\n";
+}
+
+/* ---------- Graphviz DOT ---------- */
+function dotText(s) {
+  return String(s || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"');
+}
+
+function toDot(graphs, { title = "" } = {}) {
+  const lines = [
+    `digraph "${dotText(title || "decision_tree")}" {`,
+    "  rankdir=TB;",
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=9];',
+  ];
+
+  graphs.forEach((g, gi) => {
+    const indent = graphs.length > 1 ? "    " : "  ";
+    if (graphs.length > 1) lines.push(`  subgraph cluster_${gi} {`, `    label="${dotText(g.title)}";`, '    style="rounded";');
+    for (const n of g.nodes) {
+      const [fill, stroke, extra] = STYLES[n.kind] || STYLES.node;
+      const style = ["rounded", "filled", ...(extra === "dashed" ? ["dashed"] : []), ...(extra === "bold" ? ["bold"] : [])];
+      const shape = n.kind === "route" || n.kind === "menu" ? "cds" : "box";
+      const label = n.label ? `${dotText(n.id)}\\n${dotText(n.label)}` : dotText(n.id);
+      lines.push(
+        `${indent}"${dotText(n.key)}" [label="${label}", shape=${shape}, style="${style.join(",")}", fillcolor="${fill}", color="${stroke}"];`
+      );
+    }
+    for (const e of g.edges) {
+      const to = e.to || `${e.from}::missing_next`;
+      if (!e.to) lines.push(`${indent}"${dotText(to)}" [label="missing next", fillcolor="${STYLES.unresolved[0]}", color="${STYLES.unresolved[1]}"];`);
+      const red = e.unresolved ? `, color="${STYLES.unresolved[1]}", fontcolor="${STYLES.unresolved[1]}", penwidth=2` : "";
+      lines.push(`${indent}"${dotText(e.from)}" -> "${dotText(to)}" [label="${dotText(e.label)}"${red}];`);
+    }
+    if (graphs.length > 1) lines.push("  }");
+  });
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * exportDiagram(packs, { pack, faultId, format }) -> { ok, text, contentType } | { ok: false, error }
+ * No faultId = every fault in the pack (one subgraph / cluster each).
+ */
+function exportDiagram(packs, { pack, faultId = "", format = "mermaid" }) {
+  const fmt = String(format || "mermaid").toLowerCase();
+  if (!DIAGRAM_FORMATS.includes(fmt)) return { ok: false, error: "unknown_format", formats: DIAGRAM_FORMATS };
+  const meta = packs.get(pack);
+  if (!meta) return { ok: false, error: "pack_not_found" };
+
+  const all = packs.load(meta.id).faults.filter((f) => f.decision_tree?.nodes);
+  const faults = faultId ? all.filter((f) => String(f.id) === String(faultId)) : all;
+  if (!faults.length) return { ok: false, error: faultId ? "fault_not_found" : "no_decision_trees" };
+
+  const graphs = faults.map((f, i) => buildTreeGraph(packs, meta.id, f, { prefix: faults.length > 1 ? `f${i}_` : "" }));
+  const title = faultId ? `${meta.label}: ${faults[0].title || faults[0].id}` : `${meta.label} decision trees`;
+  return fmt === "dot"
+    ? { ok: true, text: toDot(graphs, { title }), contentType: "text/vnd.graphviz; charset=utf-8" }
+    : { ok: true, text: toMermaid(graphs, { title }), contentType: "text/plain; charset=utf-8" };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const [pack, faultId] = args.filter((a) => !a.startsWith("--"));
+  const format = args.includes("--dot") ? "dot" : "mermaid";
+  const out = (args.find((a) => a.startsWith("--out=")) || "").slice("--out=".length);
+
+  if (!pack) {
+    console.error("Usage: node server/treeExport.js <pack> [faultId] [--dot] [--out=file]");
+    process.exit(2);
+  }
+  const packs = createPackRegistry(DEFAULT_FAULTS_DIR);
+  const result = exportDiagram(packs, { pack, faultId, format });
+  if (!result.ok) {
+    console.error(`❌ ${result.error}${result.error === "pack_not_found" ? ` (packs: ${packs.list().map((m) => m.id).join(", ")})` : ""}`);
+    process.exit(1);
+  }
+  if (out) {
+    fs.writeFileSync(out, result.text);
+    console.error(`✅ Wrote ${out}`);
+  } else {
+    process.stdout.write(result.text);
+  }
+}
+
+module.exports = { DIAGRAM_FORMATS, buildTreeGraph, toMermaid, toDot, exportDiagram };
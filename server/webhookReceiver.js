@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Local webhook receiver for testing OUTBOUND_WEBHOOK_URLS end to end
+ * - Verifies X-EVBot-Signature with the shared secret and prints one line per event
+ * - --fail=N answers the first N requests with 500, to watch retries / the dead-letter log
+ *
+ * Usage: node server/webhookReceiver.js [--port=4000] [--secret=...] [--fail=N]   (npm run webhook-receiver -- ...)
+ *   then OUTBOUND_WEBHOOK_URLS=http://localhost:4000/hook OUTBOUND_WEBHOOK_SECRET=<same secret>
+ */
+
+const express = require("express");
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, verifySignature } = require("./webhooks");
+
+function parseArgs(argv) {
+  const opts = { port: 4000, secret: process.env.OUTBOUND_WEBHOOK_SECRET || "", fail: 0 };
+  for (const a of argv) {
+    const [k, v] = a.replace(/^--/, "").split("=");
+    if (k === "port") opts.port = Number(v) || opts.port;
+    else if (k === "secret") opts.secret = v || "";
+    else if (k === "fail") opts.fail = Number(v) || 0;
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const app = express();
+  let failLeft = opts.fail;
+
+  // Raw body: the signature covers the exact bytes sent
+  app.post(/.*/, express.text({ type: "*/*" }), (req, res) => {
+    const ok = verifySignature(opts.secret, req.get(TIMESTAMP_HEADER), req.body, req.get(SIGNATURE_HEADER));
+    let event = {};
+    try {
+      event = JSON.parse(req.body);
+    } catch (_) {}
+    const status = failLeft > 0 ? 500 : ok ? 200 : 401;
+    if (failLeft > 0) failLeft -= 1;
+    console.log(
+      `${new Date().toISOString()}  ${status}  ${ok ? "signed" : "BAD SIGNATURE"}  ${event.type || "?"}  ${req.get("x-evbot-delivery") || ""}  ` +
+        JSON.stringify(event.data || {})
+    );
+    res.status(status).json({ ok: status === 200 });
+  });
+
+  app.listen(opts.port, () => {
+    console.log(`✅ Webhook receiver on http://localhost:${opts.port}/ (${opts.secret ? "verifying signatures" : "no secret: every request fails verification"})`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { parseArgs };
@@ -0,0 +1,204 @@
+/**
+ * Signed outbound webhooks (CSMS, ops dashboards)
+ * - emit(type, data) -> one delivery per configured URL (events filter optional)
+ * - POST JSON { id, type, at, data } with headers:
+ *     X-EVBot-Event, X-EVBot-Event-Id, X-EVBot-Delivery, X-EVBot-Timestamp
+ *     X-EVBot-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+ * - Non-2xx / network error -> retry with exponential backoff (retryMs, 2x, 4x, ...) up to maxAttempts,
+ *   then the delivery is marked "dead" and appended to <dir>/dead-letter.jsonl
+ * - <dir>/deliveries.json keeps the most recent deliveries (body included) for the admin list / replay;
+ *   pending retries are picked up again after a restart
+ * - Receiver side: verifySignature() (see server/webhookReceiver.js for a local test receiver)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { readJsonFile, writeJsonFile } = require("./jsonFile");
+
+const WEBHOOK_EVENTS = [
+  "session.started",
+  "node.reached",
+  "session.resolved",
+  "session.escalated",
+  "feedback.given",
+  "report.completed",
+];
+const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+const SIGNATURE_HEADER = "x-evbot-signature";
+const TIMESTAMP_HEADER = "x-evbot-timestamp";
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", String(secret)).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Constant-time check of an X-EVBot-Signature header; maxAgeSec guards against replayed captures (0 = off)
+function verifySignature(secret, timestamp, body, header, { maxAgeSec = 300, now = Date.now() } = {}) {
+  if (!secret || !timestamp || !header) return false;
+  if (maxAgeSec && Math.abs(now / 1000 - Number(timestamp)) > maxAgeSec) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const got = Buffer.from(String(header));
+  return expected.length === got.length && crypto.timingSafeEqual(expected, got);
+}
+
+/**
+ * createWebhookDispatcher({ urls, secret, events, dir, maxAttempts, retryMs, timeoutMs, keep })
+ * -> { enabled, emit, list, get, replay }
+ * urls   = [string]; none = every emit() is a no-op
+ * events = [type] to send (empty = all of WEBHOOK_EVENTS)
+ */
+function createWebhookDispatcher({
+  urls = [],
+  secret = "",
+  events = [],
+  dir,
+  maxAttempts = 5,
+  retryMs = 2000,
+  timeoutMs = 10000,
+  keep = 500,
+} = {}) {
+  const file = path.join(dir, "deliveries.json");
+  const deadLetterFile = path.join(dir, "dead-letter.jsonl");
+  const wanted = new Set(events.length ? events : WEBHOOK_EVENTS);
+  const timers = new Map();
+
+  let deliveries = readJsonFile(file, [], "Webhook deliveries");
+
+  function save() {
+    writeJsonFile(file, deliveries.slice(-keep), "Webhook deliveries");
+  }
+
+  function deadLetter(d) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(deadLetterFile, JSON.stringify({ ...d, deadAt: new Date().toISOString() }) + "\n");
+    } catch (e) {
+      console.error(`❌ Webhook dead-letter write failed: ${deadLetterFile}`, e?.message || e);
+    }
+  }
+
+  function schedule(d, delayMs) {
+    clearTimeout(timers.get(d.id));
+    const t = setTimeout(() => {
+      timers.delete(d.id);
+      attempt(d).catch((e) => console.error("❌ Webhook attempt crashed:", e?.message || e));
+    }, delayMs);
+    t.unref?.();
+    timers.set(d.id, t);
+  }
+
+  async function attempt(d) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    d.attempts += 1;
+    d.lastAttemptAt = new Date().toISOString();
+    try {
+      const res = await axios.post(d.url, d.body, {
+        timeout: timeoutMs,
+        validateStatus: () => true,
+        transformRequest: [(body) => body],
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "EVBot-Webhooks/1",
+          "x-evbot-event": d.type,
+          "x-evbot-event-id": d.eventId,
+          "x-evbot-delivery": d.id,
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: sign(secret, timestamp, d.body),
+        },
+      });
+      d.lastStatus = res.status;
+      d.lastError = res.status >= 200 && res.status < 300 ? null : `HTTP ${res.status}`;
+    } catch (e) {
+      d.lastStatus = null;
+      d.lastError = String(e?.code || e?.message || e);
+    }
+
+    if (!d.lastError) {
+      d.status = "delivered";
+      d.deliveredAt = new Date().toISOString();
+      d.nextAttemptAt = null;
+    } else if (d.attempts >= maxAttempts) {
+      d.status = "dead";
+      d.nextAttemptAt = null;
+      deadLetter(d);
+      console.error(`❌ Webhook ${d.type} → ${d.url} dead after ${d.attempts} attempt(s): ${d.lastError}`);
+    } else {
+      const delay = retryMs * 2 ** (d.attempts - 1);
+      d.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      schedule(d, delay);
+    }
+    save();
+    return d;
+  }
+
+  function enqueue({ url, type, eventId, body, replayOf = null }) {
+    const d = {
+      id: `wd${Date.now().toString(36)}${crypto.randomBytes(3).toString("hex")}`,
+      eventId,
+      type,
+      url,
+      body,
+      status: "pending",
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      lastStatus: null,
+      lastError: null,
+      nextAttemptAt: null,
+      deliveredAt: null,
+      replayOf,
+    };
+    deliveries.push(d);
+    if (deliveries.length > keep * 2) deliveries = deliveries.slice(-keep);
+    save();
+    schedule(d, 0);
+    return d;
+  }
+
+  function emit(type, data = {}) {
+    if (!urls.length || !wanted.has(type)) return [];
+    const eventId = `ev${Date.now().toString(36)}${crypto.randomBytes(4).toString("hex")}`;
+    const body = JSON.stringify({ id: eventId, type, at: new Date().toISOString(), data });
+    return urls.map((url) => enqueue({ url, type, eventId, body }));
+  }
+
+  const summary = ({ body, ...d }) => d;
+
+  // Newest first, without bodies
+  function list({ status = "", type = "", limit = 100 } = {}) {
+    return deliveries
+      .filter((d) => (!status || d.status === status) && (!type || d.type === type))
+      .slice(-limit)
+      .reverse()
+      .map(summary);
+  }
+
+  function get(id) {
+    return deliveries.find((d) => d.id === String(id)) || null;
+  }
+
+  // Same event (same id + body, fresh signature) as a new delivery
+  function replay(id) {
+    const d = get(id);
+    if (!d) return null;
+    return summary(enqueue({ url: d.url, type: d.type, eventId: d.eventId, body: d.body, replayOf: d.id }));
+  }
+
+  // Restarted mid-retry: carry on where we left off
+  for (const d of deliveries.filter((x) => x.status === "pending")) {
+    schedule(d, Math.max(0, Date.parse(d.nextAttemptAt || 0) - Date.now()));
+  }
+
+  return { enabled: urls.length > 0, file, deadLetterFile, emit, list, get, replay };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  sign,
+  verifySignature,
+  createWebhookDispatcher,
+};